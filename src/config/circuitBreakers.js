@@ -0,0 +1,21 @@
+const defaults = {
+  failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5,
+  resetTimeoutMs: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT_MS) || 30000
+};
+
+/**
+ * Breaker settings for a service, overridable per service, e.g.
+ * CIRCUIT_BREAKER_PROGRESS_FAILURE_THRESHOLD=3
+ */
+const breakerConfig = (service) => {
+  const prefix = `CIRCUIT_BREAKER_${service.toUpperCase()}_`;
+
+  return {
+    failureThreshold: parseInt(process.env[`${prefix}FAILURE_THRESHOLD`]) || defaults.failureThreshold,
+    resetTimeoutMs: parseInt(process.env[`${prefix}RESET_TIMEOUT_MS`]) || defaults.resetTimeoutMs
+  };
+};
+
+module.exports = {
+  breakerConfig
+};
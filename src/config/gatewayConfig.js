@@ -0,0 +1,357 @@
+const fs = require('fs');
+const path = require('path');
+const services = require('./services');
+const logger = require('./logger');
+const { STRATEGIES, configureUpstreams } = require('../utils/loadBalancer');
+
+const CONFIG_FILE = process.env.GATEWAY_CONFIG_FILE || path.join(__dirname, 'gateway.json');
+const WATCH_INTERVAL_MS = parseInt(process.env.GATEWAY_CONFIG_WATCH_INTERVAL_MS) || 2000;
+
+const ROLES = ['client', 'trainer', 'admin'];
+
+// Services the composite endpoints, health checks and GraphQL call directly, so a config
+// (or a reload) can't drop them
+const CORE_SERVICES = ['user', 'training', 'schedule', 'progress', 'notification'];
+
+class GatewayConfigError extends Error {
+  constructor(file, errors) {
+    super(`Invalid gateway config ${file}: ${errors.join('; ')}`);
+    this.name = 'GatewayConfigError';
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const isRegExp = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Schema for one entry of `routes`: each field's check returns an error message or null
+const ROUTE_SCHEMA = {
+  path: {
+    required: true,
+    check: (value) => (typeof value === 'string' && /^\/api\/[A-Za-z0-9/_-]+$/.test(value) && !value.endsWith('/')
+      ? null : 'must be a path under /api/ without a trailing slash')
+  },
+  service: {
+    required: true,
+    check: (value, { serviceNames }) => (serviceNames.includes(value)
+      ? null : `must be one of the configured services (${serviceNames.join(', ')})`)
+  },
+  auth: {
+    required: true,
+    check: (value) => {
+      if (value === 'public' || value === 'authenticated') {
+        return null;
+      }
+      return Array.isArray(value) && value.length && value.every(role => ROLES.includes(role))
+        ? null : `must be "public", "authenticated" or a list of roles (${ROLES.join(', ')})`;
+    }
+  },
+  cache: {
+    check: (value) => {
+      if (!isPlainObject(value) || !Number.isInteger(value.ttl) || value.ttl <= 0) {
+        return 'must be an object with a positive integer ttl';
+      }
+      const unknown = Object.keys(value).filter(key => !['ttl', 'perUser'].includes(key));
+      if (unknown.length) {
+        return `has unknown options: ${unknown.join(', ')}`;
+      }
+      return value.perUser === undefined || typeof value.perUser === 'boolean' ? null : 'perUser must be a boolean';
+    }
+  },
+  // Idempotency-Key support for POST/PATCH; responses are kept for ttl seconds
+  idempotency: {
+    check: (value) => (isPlainObject(value) && Number.isInteger(value.ttl) && value.ttl > 0
+      && Object.keys(value).every(key => key === 'ttl')
+      ? null : 'must be an object with a positive integer ttl')
+  },
+  pathRewrite: {
+    check: (value) => (isPlainObject(value)
+      && Object.entries(value).every(([pattern, replacement]) => isRegExp(pattern) && typeof replacement === 'string')
+      ? null : 'must map regular expressions to replacement strings')
+  },
+  onResponse: {
+    check: (value, { hooks }) => (hooks.includes(value)
+      ? null : `must be one of the known response hooks (${hooks.join(', ') || 'none'})`)
+  },
+  // Per-version overrides of service and pathRewrite, e.g. { "v2": { "pathRewrite": {...} } }
+  versions: {
+    check: (value, context) => {
+      if (!isPlainObject(value)) {
+        return 'must map API versions to route overrides';
+      }
+      for (const [version, override] of Object.entries(value)) {
+        if (!context.versionNames.includes(version)) {
+          return `${version} is not a configured API version`;
+        }
+        if (!isPlainObject(override) || Object.keys(override).some(key => !['service', 'pathRewrite'].includes(key))) {
+          return `${version} may only override service and pathRewrite`;
+        }
+        const message = (override.service !== undefined && ROUTE_SCHEMA.service.check(override.service, context))
+          || (override.pathRewrite !== undefined && ROUTE_SCHEMA.pathRewrite.check(override.pathRewrite, context));
+        if (message) {
+          return `${version} ${message}`;
+        }
+      }
+      return null;
+    }
+  }
+};
+
+const DEFAULT_VERSIONS = { default: 'v1', available: { v1: {} } };
+
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// { default: 'v1', available: { v1: { deprecated, sunset, link }, v2: {} } }
+const validateVersions = (versions) => {
+  if (!isPlainObject(versions) || !isPlainObject(versions.available) || !Object.keys(versions.available).length) {
+    return ['versions.available must map at least one API version to its options'];
+  }
+
+  const errors = [];
+  Object.entries(versions.available).forEach(([version, options]) => {
+    const label = `versions.available.${version}`;
+    if (!/^v\d+$/.test(version)) {
+      errors.push(`${label} must be named like v1`);
+    }
+    if (!isPlainObject(options)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    Object.keys(options)
+      .filter(key => !['deprecated', 'sunset', 'link'].includes(key))
+      .forEach(key => errors.push(`${label}.${key} is not a known version option`));
+    ['deprecated', 'sunset']
+      .filter(key => options[key] !== undefined && !isDate(options[key]))
+      .forEach(key => errors.push(`${label}.${key} must be a date`));
+    if (options.link !== undefined && !isHttpUrl(options.link)) {
+      errors.push(`${label}.link must be an http(s) URL`);
+    }
+  });
+
+  if (!versions.available[versions.default]) {
+    errors.push('versions.default must be one of the available versions');
+  }
+  return errors;
+};
+
+// A service is a single URL or { instances: [urls], strategy }
+const validateService = (name, target) => {
+  if (typeof target === 'string') {
+    return isHttpUrl(target) ? [] : [`services.${name} must be an http(s) URL`];
+  }
+  if (!isPlainObject(target)) {
+    return [`services.${name} must be a URL or an object with instances`];
+  }
+
+  const errors = Object.keys(target)
+    .filter(key => !['instances', 'strategy'].includes(key))
+    .map(key => `services.${name}.${key} is not a known service option`);
+  if (!Array.isArray(target.instances) || !target.instances.length || !target.instances.every(isHttpUrl)) {
+    errors.push(`services.${name}.instances must be a non-empty list of http(s) URLs`);
+  }
+  if (target.strategy !== undefined && !STRATEGIES.includes(target.strategy)) {
+    errors.push(`services.${name}.strategy must be one of ${STRATEGIES.join(', ')}`);
+  }
+  return errors;
+};
+
+const validateRoute = (route, index, context) => {
+  const label = `routes[${index}]`;
+  if (!isPlainObject(route)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = Object.keys(route)
+    .filter(field => !ROUTE_SCHEMA[field])
+    .map(field => `${label}.${field} is not a known route option`);
+
+  Object.entries(ROUTE_SCHEMA).forEach(([field, { required, check }]) => {
+    if (route[field] === undefined) {
+      if (required) {
+        errors.push(`${label}.${field} is required`);
+      }
+      return;
+    }
+    const message = check(route[field], context);
+    if (message) {
+      errors.push(`${label}.${field} ${message}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validates a parsed gateway config against the schema above.
+ *
+ * @param {Object} config - { services: { name: url | { instances, strategy } }, versions?, routes: [...] }
+ * @param {Object} options
+ * @param {string[]} options.hooks - Names allowed in a route's onResponse
+ * @returns {string[]} Validation errors, empty when the config is valid
+ */
+const validateGatewayConfig = (config, { hooks = [] } = {}) => {
+  if (!isPlainObject(config)) {
+    return ['config must be an object'];
+  }
+
+  const errors = Object.keys(config)
+    .filter(key => !['services', 'versions', 'routes'].includes(key))
+    .map(key => `${key} is not a known config section`);
+
+  if (!isPlainObject(config.services)) {
+    errors.push(`services must map service names to URLs, including ${CORE_SERVICES.join(', ')}`);
+  } else {
+    Object.entries(config.services).forEach(([name, target]) => {
+      if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+        errors.push(`services.${name} must be a lowercase name`);
+      }
+      errors.push(...validateService(name, target));
+    });
+    CORE_SERVICES
+      .filter(name => !(name in config.services))
+      .forEach(name => errors.push(`services.${name} is required`));
+  }
+
+  if (config.versions !== undefined) {
+    errors.push(...validateVersions(config.versions));
+  }
+
+  if (!Array.isArray(config.routes)) {
+    errors.push('routes must be a list');
+    return errors;
+  }
+
+  const context = {
+    serviceNames: Object.keys(config.services || {}),
+    versionNames: Object.keys(((config.versions || DEFAULT_VERSIONS).available) || {}),
+    hooks
+  };
+  config.routes.forEach((route, index) => errors.push(...validateRoute(route, index, context)));
+
+  const seen = new Set();
+  config.routes.forEach((route, index) => {
+    if (route && seen.has(route.path)) {
+      errors.push(`routes[${index}].path ${route.path} is defined more than once`);
+    }
+    seen.add(route && route.path);
+  });
+
+  return errors;
+};
+
+// USER_SERVICE_URL etc. (comma-separated for several instances) still win over
+// the file so existing deployments keep working
+const serviceUpstream = (name, target) => {
+  const { instances, strategy } = typeof target === 'string' ? { instances: [target] } : target;
+  const override = process.env[`${name.toUpperCase()}_SERVICE_URL`];
+
+  return {
+    instances: override ? override.split(',').map(url => url.trim()).filter(Boolean) : instances,
+    strategy: strategy || 'round-robin'
+  };
+};
+
+/**
+ * Reads and validates the config file. Throws GatewayConfigError when the file
+ * can't be read or parsed, or doesn't match the schema.
+ */
+const loadGatewayConfig = (file = CONFIG_FILE, options = {}) => {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new GatewayConfigError(file, [error.message]);
+  }
+
+  const errors = validateGatewayConfig(config, options);
+  if (errors.length) {
+    throw new GatewayConfigError(file, errors);
+  }
+
+  const upstreams = Object.fromEntries(Object.entries(config.services)
+    .map(([name, target]) => [name, serviceUpstream(name, target)]));
+
+  return {
+    services: Object.fromEntries(Object.entries(upstreams).map(([name, { instances }]) => [name, instances[0]])),
+    upstreams,
+    versions: config.versions || DEFAULT_VERSIONS,
+    routes: config.routes
+  };
+};
+
+/**
+ * Points the shared services map (first instance of each service) and the
+ * load balancers at a loaded config's targets. The map is updated in place
+ * because every module holds a reference to it.
+ */
+const applyServices = (config) => {
+  Object.keys(services)
+    .filter(name => !(name in config.services))
+    .forEach((name) => {
+      delete services[name];
+    });
+  Object.assign(services, config.services);
+  configureUpstreams(config.upstreams || {});
+};
+
+/**
+ * Polls the config file and calls onChange with each new valid config. An
+ * invalid file is logged and ignored, so the last good config stays active.
+ *
+ * @returns {Function} Stops watching
+ */
+const watchGatewayConfig = (file, options, onChange) => {
+  // Baseline taken up front so a change right after loading isn't missed
+  let lastModified = fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0;
+
+  const reload = () => {
+    try {
+      const config = loadGatewayConfig(file, options);
+      onChange(config);
+      logger.info(`Gateway config reloaded from ${file}`, { routes: config.routes.length });
+    } catch (error) {
+      logger.error('Gateway config rejected, keeping the last good config', {
+        file,
+        errors: error.errors || [error.message]
+      });
+    }
+  };
+
+  const timer = setInterval(() => {
+    fs.stat(file, (error, stats) => {
+      if (error || stats.mtimeMs === lastModified) {
+        return;
+      }
+      lastModified = stats.mtimeMs;
+      reload();
+    });
+  }, WATCH_INTERVAL_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  CONFIG_FILE,
+  GatewayConfigError,
+  validateGatewayConfig,
+  loadGatewayConfig,
+  applyServices,
+  watchGatewayConfig
+};
@@ -0,0 +1,47 @@
+const logger = require('./logger');
+
+const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000; // 1 minute
+const defaultMax = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000; // 1000 requests per minute
+
+// Budget per role - anonymous applies to requests without a verified token
+const roleLimits = {
+  anonymous: parseInt(process.env.RATE_LIMIT_MAX_ANONYMOUS) || defaultMax,
+  client: parseInt(process.env.RATE_LIMIT_MAX_CLIENT) || defaultMax,
+  trainer: parseInt(process.env.RATE_LIMIT_MAX_TRAINER) || defaultMax,
+  admin: parseInt(process.env.RATE_LIMIT_MAX_ADMIN) || defaultMax * 2
+};
+
+// Route prefixes with their own bucket. `max` is either a number for every role
+// or a map of role -> limit (roles not listed fall back to roleLimits).
+const defaultRouteLimits = [
+  {
+    prefix: '/api/auth',
+    windowMs: parseInt(process.env.RATE_LIMIT_AUTH_WINDOW_MS) || 60000,
+    max: parseInt(process.env.RATE_LIMIT_AUTH_MAX) || 20
+  }
+];
+
+// RATE_LIMIT_ROUTES replaces the defaults, e.g.
+// [{"prefix":"/api/auth","windowMs":60000,"max":{"anonymous":10,"admin":50}}]
+const loadRouteLimits = () => {
+  if (!process.env.RATE_LIMIT_ROUTES) {
+    return defaultRouteLimits;
+  }
+
+  try {
+    const routes = JSON.parse(process.env.RATE_LIMIT_ROUTES);
+    if (!Array.isArray(routes) || routes.some(r => !r || typeof r.prefix !== 'string')) {
+      throw new Error('expected an array of { prefix, windowMs, max }');
+    }
+    return routes;
+  } catch (error) {
+    logger.error('Invalid RATE_LIMIT_ROUTES, using defaults', { error: error.message });
+    return defaultRouteLimits;
+  }
+};
+
+module.exports = {
+  windowMs,
+  roleLimits,
+  routes: loadRouteLimits()
+};
@@ -0,0 +1,55 @@
+const { createClient } = require('redis');
+const logger = require('./logger');
+
+let client = null;
+
+// Shared Redis client - created lazily so modules can be required without a live Redis
+const getRedisClient = () => {
+  if (!client) {
+    client = createClient({
+      socket: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT) || 6379
+      },
+      password: process.env.REDIS_PASSWORD || undefined,
+      // Fail fast while disconnected instead of queueing commands forever
+      disableOfflineQueue: true
+    });
+
+    client.on('error', (err) => {
+      logger.error('Redis client error', { error: err.message });
+    });
+    client.on('ready', () => {
+      logger.info('Redis connection ready');
+    });
+  }
+
+  return client;
+};
+
+const connectRedis = async () => {
+  const redis = getRedisClient();
+  if (!redis.isOpen) {
+    await redis.connect();
+  }
+  return redis;
+};
+
+const isRedisReady = () => Boolean(client && client.isReady);
+
+// QUIT needs a live connection; one that is still reconnecting is just dropped
+const closeRedis = async () => {
+  if (client && client.isReady) {
+    await client.quit();
+  } else if (client && client.isOpen) {
+    await client.disconnect();
+  }
+  client = null;
+};
+
+module.exports = {
+  getRedisClient,
+  connectRedis,
+  isRedisReady,
+  closeRedis
+};
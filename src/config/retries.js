@@ -0,0 +1,23 @@
+const defaults = {
+  maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3,
+  baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS) || 100,
+  maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS) || 2000
+};
+
+/**
+ * Retry settings for a service, overridable per service, e.g.
+ * RETRY_SCHEDULE_MAX_ATTEMPTS=5 (1 disables retries)
+ */
+const retryConfig = (service) => {
+  const prefix = `RETRY_${service.toUpperCase()}_`;
+
+  return {
+    maxAttempts: parseInt(process.env[`${prefix}MAX_ATTEMPTS`]) || defaults.maxAttempts,
+    baseDelayMs: parseInt(process.env[`${prefix}BASE_DELAY_MS`]) || defaults.baseDelayMs,
+    maxDelayMs: parseInt(process.env[`${prefix}MAX_DELAY_MS`]) || defaults.maxDelayMs
+  };
+};
+
+module.exports = {
+  retryConfig
+};
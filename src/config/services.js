@@ -0,0 +1,10 @@
+// Service URLs
+const services = {
+  user: process.env.USER_SERVICE_URL || 'http://localhost:3001',
+  training: process.env.TRAINING_SERVICE_URL || 'http://localhost:3002',
+  schedule: process.env.SCHEDULE_SERVICE_URL || 'http://localhost:8003',
+  progress: process.env.PROGRESS_SERVICE_URL || 'http://localhost:8004',
+  notification: process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:3005'
+};
+
+module.exports = services;
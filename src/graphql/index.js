@@ -0,0 +1,86 @@
+const { parse, validate, execute, specifiedRules, GraphQLError } = require('graphql');
+const logger = require('../config/logger');
+const upstream = require('../utils/upstream');
+const { schema } = require('./schema');
+const { createLoaders } = require('./loaders');
+const { queryLimits } = require('./limits');
+
+const validationRules = [...specifiedRules, queryLimits()];
+
+const requestError = (res, message, code = 'BAD_REQUEST') => res.status(400).json({
+  errors: [{ message, extensions: { code } }]
+});
+
+// GET carries the operation in the query string, POST in a JSON body
+const readOperation = (req) => {
+  if (req.method !== 'GET') {
+    return req.body || {};
+  }
+  const { query, operationName } = req.query;
+  return {
+    query,
+    operationName,
+    variables: req.query.variables ? JSON.parse(req.query.variables) : undefined
+  };
+};
+
+/**
+ * GraphQL endpoint over the FitSync services. Resolvers call the services as
+ * the caller (their Authorization header is forwarded) through one per-request
+ * loader, so repeated lookups are fetched once. Operations that are too deep
+ * or costly are refused before any call (see limits). Expects authorize() to
+ * have set req.user. Field errors come back in `errors` next to partial `data`.
+ */
+const graphqlHandler = async (req, res) => {
+  let operation;
+  try {
+    operation = readOperation(req);
+  } catch (error) {
+    return requestError(res, 'variables must be a JSON object');
+  }
+
+  const { query, variables, operationName } = operation;
+  if (typeof query !== 'string' || !query.trim()) {
+    return requestError(res, 'Must provide a query string');
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return res.status(400).json({ errors: [error] });
+  }
+
+  const validationErrors = validate(schema, document, validationRules);
+  if (validationErrors.length) {
+    return res.status(400).json({ errors: validationErrors });
+  }
+
+  try {
+    const result = await execute({
+      schema,
+      document,
+      operationName,
+      variableValues: variables,
+      contextValue: {
+        user: req.user,
+        loaders: createLoaders(upstream.forRequest(req))
+      }
+    });
+
+    if (result.errors) {
+      logger.warn('GraphQL query resolved with errors', {
+        errors: result.errors.map(error => error.message),
+        correlationId: req.correlationId
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('GraphQL execution failed', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({ errors: [new GraphQLError('Failed to execute query', { extensions: { code: 'INTERNAL_ERROR' } })] });
+  }
+};
+
+module.exports = {
+  graphqlHandler
+};
@@ -0,0 +1,90 @@
+const { GraphQLError, Kind, getNamedType, getNullableType, isListType } = require('graphql');
+const { MAX_LIMIT } = require('./schema');
+
+const MAX_DEPTH = parseInt(process.env.GRAPHQL_MAX_DEPTH) || 8;
+const MAX_COST = parseInt(process.env.GRAPHQL_MAX_COST) || 1000;
+
+// Records assumed for a list field without a limit argument (Program.workouts)
+const UNBOUNDED_LIST_SIZE = 20;
+
+// How many records a list field may return: its limit as the resolvers clamp it, or the
+// most it could be when the limit comes from a variable
+const listSize = (fieldDef, node) => {
+  const limitArg = fieldDef.args.find(arg => arg.name === 'limit');
+  if (!limitArg) {
+    return UNBOUNDED_LIST_SIZE;
+  }
+  const given = (node.arguments || []).find(arg => arg.name.value === 'limit');
+  if (!given) {
+    return Math.min(limitArg.defaultValue || MAX_LIMIT, MAX_LIMIT);
+  }
+  return given.value.kind === Kind.INT
+    ? Math.min(Math.max(parseInt(given.value.value, 10) || 1, 1), MAX_LIMIT)
+    : MAX_LIMIT;
+};
+
+const combine = (a, b) => ({ depth: Math.max(a.depth, b.depth), cost: a.cost + b.cost });
+
+/**
+ * Depth and cost of a selection set. Each object field costs 1 per record it resolves for,
+ * so a list multiplies what is selected under it; scalar fields are free. Fragments are
+ * followed once per path, so a cycle (reported by NoFragmentCyclesRule) can't recurse forever.
+ */
+const measure = (context, selectionSet, parentType, fragments) => selectionSet.selections.reduce((total, selection) => {
+  if (selection.kind === Kind.FRAGMENT_SPREAD) {
+    const name = selection.name.value;
+    const fragment = context.getFragment(name);
+    if (!fragment || fragments.has(name)) {
+      return total;
+    }
+    const type = context.getSchema().getType(fragment.typeCondition.name.value) || parentType;
+    return combine(total, measure(context, fragment.selectionSet, type, new Set([...fragments, name])));
+  }
+  if (selection.kind === Kind.INLINE_FRAGMENT) {
+    const type = selection.typeCondition
+      ? context.getSchema().getType(selection.typeCondition.name.value) || parentType
+      : parentType;
+    return combine(total, measure(context, selection.selectionSet, type, fragments));
+  }
+
+  const fieldDef = parentType.getFields && parentType.getFields()[selection.name.value];
+  if (!fieldDef || !selection.selectionSet) {
+    // Scalars, __typename and introspection (limited by MaxIntrospectionDepthRule)
+    return combine(total, { depth: 1, cost: 0 });
+  }
+  const nested = measure(context, selection.selectionSet, getNamedType(fieldDef.type), fragments);
+  const records = isListType(getNullableType(fieldDef.type)) ? listSize(fieldDef, selection) : 1;
+  return combine(total, { depth: nested.depth + 1, cost: records + records * nested.cost });
+}, { depth: 0, cost: 0 });
+
+/**
+ * Validation rule rejecting operations nested deeper than maxDepth fields, or whose cost
+ * (records they could resolve, see measure) is over maxCost, before any upstream call.
+ */
+const queryLimits = ({ maxDepth = MAX_DEPTH, maxCost = MAX_COST } = {}) => (context) => ({
+  OperationDefinition(node) {
+    const rootType = context.getSchema().getRootType(node.operation);
+    if (!rootType) {
+      return;
+    }
+    const { depth, cost } = measure(context, node.selectionSet, rootType, new Set());
+    if (depth > maxDepth) {
+      context.reportError(new GraphQLError(`Query is nested ${depth} levels deep; the limit is ${maxDepth}`, {
+        nodes: [node],
+        extensions: { code: 'QUERY_TOO_DEEP', depth, maxDepth }
+      }));
+    }
+    if (cost > maxCost) {
+      context.reportError(new GraphQLError(`Query could resolve ${cost} records; the limit is ${maxCost}`, {
+        nodes: [node],
+        extensions: { code: 'QUERY_TOO_COMPLEX', cost, maxCost }
+      }));
+    }
+  }
+});
+
+module.exports = {
+  queryLimits,
+  MAX_DEPTH,
+  MAX_COST
+};
@@ -0,0 +1,131 @@
+const DataLoader = require('dataloader');
+const { GraphQLError } = require('graphql');
+const { CircuitOpenError } = require('../utils/circuitBreaker');
+
+const MAX_UPSTREAM_CALLS = parseInt(process.env.GRAPHQL_MAX_UPSTREAM_CALLS) || 50;
+// Most ids asked for in one list-by-ids call, as much as any list endpoint returns
+const MAX_IDS_PER_CALL = 100;
+
+// `service:collection` list endpoints that take ?ids=a,b,c, comma-separated
+const LIST_BY_IDS = (process.env.GRAPHQL_LIST_BY_IDS === undefined ? 'user:/api/users' : process.env.GRAPHQL_LIST_BY_IDS)
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+// Upstream failures surface as field errors; a 404 just resolves the field to null
+const toGraphQLError = (service, error) => {
+  if (error instanceof GraphQLError) {
+    return error;
+  }
+  if (error instanceof CircuitOpenError) {
+    return new GraphQLError(`The ${service} service is temporarily unavailable`, {
+      extensions: { code: 'SERVICE_UNAVAILABLE', service, retryAfterSeconds: error.retryAfterSeconds }
+    });
+  }
+  if (error.response && error.response.status === 403) {
+    return new GraphQLError('Insufficient permissions for this resource', { extensions: { code: 'FORBIDDEN', service } });
+  }
+  return new GraphQLError(`The ${service} service request failed`, {
+    extensions: { code: 'UPSTREAM_ERROR', service, status: error.response ? error.response.status : undefined }
+  });
+};
+
+const resourceKey = ({ service, path }) => `${service} ${path}`;
+
+/**
+ * Per-request GET cache for the GraphQL resolvers. Every upstream read made
+ * while resolving one query goes through a single DataLoader, so the same
+ * user, program or list is fetched once however many fields ask for it, and
+ * records from list responses are primed so later lookups by id are free.
+ * Lookups by id made together are fetched in one call where the collection is
+ * in LIST_BY_IDS. An operation makes at most maxCalls upstream calls; the
+ * fields past that fail with UPSTREAM_CALL_LIMIT.
+ *
+ * @param {Object} api - upstream.forRequest(req)
+ * @param {Object} options
+ * @param {number} options.maxCalls - Upstream calls allowed for the operation
+ */
+const createLoaders = (api, { maxCalls = MAX_UPSTREAM_CALLS } = {}) => {
+  let calls = 0;
+  const get = (service, path) => {
+    calls += 1;
+    if (calls > maxCalls) {
+      return Promise.reject(new GraphQLError(`The query needs more than ${maxCalls} upstream calls`, {
+        extensions: { code: 'UPSTREAM_CALL_LIMIT', service, maxCalls }
+      }));
+    }
+    return api.get(service, path);
+  };
+
+  const resources = new DataLoader(keys => Promise.all(keys.map(({ service, path }) => get(service, path)
+    .then(response => response.data, (error) => {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      return toGraphQLError(service, error);
+    }))), { cacheKeyFn: resourceKey });
+
+  // Failures come back as the key's value so the other ids of a batch still resolve
+  const fetchOne = (service, collection, id) => resources.load({ service, path: `${collection}/${encodeURIComponent(id)}` })
+    .catch(error => error);
+
+  // One list call for the ids asked for together. Ids it doesn't return - or all of them, if
+  // the call fails - are fetched one by one, so a 404 still resolves to null
+  const fetchMany = async (service, collection, ids) => {
+    const path = `${collection}?ids=${ids.map(id => encodeURIComponent(id)).join(',')}&limit=${ids.length}`;
+    const records = await get(service, path)
+      .then(response => (Array.isArray(response.data && response.data.data) ? response.data.data : []), () => []);
+    const found = new Map(records.filter(Boolean).map(record => [String(record.id), record]));
+    return Promise.all(ids.map(id => (found.has(String(id))
+      ? { success: true, data: found.get(String(id)) }
+      : fetchOne(service, collection, id))));
+  };
+
+  // Lookups by id, one loader per collection
+  const byId = new Map();
+  const idLoader = (service, collection) => {
+    const name = `${service}:${collection}`;
+    if (!byId.has(name)) {
+      byId.set(name, new DataLoader((ids) => (ids.length > 1 && LIST_BY_IDS.includes(name)
+        ? fetchMany(service, collection, ids)
+        : Promise.all(ids.map(id => fetchOne(service, collection, id)))), { cacheKeyFn: String, maxBatchSize: MAX_IDS_PER_CALL }));
+    }
+    return byId.get(name);
+  };
+
+  // Seeds lookups of listed records by id so they skip the call
+  const prime = (service, collection, records) => {
+    records.forEach((record) => {
+      if (record && record.id !== undefined) {
+        idLoader(service, collection).prime(record.id, { success: true, data: record });
+      }
+    });
+  };
+
+  return {
+    // A single record by id, or null when the service doesn't know it
+    one: async (service, collection, id) => {
+      const body = await idLoader(service, collection).load(id);
+      return (body && body.data) || null;
+    },
+
+    // A list endpoint; query values that are undefined are left out
+    list: async (service, collection, query = {}) => {
+      const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== undefined && value !== null));
+      const path = params.toString() ? `${collection}?${params}` : collection;
+      const body = await resources.load({ service, path });
+      const records = body && Array.isArray(body.data) ? body.data : [];
+      prime(service, collection, records);
+      return records;
+    },
+
+    // Any other GET, returning the whole response body
+    raw: (service, path) => resources.load({ service, path })
+  };
+};
+
+module.exports = {
+  createLoaders,
+  MAX_UPSTREAM_CALLS,
+  toGraphQLError
+};
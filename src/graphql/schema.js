@@ -0,0 +1,285 @@
+const { buildSchema, GraphQLError } = require('graphql');
+const { canViewClient, canViewTrainer } = require('../middleware/auth');
+
+const MAX_LIMIT = 100;
+
+// Field names follow the REST payloads (snake_case) so records pass through unchanged
+const typeDefs = `
+  scalar JSON
+
+  enum Role {
+    client
+    trainer
+    admin
+  }
+
+  type Query {
+    "The signed-in user"
+    me: User
+    user(id: ID!): User
+    "Admins may list any role, trainers only clients"
+    users(role: Role, limit: Int = 20): [User!]!
+    program(id: ID!): Program
+    programs(client_id: ID, trainer_id: ID, status: String, limit: Int = 20): [Program!]!
+    workout(id: ID!): Workout
+    booking(id: ID!): Booking
+    bookings(client_id: ID, trainer_id: ID, status: String, limit: Int = 20): [Booking!]!
+    sessions(client_id: ID, trainer_id: ID, limit: Int = 20): [Session!]!
+    "System totals, admins only"
+    stats: Stats
+  }
+
+  type User {
+    id: ID!
+    email: String
+    first_name: String
+    last_name: String
+    role: String
+    phone: String
+    created_at: String
+    "Programs the user follows, or coaches when they are a trainer"
+    programs(status: String, limit: Int = 20): [Program!]
+    bookings(status: String, limit: Int = 20): [Booking!]
+    sessions(limit: Int = 20): [Session!]
+    metrics(limit: Int = 20): [Metric!]
+    "Progress analytics summary, clients only"
+    progress: JSON
+    "Only visible to the user themselves and admins"
+    notifications(limit: Int = 20): [Notification!]
+  }
+
+  type Program {
+    id: ID!
+    name: String
+    description: String
+    status: String
+    start_date: String
+    end_date: String
+    client_id: ID
+    trainer_id: ID
+    client: User
+    trainer: User
+    workouts: [Workout!]!
+  }
+
+  type Workout {
+    id: ID!
+    program_id: ID
+    name: String
+    description: String
+    day_of_week: Int
+    exercises: JSON
+    program: Program
+  }
+
+  type Booking {
+    id: ID!
+    client_id: ID
+    trainer_id: ID
+    booking_date: String
+    start_time: String
+    end_time: String
+    status: String
+    type: String
+    notes: String
+    client: User
+    trainer: User
+  }
+
+  type Session {
+    id: ID!
+    booking_id: ID
+    client_id: ID
+    trainer_id: ID
+    workout_id: ID
+    status: String
+    started_at: String
+    ended_at: String
+    notes: String
+    booking: Booking
+    workout: Workout
+    client: User
+    trainer: User
+  }
+
+  type Metric {
+    id: ID!
+    client_id: ID
+    type: String
+    value: Float
+    unit: String
+    recorded_at: String
+  }
+
+  type Notification {
+    id: ID!
+    user_id: ID
+    type: String
+    title: String
+    message: String
+    is_read: Boolean
+    data: JSON
+    created_at: String
+  }
+
+  type Stats {
+    total_users: Int
+    total_trainers: Int
+    total_clients: Int
+    total_programs: Int
+  }
+`;
+
+const forbidden = (message) => new GraphQLError(message, { extensions: { code: 'FORBIDDEN' } });
+
+const clampLimit = (limit) => Math.min(Math.max(limit || 1, 1), MAX_LIMIT);
+
+// The dashboard rules, applied per record: client data follows canViewClient,
+// anyone else's (trainers, admins) only the user themselves and admins see
+const canViewUser = (viewer, user) => (user.role === 'client'
+  ? canViewClient(viewer, user.id)
+  : viewer.role === 'admin' || String(viewer.id) === String(user.id));
+
+const canViewRecord = (viewer, record) => (record.client_id !== undefined && record.client_id !== null
+  ? canViewClient(viewer, record.client_id)
+  : canViewTrainer(viewer, record.trainer_id));
+
+// List queries must be scoped to a client or trainer the caller may see; only admins list everything
+const canQuery = (viewer, { client_id, trainer_id }) => {
+  if (client_id !== undefined && client_id !== null) {
+    return canViewClient(viewer, client_id);
+  }
+  if (trainer_id !== undefined && trainer_id !== null) {
+    return canViewTrainer(viewer, trainer_id);
+  }
+  return viewer.role === 'admin';
+};
+
+// Wraps a User field that exposes the user's own records
+const userRecords = (resolve) => (user, args, context) => {
+  if (!canViewUser(context.user, user)) {
+    throw forbidden('Cannot access this user\'s records');
+  }
+  return resolve(user, args, context);
+};
+
+// Resolves a single record and hides it from callers who may not see it
+const record = (service, collection) => async (source, { id }, { user, loaders }) => {
+  const found = await loaders.one(service, collection, id);
+  if (found && !canViewRecord(user, found)) {
+    throw forbidden('Cannot access this record');
+  }
+  return found;
+};
+
+const scopedList = (service, collection) => (source, { limit, ...filters }, { user, loaders }) => {
+  if (!canQuery(user, filters)) {
+    throw forbidden('Filter by a client or trainer you can access');
+  }
+  return loaders.list(service, collection, { ...filters, limit: clampLimit(limit) });
+};
+
+// Trainers' records are keyed by trainer_id, everyone else's by client_id
+const ownerFilter = (user) => (user.role === 'trainer' ? { trainer_id: user.id } : { client_id: user.id });
+
+const userById = (field) => (source, args, { loaders }) => (source[field] === undefined || source[field] === null
+  ? null
+  : loaders.one('user', '/api/users', source[field]));
+
+const totalCount = async (loaders, service, path) => {
+  const body = await loaders.raw(service, path);
+  return (body && body.pagination && body.pagination.total_count) || 0;
+};
+
+const resolvers = {
+  Query: {
+    me: (source, args, { user, loaders }) => loaders.one('user', '/api/users', user.id),
+    user: (source, { id }, { loaders }) => loaders.one('user', '/api/users', id),
+    users: (source, { role, limit }, { user, loaders }) => {
+      if (user.role !== 'admin' && !(user.role === 'trainer' && role === 'client')) {
+        throw forbidden('Only admins can list users other than clients');
+      }
+      return loaders.list('user', '/api/users', { role, limit: clampLimit(limit) });
+    },
+    program: record('training', '/api/programs'),
+    programs: scopedList('training', '/api/programs'),
+    workout: (source, { id }, { loaders }) => loaders.one('training', '/api/workouts', id),
+    booking: record('schedule', '/api/bookings'),
+    bookings: scopedList('schedule', '/api/bookings'),
+    sessions: scopedList('schedule', '/api/sessions'),
+    stats: async (source, args, { user, loaders }) => {
+      if (user.role !== 'admin') {
+        throw forbidden('Only admins can view system stats');
+      }
+      const [total_users, total_trainers, total_clients, total_programs] = await Promise.all([
+        totalCount(loaders, 'user', '/api/users?limit=1'),
+        totalCount(loaders, 'user', '/api/users?role=trainer&limit=1'),
+        totalCount(loaders, 'user', '/api/users?role=client&limit=1'),
+        totalCount(loaders, 'training', '/api/programs?limit=1')
+      ]);
+      return { total_users, total_trainers, total_clients, total_programs };
+    }
+  },
+
+  User: {
+    programs: userRecords((user, { status, limit }, { loaders }) =>
+      loaders.list('training', '/api/programs', { ...ownerFilter(user), status, limit: clampLimit(limit) })),
+    bookings: userRecords((user, { status, limit }, { loaders }) =>
+      loaders.list('schedule', '/api/bookings', { ...ownerFilter(user), status, limit: clampLimit(limit) })),
+    sessions: userRecords((user, { limit }, { loaders }) =>
+      loaders.list('schedule', '/api/sessions', { ...ownerFilter(user), limit: clampLimit(limit) })),
+    metrics: userRecords((user, { limit }, { loaders }) =>
+      loaders.list('progress', '/api/metrics', { client_id: user.id, limit: clampLimit(limit) })),
+    progress: userRecords(async (user, args, { loaders }) => {
+      if (user.role !== 'client') {
+        return null;
+      }
+      const body = await loaders.raw('progress', `/api/analytics/client/${encodeURIComponent(user.id)}`);
+      return body ? body.data : null;
+    }),
+    notifications: (user, { limit }, { user: viewer, loaders }) => {
+      if (viewer.role !== 'admin' && String(viewer.id) !== String(user.id)) {
+        throw forbidden('Cannot access another user\'s notifications');
+      }
+      return loaders.list('notification', '/api/notifications', { user_id: user.id, limit: clampLimit(limit) });
+    }
+  },
+
+  Program: {
+    client: userById('client_id'),
+    trainer: userById('trainer_id'),
+    workouts: (program, args, { loaders }) => loaders.list('training', '/api/workouts', { program_id: program.id })
+  },
+
+  Workout: {
+    program: (workout, args, context) => (workout.program_id === undefined || workout.program_id === null
+      ? null
+      : record('training', '/api/programs')(workout, { id: workout.program_id }, context))
+  },
+
+  Booking: {
+    client: userById('client_id'),
+    trainer: userById('trainer_id')
+  },
+
+  Session: {
+    booking: (session, args, { loaders }) => (session.booking_id ? loaders.one('schedule', '/api/bookings', session.booking_id) : null),
+    workout: (session, args, { loaders }) => (session.workout_id ? loaders.one('training', '/api/workouts', session.workout_id) : null),
+    client: userById('client_id'),
+    trainer: userById('trainer_id')
+  }
+};
+
+// buildSchema has no resolver map, so resolvers are attached to the built fields
+const schema = buildSchema(typeDefs);
+Object.entries(resolvers).forEach(([typeName, fields]) => {
+  const typeFields = schema.getType(typeName).getFields();
+  Object.entries(fields).forEach(([fieldName, resolve]) => {
+    typeFields[fieldName].resolve = resolve;
+  });
+});
+
+module.exports = {
+  schema,
+  MAX_LIMIT
+};
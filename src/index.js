@@ -1,28 +1,66 @@
 require('dotenv').config();
+const http = require('http');
+const https = require('https');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const { createProxyMiddleware } = require('http-proxy-middleware');
-const jwt = require('jsonwebtoken');
 const logger = require('./config/logger');
-const { v4: uuidv4 } = require('uuid');
+const services = require('./config/services');
+const { connectRedis, closeRedis } = require('./config/redis');
+const { CONFIG_FILE, loadGatewayConfig, applyServices, watchGatewayConfig } = require('./config/gatewayConfig');
+const { verifyToken, authorize, AUTHENTICATED } = require('./middleware/auth');
+const { createRateLimiter } = require('./middleware/rateLimiter');
+const { createResponseCache } = require('./middleware/responseCache');
+const { createIdempotency } = require('./middleware/idempotency');
+const { apiVersioning, logVersionUsage } = require('./middleware/apiVersion');
+const { getBreaker, circuitGuard } = require('./utils/circuitBreaker');
+const { retryableProxy, retryProxyRequest, ATTEMPTS_HEADER } = require('./utils/retry');
+const upstream = require('./utils/upstream');
+const { getBalancer } = require('./utils/loadBalancer');
+const { metricsMiddleware, metricsHandler, startUpstreamTimer, recordProxyError } = require('./utils/metrics');
+const { setReady, checkReadiness, latestDependencies } = require('./utils/healthCheck');
+const { revokeUserTokens, revokeFromAuthResponse } = require('./utils/tokenRevocation');
+const { tracingMiddleware, startUpstreamSpan, flushSpans } = require('./utils/tracing');
+const { validateBooking } = require('./utils/bookingValidation');
+const { runSaga, recoverSagas } = require('./utils/saga');
+const { BOOKING_SAGA, sendBookingError } = require('./utils/bookingSaga');
+const { graphqlHandler } = require('./graphql');
+const { validateBatch, runBatch, createLoopbackClient, refuseNestedBatch } = require('./utils/batch');
+const { createDashboard } = require('./utils/dashboard');
+const { clientDashboard } = require('./utils/clientDashboard');
+const { clientWeeklyDashboard } = require('./utils/clientWeeklyDashboard');
+const { trainerDashboard } = require('./utils/trainerDashboard');
+const { adminDashboard } = require('./utils/adminDashboard');
+const {
+  STREAM_PATH,
+  tokenFromQuery,
+  sseHandler,
+  attachNotificationSocket,
+  startNotificationStream,
+  stopNotificationStream
+} = require('./utils/notificationStream');
+const { createShutdown } = require('./utils/shutdown');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
+// Upstream calls (proxy and axios) go through the global agents; their idle sockets would hold the process open
+const lifecycle = createShutdown({ agents: [http.globalAgent, https.globalAgent] });
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
-
-// Service URLs
-const services = {
-  user: process.env.USER_SERVICE_URL || 'http://localhost:3001',
-  training: process.env.TRAINING_SERVICE_URL || 'http://localhost:3002',
-  schedule: process.env.SCHEDULE_SERVICE_URL || 'http://localhost:8003',
-  progress: process.env.PROGRESS_SERVICE_URL || 'http://localhost:8004',
-  notification: process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:3005'
+// Hooks a route in the gateway config can name in `onResponse`
+const responseHooks = {
+  revokeTokens: revokeFromAuthResponse
 };
+const configOptions = { hooks: Object.keys(responseHooks) };
+
+// Fail fast on a bad config at startup; on reload a bad file is rejected instead
+let gatewayConfig = loadGatewayConfig(CONFIG_FILE, configOptions);
+applyServices(gatewayConfig);
 
 // Middleware
+// Counts in-flight requests for graceful shutdown
+app.use(lifecycle.trackRequests);
+
 app.use(helmet());
 app.use(cors({
   origin: '*',
@@ -31,67 +69,38 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Correlation ID middleware
-app.use((req, res, next) => {
-  req.correlationId = uuidv4();
-  res.setHeader('X-Correlation-ID', req.correlationId);
-  next();
-});
+// Correlation ID and W3C trace context - inbound values are honored when valid
+app.use(tracingMiddleware);
+
+// Request counts and latency for /metrics
+app.use(metricsMiddleware);
+
+// API version from /api/vN/ or Accept-Version; strips the prefix for everything below
+app.use(apiVersioning(() => gatewayConfig.versions));
 
 // Request logging
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`, {
     correlationId: req.correlationId,
+    traceId: req.trace.traceId,
+    apiVersion: req.apiVersion,
     ip: req.ip
   });
   next();
 });
 
-// Rate limiting - Relaxed for development
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000, // 1000 requests per minute
-  message: {
-    success: false,
-    error: {
-      code: 'RATE_LIMIT_EXCEEDED',
-      message: 'Too many requests, please try again later'
-    }
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  skip: () => process.env.NODE_ENV === 'development' // Disable in development
-});
-
-app.use('/api/', limiter);
-
-// JWT verification middleware (optional - services also verify)
-const verifyToken = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    // Allow through - let individual services handle auth
-    return next();
-  }
-
-  const token = authHeader.substring(7);
-
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET, {
-      issuer: 'fitsync-user-service',
-      audience: 'fitsync-api'
-    });
-    req.user = decoded;
-    logger.debug('Token verified', { userId: decoded.id, role: decoded.role });
-  } catch (error) {
-    logger.warn('Token verification failed', { error: error.message });
-    // Don't block - let service handle
-  }
+// JWT verification - decodes req.user; route policies below decide who gets through.
+// The notification stream also accepts ?access_token= since EventSource can't set headers.
+app.use(STREAM_PATH, tokenFromQuery);
+app.use('/api/', verifyToken);
+app.use('/graphql', verifyToken);
 
-  next();
-};
+// Rate limiting - shared across replicas via Redis, keyed per user or IP.
+// Registered after verifyToken so limits can depend on the caller's role.
+const limiter = createRateLimiter();
 
-app.use('/api/', verifyToken);
+app.use('/api/', limiter);
+app.use('/graphql', limiter);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -109,13 +118,68 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Proxy configuration
-const proxyOptions = (target) => ({
-  target,
+// Prometheus metrics
+app.get('/metrics', metricsHandler);
+
+// Liveness - the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({
+    status: 'alive',
+    service: 'api-gateway',
+    uptime_seconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Readiness - accepting traffic and critical upstreams reachable
+app.get('/health/ready', async (req, res) => {
+  const readiness = await checkReadiness();
+
+  res.status(readiness.ready ? 200 : 503).json({
+    status: readiness.ready ? 'ready' : 'not_ready',
+    service: 'api-gateway',
+    ...(readiness.reason && { reason: readiness.reason }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Dependency health - probes every service and Redis with a timeout. Public and not rate
+// limited, so it answers from the report readiness keeps for HEALTH_READINESS_CACHE_MS
+app.get('/health/deps', async (req, res) => {
+  const report = await latestDependencies();
+
+  res.status(report.status === 'down' ? 503 : 200).json({
+    status: report.status,
+    service: 'api-gateway',
+    dependencies: report.dependencies,
+    checked_at: new Date(report.checkedAt).toISOString(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Proxy configuration - onResponse lets a route inspect upstream responses
+const releaseInstance = (service, req, failed) => {
+  if (req.upstreamInstance) {
+    getBalancer(service).release(req.upstreamInstance, failed);
+    req.upstreamInstance = null;
+  }
+};
+
+const proxyOptions = (service, { onResponse } = {}) => ({
+  target: services[service],
   changeOrigin: true,
+  // Each attempt goes to an instance picked by the service's load balancer
+  router: (req) => {
+    req.upstreamInstance = getBalancer(service).pick(req.user && req.user.id);
+    return req.upstreamInstance.url;
+  },
   onProxyReq: (proxyReq, req) => {
-    // Add correlation ID
-    proxyReq.setHeader('X-Correlation-ID', req.correlationId);
+    req.endUpstreamTimer = startUpstreamTimer(service, 'proxy', req.method);
+
+    // Correlation ID and trace context, with a child span per attempt
+    const hop = startUpstreamSpan(req, service, req.method, req.originalUrl);
+    req.upstreamSpan = hop.span;
+    Object.entries(hop.headers).forEach(([name, value]) => proxyReq.setHeader(name, value));
 
     // Forward auth header
     if (req.headers.authorization) {
@@ -130,16 +194,58 @@ const proxyOptions = (target) => ({
       proxyReq.write(bodyData);
     }
 
-    logger.debug(`Proxying ${req.method} ${req.path} to ${target}`);
+    logger.debug(`Proxying ${req.method} ${req.path} to ${services[service]}`);
   },
-  onProxyRes: (proxyRes, req) => {
-    logger.debug(`Received response from ${target}`, {
+  onProxyRes: (proxyRes, req, res) => {
+    req.endUpstreamTimer(proxyRes.statusCode);
+    req.upstreamSpan.end({
+      'http.status_code': proxyRes.statusCode,
+      error: proxyRes.statusCode >= 500 ? true : undefined
+    });
+    releaseInstance(service, req, proxyRes.statusCode >= 500);
+    logger.debug(`Received response from ${services[service]}`, {
       status: proxyRes.statusCode,
       correlationId: req.correlationId
     });
+
+    if (proxyRes.statusCode >= 500) {
+      getBreaker(service).recordFailure();
+    } else {
+      getBreaker(service).recordSuccess();
+    }
+    res.setHeader(ATTEMPTS_HEADER, String(req.proxyAttempts || 1));
+    if (req.proxyAttempts > 1) {
+      logger.info(`Proxied ${req.method} ${req.originalUrl} succeeded after retries`, {
+        attempts: req.proxyAttempts,
+        correlationId: req.correlationId
+      });
+    }
+
+    if (onResponse) {
+      onResponse(proxyRes, req, res);
+    }
   },
   onError: (err, req, res) => {
-    logger.error(`Proxy error for ${req.path}:`, err);
+    if (req.endUpstreamTimer) {
+      req.endUpstreamTimer('error');
+    }
+    if (req.upstreamSpan) {
+      req.upstreamSpan.end({ error: err.code || err.message });
+      req.upstreamSpan = null;
+    }
+    releaseInstance(service, req, true);
+    recordProxyError(service, err.code);
+    getBreaker(service).recordFailure();
+    if (retryProxyRequest(service, err, req, res)) {
+      return;
+    }
+
+    logger.error(`Proxy error for ${req.path}:`, {
+      error: err.message,
+      attempts: req.proxyAttempts,
+      correlationId: req.correlationId
+    });
+    res.setHeader(ATTEMPTS_HEADER, String(req.proxyAttempts || 1));
     res.status(502).json({
       success: false,
       error: {
@@ -152,214 +258,171 @@ const proxyOptions = (target) => ({
 });
 
 // Composite endpoints (multi-service orchestration)
-const axios = require('axios');
+// Upstream calls go through each service's circuit breaker; an open breaker
+// rejects immediately, so fan-outs skip that section instead of waiting on it.
+// Idempotent calls are retried with backoff (see utils/retry).
 
-// Client Dashboard - aggregates data from multiple services
-app.get('/api/dashboard/client/:id', verifyToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const token = req.headers.authorization;
+// Dashboards - each section names the upstream sources it's built from, so
+// ?include= only calls the services those sections need (see utils/dashboard)
 
-    // Verify user has permission (clients can only see their own dashboard)
-    if (req.user && req.user.role === 'client' && req.user.id !== id) {
-      return res.status(403).json({
-        success: false,
-        error: { code: 'FORBIDDEN', message: 'Cannot access other client dashboards' }
-      });
-    }
+// Client Dashboard - profile, programs, bookings and progress; see utils/clientDashboard
+app.get('/api/dashboard/client/:id', authorize(['client', 'trainer', 'admin']), createDashboard(clientDashboard));
+
+// Client Weekly Summary - one ISO week (?week=YYYY-Www); see utils/clientWeeklyDashboard
+app.get('/api/dashboard/client/:id/weekly', authorize(['client', 'trainer', 'admin']), createDashboard(clientWeeklyDashboard));
+
+// Trainer Dashboard - today's schedule, the coming week and programs; see utils/trainerDashboard
+app.get('/api/dashboard/trainer/:id', authorize(['trainer', 'admin']), createDashboard(trainerDashboard));
+
+// Admin Dashboard - system overview; see utils/adminDashboard
+app.get('/api/dashboard/admin', authorize(['admin']), createDashboard(adminDashboard));
+
+// GraphQL over all five services - the dashboard role checks apply per field
+app.route('/graphql')
+  .get(authorize(AUTHENTICATED), graphqlHandler)
+  .post(authorize(AUTHENTICATED), graphqlHandler);
 
-    // Parallel requests to multiple services
-    const [profile, programs, bookings, analytics] = await Promise.allSettled([
-      axios.get(`${services.user}/api/users/${id}`, { headers: { Authorization: token } }),
-      axios.get(`${services.training}/api/programs?client_id=${id}&limit=5`, { headers: { Authorization: token } }),
-      axios.get(`${services.schedule}/api/bookings?client_id=${id}&status=scheduled&limit=5`, { headers: { Authorization: token } }),
-      axios.get(`${services.progress}/api/analytics/client/${id}`, { headers: { Authorization: token } })
-    ]);
+// Real-time notifications as Server-Sent Events; the same path upgrades to a
+// WebSocket (see attachNotificationSocket below). Ahead of the proxied /api/notifications.
+app.get(STREAM_PATH, authorize(AUTHENTICATED), sseHandler);
 
+// Batch - several API calls in one round trip; each sub-request is replayed
+// through the gateway itself (see utils/batch) and counts against rate limits
+app.post('/api/batch', authorize(AUTHENTICATED), refuseNestedBatch, async (req, res) => {
+  const { errors, requests } = validateBatch(req.body);
+  if (errors.length) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: errors[0].code === 'BATCH_TOO_LARGE' ? 'BATCH_TOO_LARGE' : 'INVALID_BATCH',
+        message: errors.length === 1 ? errors[0].message : 'Batch request is invalid',
+        fields: errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  try {
+    const responses = await runBatch(requests, createLoopbackClient(req));
     res.json({
       success: true,
-      data: {
-        profile: profile.status === 'fulfilled' ? profile.value.data.data : null,
-        active_programs: programs.status === 'fulfilled' ? programs.value.data.data : [],
-        upcoming_bookings: bookings.status === 'fulfilled' ? bookings.value.data.data : [],
-        progress_summary: analytics.status === 'fulfilled' ? analytics.value.data.data : null
-      },
+      data: responses,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Client dashboard error:', error);
+    logger.error('Batch request error:', { error: error.message, correlationId: req.correlationId });
     res.status(500).json({
       success: false,
-      error: { code: 'DASHBOARD_ERROR', message: 'Failed to load dashboard' }
+      error: { code: 'BATCH_FAILED', message: 'Failed to run batch', timestamp: new Date().toISOString() }
     });
   }
 });
 
-// Trainer Dashboard - aggregates trainer-specific data
-app.get('/api/dashboard/trainer/:id', verifyToken, async (req, res) => {
+// Booking creation with validation - orchestrates multiple services
+// A retried request with the same Idempotency-Key gets the first response instead of a second booking
+const bookingIdempotency = createIdempotency('/api/bookings/validated', {
+  ttl: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60
+});
+
+app.post('/api/bookings/validated', authorize(AUTHENTICATED), bookingIdempotency, async (req, res) => {
   try {
-    const { id } = req.params;
-    const token = req.headers.authorization;
+    const api = upstream.forRequest(req);
 
-    // Verify user has permission
-    if (req.user && req.user.role === 'trainer' && req.user.id !== id) {
-      return res.status(403).json({
-        success: false,
-        error: { code: 'FORBIDDEN', message: 'Cannot access other trainer dashboards' }
-      });
-    }
+    // Payload, caller, trainer, client and availability - see utils/bookingValidation
+    const { trainer_id, client_id, booking_date, start_time, end_time, type, gym_id, notes } =
+      await validateBooking(api, req.user, req.body);
 
-    const today = new Date().toISOString().split('T')[0];
-
-    // Parallel requests
-    const [profile, programs, todayBookings, clients] = await Promise.allSettled([
-      axios.get(`${services.user}/api/users/${id}`, { headers: { Authorization: token } }),
-      axios.get(`${services.training}/api/programs?trainer_id=${id}&status=active&limit=10`, { headers: { Authorization: token } }),
-      axios.get(`${services.schedule}/api/bookings?trainer_id=${id}&limit=20`, { headers: { Authorization: token } }),
-      axios.get(`${services.user}/api/users?role=client&limit=50`, { headers: { Authorization: token } })
-    ]);
-
-    // Filter today's bookings
-    let todaySchedule = [];
-    if (todayBookings.status === 'fulfilled') {
-      todaySchedule = todayBookings.value.data.data.filter(b =>
-        b.booking_date === today || new Date(b.booking_date).toISOString().split('T')[0] === today
-      );
-    }
+    // Create the booking and notify the trainer; the booking is cancelled if notifying fails.
+    // A retry with the same Idempotency-Key reuses the first run's upstream keys
+    const idempotencyKey = req.headers['idempotency-key'];
+    const { createBooking } = await runSaga(BOOKING_SAGA, {
+      booking: { trainer_id, client_id, booking_date, start_time, end_time, type, gym_id, notes }
+    }, { api, key: idempotencyKey && `${req.user.id}:${idempotencyKey}` });
 
-    res.json({
-      success: true,
-      data: {
-        profile: profile.status === 'fulfilled' ? profile.value.data.data : null,
-        active_clients: programs.status === 'fulfilled' ? programs.value.data.data.length : 0,
-        today_schedule: todaySchedule,
-        recent_programs: programs.status === 'fulfilled' ? programs.value.data.data : []
-      },
-      timestamp: new Date().toISOString()
-    });
+    res.status(201).json(createBooking);
   } catch (error) {
-    logger.error('Trainer dashboard error:', error);
-    res.status(500).json({
-      success: false,
-      error: { code: 'DASHBOARD_ERROR', message: 'Failed to load dashboard' }
-    });
+    sendBookingError(res, error);
   }
 });
 
-// Admin Dashboard - system overview
-app.get('/api/dashboard/admin', verifyToken, async (req, res) => {
+// Revoke every session for a user (deactivation, compromised account)
+app.post('/api/admin/users/:id/revoke-sessions', authorize(['admin']), async (req, res) => {
   try {
-    const token = req.headers.authorization;
-
-    // Verify admin role
-    if (req.user && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: { code: 'FORBIDDEN', message: 'Admin access required' }
-      });
-    }
+    const { id } = req.params;
+    const revokedBefore = await revokeUserTokens(id);
 
-    // Parallel requests for system stats
-    const [users, trainers, clients, programs] = await Promise.allSettled([
-      axios.get(`${services.user}/api/users?limit=1`, { headers: { Authorization: token } }),
-      axios.get(`${services.user}/api/users?role=trainer&limit=1`, { headers: { Authorization: token } }),
-      axios.get(`${services.user}/api/users?role=client&limit=1`, { headers: { Authorization: token } }),
-      axios.get(`${services.training}/api/programs?limit=1`, { headers: { Authorization: token } })
-    ]);
+    logger.info('Admin revoked user sessions', {
+      userId: id,
+      adminId: req.user.id,
+      correlationId: req.correlationId
+    });
 
     res.json({
       success: true,
       data: {
-        total_users: users.status === 'fulfilled' ? users.value.data.pagination?.total_count || 0 : 0,
-        total_trainers: trainers.status === 'fulfilled' ? trainers.value.data.pagination?.total_count || 0 : 0,
-        total_clients: clients.status === 'fulfilled' ? clients.value.data.pagination?.total_count || 0 : 0,
-        total_programs: programs.status === 'fulfilled' ? programs.value.data.pagination?.total_count || 0 : 0
+        user_id: id,
+        revoked_before: new Date(revokedBefore * 1000).toISOString()
       },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Admin dashboard error:', error);
-    res.status(500).json({
+    logger.error('Session revocation error:', error);
+    res.status(503).json({
       success: false,
-      error: { code: 'DASHBOARD_ERROR', message: 'Failed to load dashboard' }
+      error: { code: 'REVOCATION_FAILED', message: 'Failed to revoke user sessions' }
     });
   }
 });
 
-// Booking creation with validation - orchestrates multiple services
-app.post('/api/bookings/validated', verifyToken, async (req, res) => {
-  try {
-    const token = req.headers.authorization;
-    const { trainer_id, client_id, booking_date, start_time, end_time, type, gym_id, notes } = req.body;
-
-    // Validate trainer exists
-    const trainerCheck = await axios.get(`${services.user}/api/users/${trainer_id}`, {
-      headers: { Authorization: token }
-    }).catch(() => null);
-
-    if (!trainerCheck || trainerCheck.data.data.role !== 'trainer') {
-      return res.status(400).json({
-        success: false,
-        error: { code: 'INVALID_TRAINER', message: 'Invalid trainer ID' }
-      });
-    }
-
-    // Create booking
-    const booking = await axios.post(`${services.schedule}/api/bookings`, {
-      trainer_id,
-      booking_date,
-      start_time,
-      end_time,
-      type,
-      gym_id,
-      notes
-    }, { headers: { Authorization: token } });
-
-    res.status(201).json(booking.data);
-  } catch (error) {
-    logger.error('Validated booking creation error:', error);
-    if (error.response) {
-      return res.status(error.response.status).json(error.response.data);
-    }
-    res.status(500).json({
-      success: false,
-      error: { code: 'BOOKING_FAILED', message: 'Failed to create booking' }
-    });
+// Proxy routes come from the gateway config file (see src/config/gateway.json).
+// `auth` is the route policy: "public", "authenticated" or a list of roles.
+// `cache` opts a prefix into the Redis response cache: ttl in seconds, perUser
+// when responses depend on the caller rather than just the URL.
+// `onResponse` names one of the responseHooks, run on every upstream response.
+const buildRouteChain = ({ path, service, auth, cache, idempotency, pathRewrite, onResponse }) => {
+  const middleware = [authorize(auth)];
+  if (idempotency) {
+    middleware.push(createIdempotency(path, idempotency));
   }
-});
+  if (cache) {
+    middleware.push(createResponseCache(path, cache));
+  }
+  const proxy = createProxyMiddleware({
+    ...proxyOptions(service, { onResponse: responseHooks[onResponse] }),
+    ...(pathRewrite && { pathRewrite })
+  });
+  middleware.push(circuitGuard(service), retryableProxy(proxy));
+
+  const chain = express.Router();
+  chain.use(...middleware);
+  return chain;
+};
+
+// `versions` overrides service and pathRewrite per API version; other versions use the route as is
+const buildProxyRouter = ({ routes }) => {
+  const router = express.Router();
+
+  routes.forEach((route) => {
+    const base = buildRouteChain(route);
+    const versioned = Object.fromEntries(Object.entries(route.versions || {})
+      .map(([version, override]) => [version, buildRouteChain({ ...route, ...override })]));
+
+    router.use(route.path, (req, res, next) => (versioned[req.apiVersion] || base)(req, res, next));
+    logger.info(`Route registered: ${route.path} -> ${services[route.service]}${route.cache ? ` (cached ${route.cache.ttl}s)` : ''}`);
+  });
+
+  return router;
+};
+
+let proxyRouter = buildProxyRouter(gatewayConfig);
 
-// Route definitions
-const routes = [
-  // User Service
-  { path: '/api/auth', target: services.user },
-  { path: '/api/users', target: services.user },
-
-  // Training Service
-  { path: '/api/exercises', target: services.training },
-  { path: '/api/workouts', target: services.training },
-  { path: '/api/diets', target: services.training },
-  { path: '/api/programs', target: services.training },
-
-  // Schedule Service
-  { path: '/api/availability', target: services.schedule },
-  { path: '/api/bookings', target: services.schedule },
-  { path: '/api/sessions', target: services.schedule },
-
-  // Progress Service
-  { path: '/api/metrics', target: services.progress },
-  { path: '/api/workout-logs', target: services.progress },
-  { path: '/api/health-records', target: services.progress },
-  { path: '/api/analytics', target: services.progress },
-  { path: '/api/achievements', target: services.progress },
-
-  // Notification Service
-  { path: '/api/notifications', target: services.notification }
-];
-
-// Apply proxies
-routes.forEach(({ path, target }) => {
-  app.use(path, createProxyMiddleware(proxyOptions(target)));
-  logger.info(`Route registered: ${path} -> ${target}`);
+// The router is swapped in one step; in-flight requests finish on the one they started with
+app.use((req, res, next) => proxyRouter(req, res, next));
+
+const stopWatchingConfig = watchGatewayConfig(CONFIG_FILE, configOptions, (config) => {
+  applyServices(config);
+  proxyRouter = buildProxyRouter(config);
+  gatewayConfig = config;
 });
 
 // 404 handler
@@ -395,18 +458,43 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+connectRedis()
+  .then(() => Promise.all([
+    recoverSagas({ api: upstream.forService() }),
+    startNotificationStream()
+  ]))
+  .catch((error) => {
+    logger.error('Failed to connect to Redis', { error: error.message });
+  });
+
+const server = app.listen(PORT, () => {
+  setReady(true);
   logger.info(`API Gateway running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info('Service routes configured:');
-  routes.forEach(({ path, target }) => {
-    logger.info(`  ${path} -> ${target}`);
+  logger.info(`Service routes configured from ${CONFIG_FILE}:`);
+  gatewayConfig.routes.forEach(({ path, service }) => {
+    logger.info(`  ${path} -> ${services[service]}`);
   });
 });
 
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM signal received: closing server');
-  process.exit(0);
-});
+// WebSocket upgrades for the notification stream
+attachNotificationSocket(server);
+
+// Drain in-flight requests and streams, then release Redis and sockets
+const shutdown = (signal) => {
+  lifecycle.shutdown(server, {
+    signal,
+    closeStreams: stopNotificationStream,
+    cleanup: [
+      ['stopped config watcher', stopWatchingConfig],
+      ['flushed spans', flushSpans],
+      ['logged version usage', logVersionUsage],
+      ['closed Redis', closeRedis]
+    ]
+  }).then(clean => process.exit(clean ? 0 : 1));
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
@@ -0,0 +1,96 @@
+const logger = require('../config/logger');
+
+const VERSION_PATH = /^\/api\/(v\d+)(?=[/?]|$)/;
+const USAGE_LOG_INTERVAL_MS = parseInt(process.env.API_VERSION_USAGE_LOG_INTERVAL_MS) || 60000;
+
+// Accept-Version: 2 and Accept-Version: v2 mean the same thing
+const normalizeVersion = (value) => {
+  const version = String(value).trim().toLowerCase();
+  return /^\d+$/.test(version) ? `v${version}` : version;
+};
+
+const usage = new Map();
+
+const countUsage = (version, deprecated) => {
+  const key = deprecated ? `${version} (deprecated)` : version;
+  usage.set(key, (usage.get(key) || 0) + 1);
+};
+
+/**
+ * Logs and resets the per-version request counts. Runs on an interval; also
+ * exported so shutdown can flush the last window.
+ */
+const logVersionUsage = () => {
+  if (!usage.size) {
+    return;
+  }
+  logger.info('API version usage', { requests: Object.fromEntries(usage) });
+  usage.clear();
+};
+
+setInterval(logVersionUsage, USAGE_LOG_INTERVAL_MS).unref();
+
+const deprecationHeaders = (res, { deprecated, sunset, link }) => {
+  if (deprecated) {
+    res.setHeader('Deprecation', `@${Math.floor(Date.parse(deprecated) / 1000)}`);
+  }
+  if (sunset) {
+    res.setHeader('Sunset', new Date(sunset).toUTCString());
+  }
+  if (link) {
+    res.setHeader('Link', `<${link}>; rel="deprecation"`);
+  }
+};
+
+/**
+ * Resolves the API version from an /api/vN/ prefix, else the Accept-Version
+ * header, else the configured default, and sets req.apiVersion. The prefix is
+ * stripped from req.url and req.originalUrl so routes, rate limit buckets and
+ * proxies only ever see unversioned paths.
+ *
+ * @param {Function} getVersions - Returns the current { default, available } versions config
+ */
+const apiVersioning = (getVersions) => (req, res, next) => {
+  const match = VERSION_PATH.exec(req.url);
+  if (!match && !req.url.startsWith('/api/')) {
+    return next();
+  }
+
+  const { default: defaultVersion, available } = getVersions();
+  let version = defaultVersion;
+  if (match) {
+    version = match[1];
+  } else if (req.headers['accept-version']) {
+    version = normalizeVersion(req.headers['accept-version']);
+  }
+
+  if (!available[version]) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'UNSUPPORTED_API_VERSION',
+        message: `API version ${version} is not supported`,
+        supported: Object.keys(available),
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  if (match) {
+    req.url = req.url.replace(VERSION_PATH, '/api');
+    req.originalUrl = req.originalUrl.replace(VERSION_PATH, '/api');
+  }
+
+  req.apiVersion = version;
+  res.setHeader('API-Version', version);
+  deprecationHeaders(res, available[version]);
+  countUsage(version, Boolean(available[version].deprecated));
+
+  next();
+};
+
+module.exports = {
+  apiVersioning,
+  normalizeVersion,
+  logVersionUsage
+};
@@ -0,0 +1,133 @@
+const jwt = require('jsonwebtoken');
+const logger = require('../config/logger');
+const services = require('../config/services');
+const { createJwksClient } = require('../utils/jwks');
+const { isTokenRevoked, TokenRevokedError } = require('../utils/tokenRevocation');
+
+// Shared HS256 secret - only accepted while services migrate to asymmetric keys
+const JWT_SECRET = process.env.JWT_SECRET;
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+const verifyOptions = {
+  algorithms: JWT_SECRET ? [...ASYMMETRIC_ALGORITHMS, 'HS256'] : ASYMMETRIC_ALGORITHMS,
+  issuer: process.env.JWT_ISSUER || 'fitsync-user-service',
+  audience: process.env.JWT_AUDIENCE || 'fitsync-api'
+};
+
+const jwks = createJwksClient({
+  uri: process.env.JWKS_URI || `${services.user}/.well-known/jwks.json`,
+  file: process.env.JWKS_FILE,
+  cacheTtlMs: parseInt(process.env.JWKS_CACHE_TTL_MS) || undefined
+});
+
+// Key resolver for jwt.verify: the shared secret for HS256, otherwise the JWKS key named by kid
+const getVerificationKey = (header, callback) => {
+  if (header.alg === 'HS256') {
+    return JWT_SECRET
+      ? callback(null, JWT_SECRET)
+      : callback(new jwt.JsonWebTokenError('HS256 tokens are not accepted'));
+  }
+
+  jwks.getSigningKey(header.kid)
+    .then(key => callback(null, key))
+    .catch(error => callback(new jwt.JsonWebTokenError(error.message)));
+};
+
+// Route policies: anyone, any signed-in user, or a list of allowed roles
+const PUBLIC = 'public';
+const AUTHENTICATED = 'authenticated';
+
+const authError = (res, status, code, message) => res.status(status).json({
+  success: false,
+  error: {
+    code,
+    message,
+    timestamp: new Date().toISOString()
+  }
+});
+
+/**
+ * Decodes the bearer token into req.user when it is valid. Never rejects on its
+ * own - a failure is kept on req.authError so authorize() can report it on
+ * routes that need a user, while public routes ignore stale tokens.
+ */
+const verifyToken = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  const token = authHeader.substring(7);
+
+  jwt.verify(token, getVerificationKey, verifyOptions, (error, decoded) => {
+    if (error) {
+      req.authError = error;
+      logger.warn('Token verification failed', { error: error.message, correlationId: req.correlationId });
+      return next();
+    }
+
+    isTokenRevoked(decoded).then((revoked) => {
+      if (revoked) {
+        req.authError = new TokenRevokedError();
+        logger.warn('Revoked token presented', { userId: decoded.id, jti: decoded.jti, correlationId: req.correlationId });
+      } else {
+        req.user = decoded;
+        logger.debug('Token verified', { userId: decoded.id, role: decoded.role });
+      }
+      next();
+    });
+  });
+};
+
+/**
+ * Enforces a route policy after verifyToken has run.
+ *
+ * @param {'public'|'authenticated'|string[]} policy - Roles allowed when an array
+ */
+const authorize = (policy = AUTHENTICATED) => (req, res, next) => {
+  if (policy === PUBLIC) {
+    return next();
+  }
+
+  if (!req.user) {
+    if (req.authError && req.authError.name === 'TokenExpiredError') {
+      return authError(res, 401, 'TOKEN_EXPIRED', 'Authentication token has expired');
+    }
+    if (req.authError && req.authError.name === 'TokenRevokedError') {
+      return authError(res, 401, 'TOKEN_REVOKED', 'Authentication token has been revoked');
+    }
+    if (req.authError) {
+      return authError(res, 401, 'INVALID_TOKEN', 'Authentication token is invalid');
+    }
+    return authError(res, 401, 'UNAUTHORIZED', 'Authentication required');
+  }
+
+  if (Array.isArray(policy) && !policy.includes(req.user.role)) {
+    logger.warn('Role not permitted', {
+      path: req.originalUrl,
+      role: req.user.role,
+      allowed: policy,
+      correlationId: req.correlationId
+    });
+    return authError(res, 403, 'FORBIDDEN', 'Insufficient permissions for this resource');
+  }
+
+  next();
+};
+
+// Record-level rules shared by the dashboards and GraphQL: clients only see
+// themselves, trainers see any client but only their own trainer data.
+const canViewClient = (user, clientId) => user.role !== 'client' || String(user.id) === String(clientId);
+
+const canViewTrainer = (user, trainerId) => user.role === 'admin'
+  || (user.role === 'trainer' && String(user.id) === String(trainerId));
+
+module.exports = {
+  PUBLIC,
+  AUTHENTICATED,
+  verifyToken,
+  authorize,
+  canViewClient,
+  canViewTrainer
+};
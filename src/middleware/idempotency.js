@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../config/logger');
+const { captureBody } = require('./responseCache');
+
+const METHODS = ['POST', 'PATCH'];
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const REPLAYED_HEADERS = ['content-type', 'content-encoding', 'location'];
+// Answers that say "not now" rather than "no" (a booking still in progress, a rate limit);
+// replaying them would refuse every retry until the key expired
+const RETRYABLE_STATUSES = [409, 429];
+// How long a key stays claimed by a request that never finishes (e.g. the gateway died)
+const LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+
+const isReady = (client) => Boolean(client && client.isReady);
+
+// Keys are per caller, so one user's key can never replay another user's response
+const storageKey = (scope, req, idempotencyKey) => {
+  const caller = req.user && req.user.id ? `user:${req.user.id}` : `ip:${req.ip}`;
+  const hash = crypto.createHash('sha1').update(`${caller}|${idempotencyKey}`).digest('hex');
+  return `idem:${scope}:${hash}`;
+};
+
+// What makes a repeat "the same request": method, version, path and query, body
+const fingerprint = (req) => crypto.createHash('sha256')
+  .update(`${req.method}|${req.apiVersion || ''}|${req.originalUrl}|${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+const conflict = (res, code, message) => res.status(409).json({
+  success: false,
+  error: {
+    code,
+    message,
+    timestamp: new Date().toISOString()
+  }
+});
+
+const replay = (res, entry) => {
+  res.setHeader('Idempotent-Replayed', 'true');
+  Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+  return res.status(entry.status).send(Buffer.from(entry.body, 'base64'));
+};
+
+/**
+ * Honors an Idempotency-Key header on POST and PATCH. The first request with a
+ * key claims it and its response is stored for `ttl` seconds; repeats get that
+ * response back with Idempotent-Replayed: true. A repeat while the first is
+ * still running, or the key reused with a different request, gets 409.
+ * 5xx, 409 and 429 responses aren't stored, so the client can retry with the same key.
+ * Requests pass straight through while Redis is unavailable.
+ *
+ * @param {string} scope - Route the keys belong to, e.g. '/api/bookings'
+ * @param {{ ttl: number }} options
+ */
+const createIdempotency = (scope, options, { getClient = getRedisClient } = {}) => async (req, res, next) => {
+  const idempotencyKey = req.headers['idempotency-key'];
+  if (!METHODS.includes(req.method) || idempotencyKey === undefined) {
+    return next();
+  }
+  if (!KEY_PATTERN.test(idempotencyKey)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_IDEMPOTENCY_KEY',
+        message: 'Idempotency-Key must be 1-255 printable characters',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const client = getClient();
+  if (!isReady(client)) {
+    return next();
+  }
+
+  const key = storageKey(scope, req, idempotencyKey);
+  const requestFingerprint = fingerprint(req);
+
+  try {
+    const claimed = await client.set(key, JSON.stringify({ state: 'processing', fingerprint: requestFingerprint }), {
+      NX: true,
+      EX: LOCK_SECONDS
+    });
+
+    if (claimed !== 'OK') {
+      const stored = JSON.parse(await client.get(key) || 'null');
+      if (stored && stored.fingerprint !== requestFingerprint) {
+        return conflict(res, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used for a different request');
+      }
+      if (stored && stored.state === 'completed') {
+        logger.debug('Replaying idempotent response', { path: req.originalUrl, correlationId: req.correlationId });
+        return replay(res, stored);
+      }
+      res.setHeader('Retry-After', '1');
+      return conflict(res, 'IDEMPOTENCY_KEY_IN_USE', 'A request with this Idempotency-Key is still being processed');
+    }
+  } catch (error) {
+    logger.warn(`Idempotency lookup failed for ${req.originalUrl}`, { error: error.message });
+    return next();
+  }
+
+  let settled = false;
+  const release = () => client.del(key).catch((error) => {
+    logger.warn(`Idempotency release failed for ${req.originalUrl}`, { error: error.message });
+  });
+
+  captureBody(res, (body) => {
+    settled = true;
+    if (!body || res.statusCode >= 500 || RETRYABLE_STATUSES.includes(res.statusCode)) {
+      release();
+      return;
+    }
+
+    const headers = {};
+    REPLAYED_HEADERS.forEach((name) => {
+      if (res.getHeader(name)) {
+        headers[name] = res.getHeader(name);
+      }
+    });
+    const entry = {
+      state: 'completed',
+      fingerprint: requestFingerprint,
+      status: res.statusCode,
+      headers,
+      body: body.toString('base64')
+    };
+    client.set(key, JSON.stringify(entry), { EX: options.ttl }).catch((error) => {
+      logger.warn(`Idempotency store failed for ${req.originalUrl}`, { error: error.message });
+    });
+  });
+
+  // The client went away before a response was written; let a retry run again
+  res.on('close', () => {
+    if (!settled) {
+      release();
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  createIdempotency,
+  fingerprint
+};
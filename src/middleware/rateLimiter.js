@@ -0,0 +1,139 @@
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const rateLimitConfig = require('../config/rateLimits');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../config/logger');
+const { recordRateLimitRejection } = require('../utils/metrics');
+
+// Increments the counter and starts the window on the first hit, atomically
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+/**
+ * express-rate-limit store shared by all gateway replicas through Redis.
+ * Falls back to a per-process memory store while Redis is unreachable so the
+ * gateway keeps limiting instead of failing open or blocking requests.
+ */
+class RedisStore {
+  constructor({ prefix = 'rl:', getClient = getRedisClient } = {}) {
+    this.prefix = prefix;
+    this.getClient = getClient;
+    this.fallback = new MemoryStore();
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.fallback.init(options);
+  }
+
+  async increment(key) {
+    const client = this.getClient();
+
+    if (!client || !client.isReady) {
+      return this.fallback.increment(key);
+    }
+
+    try {
+      const [totalHits, ttl] = await client.eval(INCREMENT_SCRIPT, {
+        keys: [this.prefix + key],
+        arguments: [String(this.windowMs)]
+      });
+
+      return {
+        totalHits: Number(totalHits),
+        resetTime: new Date(Date.now() + Number(ttl))
+      };
+    } catch (error) {
+      logger.warn('Rate limit store unavailable, using local counters', { error: error.message });
+      return this.fallback.increment(key);
+    }
+  }
+
+  async decrement(key) {
+    const client = this.getClient();
+    if (client && client.isReady) {
+      await client.decr(this.prefix + key).catch(() => {});
+    }
+    await this.fallback.decrement(key);
+  }
+
+  async resetKey(key) {
+    const client = this.getClient();
+    if (client && client.isReady) {
+      await client.del(this.prefix + key).catch(() => {});
+    }
+    await this.fallback.resetKey(key);
+  }
+}
+
+// Authenticated callers are counted per user across IPs, everyone else per IP
+const rateLimitKey = (req) => (req.user && req.user.id ? `user:${req.user.id}` : `ip:${req.ip}`);
+
+const roleOf = (req) => (req.user && req.user.role) || 'anonymous';
+
+const resolveLimit = (max, role, roleLimits = rateLimitConfig.roleLimits) => {
+  const roleDefault = roleLimits[role] || roleLimits.client;
+
+  if (typeof max === 'number') {
+    return max;
+  }
+  if (max && typeof max === 'object') {
+    return max[role] || roleDefault;
+  }
+  return roleDefault;
+};
+
+const matchesPrefix = (path, prefix) => path === prefix || path.startsWith(`${prefix}/`);
+
+/**
+ * Builds the /api/ rate limiter. Must run after verifyToken so req.user is set.
+ * Each configured route prefix gets its own bucket; everything else shares the default one.
+ */
+const createRateLimiter = (config = rateLimitConfig, { getClient = getRedisClient } = {}) => {
+  const buildLimiter = (name, windowMs, max) => rateLimit({
+    windowMs,
+    limit: (req) => resolveLimit(max, roleOf(req), config.roleLimits),
+    keyGenerator: rateLimitKey,
+    store: new RedisStore({ prefix: `rl:${name}:`, getClient }),
+    message: {
+      success: false,
+      error: {
+        code: 'RATE_LIMIT_EXCEEDED',
+        message: 'Too many requests, please try again later'
+      }
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: () => process.env.NODE_ENV === 'development', // Disable in development
+    handler: (req, res, next, options) => {
+      recordRateLimitRejection(name, roleOf(req));
+      res.status(options.statusCode).send(options.message);
+    }
+  });
+
+  const buckets = config.routes.map(route => ({
+    prefix: route.prefix,
+    limiter: buildLimiter(route.prefix, route.windowMs || config.windowMs, route.max)
+  }));
+  const defaultLimiter = buildLimiter('default', config.windowMs);
+
+  return (req, res, next) => {
+    const path = req.originalUrl.split('?')[0];
+    const bucket = buckets.find(b => matchesPrefix(path, b.prefix));
+    return (bucket ? bucket.limiter : defaultLimiter)(req, res, next);
+  };
+};
+
+module.exports = {
+  RedisStore,
+  createRateLimiter,
+  rateLimitKey,
+  resolveLimit
+};
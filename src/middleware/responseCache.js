@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../config/logger');
+
+const MAX_CACHED_BODY_BYTES = 1024 * 1024; // Don't cache responses over 1MB
+const REPLAYED_HEADERS = ['content-type', 'content-encoding'];
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const indexKey = (prefix) => `cache:index:${prefix}`;
+
+/**
+ * Key covers the API version, the full path and query, the accepted encodings
+ * (the body is stored as sent by the upstream) and, for per-user routes, the caller.
+ */
+const cacheKey = (prefix, req, { perUser = false } = {}) => {
+  const scope = perUser ? (req.user && req.user.id) || 'anonymous' : 'shared';
+  const hash = crypto.createHash('sha1')
+    .update(`${scope}|${req.apiVersion || ''}|${req.originalUrl}|${req.headers['accept-encoding'] || ''}`)
+    .digest('hex');
+  return `cache:${prefix}:${hash}`;
+};
+
+const isReady = (client) => Boolean(client && client.isReady);
+
+const storeResponse = async (client, prefix, key, entry, ttl) => {
+  await client.multi()
+    .set(key, JSON.stringify(entry), { EX: ttl })
+    .sAdd(indexKey(prefix), key)
+    .expire(indexKey(prefix), ttl)
+    .exec();
+};
+
+const invalidatePrefix = async (client, prefix) => {
+  const keys = await client.sMembers(indexKey(prefix));
+  await client.del([...keys, indexKey(prefix)]);
+  logger.debug(`Cache invalidated for ${prefix}`, { entries: keys.length });
+};
+
+// Buffers what the proxy writes so the finished response can be stored.
+// onComplete gets the body, or null when it was too large to keep.
+const captureBody = (res, onComplete) => {
+  const chunks = [];
+  let size = 0;
+  const write = res.write;
+  const end = res.end;
+
+  const collect = (chunk, encoding) => {
+    if (chunk && size <= MAX_CACHED_BODY_BYTES) {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+      chunks.push(buffer);
+      size += buffer.length;
+    }
+  };
+
+  res.write = function (chunk, encoding, callback) {
+    collect(chunk, encoding);
+    return write.call(this, chunk, encoding, callback);
+  };
+
+  res.end = function (chunk, encoding, callback) {
+    collect(chunk, encoding);
+    const result = end.call(this, chunk, encoding, callback);
+    onComplete(size <= MAX_CACHED_BODY_BYTES ? Buffer.concat(chunks) : null);
+    return result;
+  };
+};
+
+/**
+ * Response cache for a proxied route prefix. GETs are served from Redis when
+ * present, otherwise proxied and stored for `ttl` seconds. Successful writes to
+ * the prefix drop every cached entry for it.
+ *
+ * @param {string} prefix - Route prefix, e.g. '/api/exercises'
+ * @param {{ ttl: number, perUser?: boolean }} options
+ */
+const createResponseCache = (prefix, options, { getClient = getRedisClient } = {}) => async (req, res, next) => {
+  const client = getClient();
+
+  if (WRITE_METHODS.includes(req.method)) {
+    res.on('finish', () => {
+      if (res.statusCode < 400 && isReady(client)) {
+        invalidatePrefix(client, prefix).catch((error) => {
+          logger.warn(`Cache invalidation failed for ${prefix}`, { error: error.message });
+        });
+      }
+    });
+    return next();
+  }
+
+  if (req.method !== 'GET') {
+    return next();
+  }
+
+  const key = cacheKey(prefix, req, options);
+
+  if (isReady(client)) {
+    try {
+      const cached = await client.get(key);
+      if (cached) {
+        const entry = JSON.parse(cached);
+        res.setHeader('X-Cache', 'HIT');
+        Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+        return res.status(entry.status).send(Buffer.from(entry.body, 'base64'));
+      }
+    } catch (error) {
+      logger.warn(`Cache lookup failed for ${req.originalUrl}`, { error: error.message });
+    }
+  }
+
+  res.setHeader('X-Cache', 'MISS');
+
+  if (isReady(client)) {
+    captureBody(res, (body) => {
+      if (!body || res.statusCode !== 200) {
+        return;
+      }
+
+      const headers = {};
+      REPLAYED_HEADERS.forEach((name) => {
+        if (res.getHeader(name)) {
+          headers[name] = res.getHeader(name);
+        }
+      });
+
+      storeResponse(client, prefix, key, { status: res.statusCode, headers, body: body.toString('base64') }, options.ttl)
+        .catch((error) => {
+          logger.warn(`Cache store failed for ${req.originalUrl}`, { error: error.message });
+        });
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  createResponseCache,
+  cacheKey,
+  captureBody
+};
@@ -0,0 +1,47 @@
+const {
+  totalCount,
+  loadBookingsByStatus,
+  loadWorkoutLogCounts,
+  loadUnreadNotifications,
+  loadGatewayUpstreams,
+  loadUpstreamHealth
+} = require('./dashboard');
+
+// Health probes run against every service; allow for their own timeout
+const HEALTH_SECTION_TIMEOUT_MS = 3000;
+
+/**
+ * Dashboard definition for the admin system overview (see utils/dashboard createDashboard).
+ * Totals come from limit=1 listings; the operational blocks' loaders are in utils/dashboard.
+ */
+const adminDashboard = {
+  name: 'Admin',
+  canView: user => user.role === 'admin',
+  forbiddenMessage: 'Admin access required',
+  sources: () => ({
+    users: { service: 'user', path: '/api/users?limit=1' },
+    trainers: { service: 'user', path: '/api/users?role=trainer&limit=1' },
+    clients: { service: 'user', path: '/api/users?role=client&limit=1' },
+    programs: { service: 'training', path: '/api/programs?limit=1' },
+    bookings: { service: 'schedule', load: loadBookingsByStatus },
+    workout_logs: { service: 'progress', load: loadWorkoutLogCounts },
+    notifications: { service: 'notification', load: loadUnreadNotifications },
+    gateway: { service: 'gateway', load: loadGatewayUpstreams },
+    health: { service: 'gateway', timeoutMs: HEALTH_SECTION_TIMEOUT_MS, load: loadUpstreamHealth }
+  }),
+  sections: {
+    total_users: { sources: ['users'], build: ({ users }) => totalCount(users) },
+    total_trainers: { sources: ['trainers'], build: ({ trainers }) => totalCount(trainers) },
+    total_clients: { sources: ['clients'], build: ({ clients }) => totalCount(clients) },
+    total_programs: { sources: ['programs'], build: ({ programs }) => totalCount(programs) },
+    bookings_by_status: { sources: ['bookings'], build: ({ bookings }) => bookings || null },
+    workout_logs: { sources: ['workout_logs'], build: values => values.workout_logs || null },
+    unread_notifications: { sources: ['notifications'], build: ({ notifications }) => notifications || null },
+    gateway_upstreams: { sources: ['gateway'], build: ({ gateway }) => gateway || null },
+    upstream_health: { sources: ['health'], build: ({ health }) => health || null }
+  }
+};
+
+module.exports = {
+  adminDashboard
+};
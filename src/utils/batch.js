@@ -0,0 +1,215 @@
+const axios = require('axios');
+const { startUpstreamSpan } = require('./tracing');
+
+const MAX_REQUESTS = parseInt(process.env.BATCH_MAX_REQUESTS) || 10;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.BATCH_REQUEST_TIMEOUT_MS) || 30000;
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+// Inbound headers every sub-request inherits from the batch
+const FORWARDED_HEADERS = ['authorization', 'accept-version', 'accept-language', 'user-agent'];
+
+const fieldError = (field, code, message) => ({ field, code, message });
+
+// Set on every loopback sub-request, so a batch that reaches /api/batch anyway is refused
+const BATCH_MARKER_HEADER = 'x-gateway-batch';
+
+// Sub-requests may only target API routes on this gateway, and never another batch. Routes
+// match case-insensitively, so /api/Batch is checked too
+const isAllowedPath = (path) => typeof path === 'string'
+  && /^\/api\/[^\s\\]*$/.test(path)
+  && !path.split('?')[0].split('/').some(segment => segment === '..' || segment === '.')
+  && !/^\/api\/(v\d+\/)?batch(\/|\?|$)/.test(path.toLowerCase());
+
+// Ids that depend on themselves, directly or through other sub-requests
+const findCycle = (requests) => {
+  const byId = new Map(requests.map(request => [request.id, request]));
+  const state = new Map();
+  const visit = (id) => {
+    if (state.get(id) === 'done') {
+      return null;
+    }
+    if (state.get(id) === 'visiting') {
+      return id;
+    }
+    state.set(id, 'visiting');
+    for (const dependency of byId.get(id).dependsOn) {
+      const cycle = visit(dependency);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    state.set(id, 'done');
+    return null;
+  };
+  return requests.map(request => visit(request.id)).find(Boolean) || null;
+};
+
+/**
+ * Checks a batch body: an array of { id?, method?, path, body?, dependsOn? },
+ * or { requests: [...] }. Ids default to the sub-request's index; dependsOn
+ * takes one id or a list of them.
+ *
+ * @returns {{ errors: Object[], requests: Object[] }} Field errors, and the normalized sub-requests
+ */
+const validateBatch = (payload, { maxRequests = MAX_REQUESTS } = {}) => {
+  const list = Array.isArray(payload) ? payload : payload && payload.requests;
+  if (!Array.isArray(list) || list.length === 0) {
+    return { errors: [fieldError('requests', 'REQUIRED', 'requests must be a non-empty array')], requests: [] };
+  }
+  if (list.length > maxRequests) {
+    return {
+      errors: [fieldError('requests', 'BATCH_TOO_LARGE', `A batch may contain at most ${maxRequests} requests`)],
+      requests: []
+    };
+  }
+
+  const errors = [];
+  const requests = list.map((entry, index) => {
+    const field = `requests[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(fieldError(field, 'INVALID_REQUEST', `${field} must be an object`));
+      return { id: String(index), dependsOn: [] };
+    }
+
+    const id = entry.id === undefined ? String(index) : String(entry.id);
+    const method = String(entry.method || 'GET').toUpperCase();
+    const dependsOn = entry.dependsOn === undefined ? [] : [].concat(entry.dependsOn).map(String);
+
+    if (!METHODS.includes(method)) {
+      errors.push(fieldError(`${field}.method`, 'INVALID_METHOD', `${field}.method must be one of ${METHODS.join(', ')}`));
+    }
+    if (!isAllowedPath(entry.path)) {
+      errors.push(fieldError(`${field}.path`, 'INVALID_PATH', `${field}.path must be an /api/ path other than /api/batch`));
+    }
+    return { id, method, path: entry.path, body: entry.body, dependsOn };
+  });
+
+  const ids = new Set();
+  requests.forEach(({ id, dependsOn }, index) => {
+    if (ids.has(id)) {
+      errors.push(fieldError(`requests[${index}].id`, 'DUPLICATE_ID', `Duplicate request id ${id}`));
+    }
+    ids.add(id);
+    dependsOn.filter(dependency => !requests.some(request => request.id === dependency)).forEach((dependency) => {
+      errors.push(fieldError(`requests[${index}].dependsOn`, 'UNKNOWN_DEPENDENCY', `Unknown request id ${dependency}`));
+    });
+  });
+
+  if (!errors.length) {
+    const cycle = findCycle(requests);
+    if (cycle) {
+      errors.push(fieldError('requests', 'DEPENDENCY_CYCLE', `Request ${cycle} depends on itself`));
+    }
+  }
+
+  return { errors, requests };
+};
+
+const failedDependency = (id) => ({
+  status: 424,
+  body: {
+    success: false,
+    error: {
+      code: 'FAILED_DEPENDENCY',
+      message: `Not run because request ${id} failed`,
+      timestamp: new Date().toISOString()
+    }
+  }
+});
+
+/**
+ * Runs validated sub-requests, each as soon as everything it depends on has
+ * finished; independent ones run in parallel. A sub-request whose dependency
+ * failed (status >= 400) is not sent and gets 424.
+ *
+ * @param {Object[]} requests - From validateBatch
+ * @param {Function} send - ({ method, path, body }) => Promise<{ status, body }>
+ * @returns {Promise<Object[]>} { id, status, body } per sub-request, in request order
+ */
+const runBatch = (requests, send) => {
+  const byId = new Map(requests.map(request => [request.id, request]));
+  const results = new Map();
+
+  const run = (request) => {
+    if (!results.has(request.id)) {
+      results.set(request.id, (async () => {
+        const dependencies = await Promise.all(request.dependsOn.map(id => run(byId.get(id))));
+        const failed = dependencies.find(result => result.status >= 400);
+        const { status, body } = failed ? failedDependency(failed.id) : await send(request);
+        return { id: request.id, status, body };
+      })());
+    }
+    return results.get(request.id);
+  };
+
+  return Promise.all(requests.map(run));
+};
+
+/**
+ * Sends sub-requests back into this gateway over loopback, on the port the
+ * batch arrived on, so each one goes through the same versioning, auth, rate
+ * limits, caching and routing as a direct call. The batch's credentials and
+ * correlation ID are forwarded, and each hop is a child span of its trace.
+ */
+const createLoopbackClient = (req, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) => {
+  const baseUrl = `http://127.0.0.1:${req.socket.localPort}`;
+  const inherited = Object.fromEntries(FORWARDED_HEADERS
+    .filter(name => req.headers[name] !== undefined)
+    .map(name => [name, req.headers[name]]));
+
+  return async ({ method, path, body }) => {
+    const hop = startUpstreamSpan(req, 'gateway', method, path);
+    try {
+      const response = await axios.request({
+        method,
+        url: `${baseUrl}${path}`,
+        data: body,
+        headers: { ...inherited, ...hop.headers, [BATCH_MARKER_HEADER]: '1' },
+        timeout: timeoutMs,
+        validateStatus: () => true
+      });
+      hop.span.end({ 'http.status_code': response.status, error: response.status >= 500 ? true : undefined });
+      return { status: response.status, body: response.data === '' ? null : response.data };
+    } catch (error) {
+      hop.span.end({ error: error.code || error.message });
+      const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+      return {
+        status: timedOut ? 504 : 502,
+        body: {
+          success: false,
+          error: {
+            code: timedOut ? 'GATEWAY_TIMEOUT' : 'BATCH_REQUEST_FAILED',
+            message: timedOut ? 'The request timed out' : 'The request could not be completed',
+            timestamp: new Date().toISOString()
+          }
+        }
+      };
+    }
+  };
+};
+
+/**
+ * Guards /api/batch against sub-requests of another batch, whatever path got them there.
+ */
+const refuseNestedBatch = (req, res, next) => {
+  if (req.headers[BATCH_MARKER_HEADER] === undefined) {
+    return next();
+  }
+  res.status(400).json({
+    success: false,
+    error: {
+      code: 'NESTED_BATCH',
+      message: 'A batch cannot contain another batch',
+      timestamp: new Date().toISOString()
+    }
+  });
+};
+
+module.exports = {
+  MAX_REQUESTS,
+  BATCH_MARKER_HEADER,
+  validateBatch,
+  runBatch,
+  createLoopbackClient,
+  refuseNestedBatch
+};
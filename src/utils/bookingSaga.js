@@ -0,0 +1,147 @@
+const logger = require('../config/logger');
+const { defineSaga, SagaError, SagaInProgressError, StepTimeoutError } = require('./saga');
+const { BookingValidationError } = require('./bookingValidation');
+const { CircuitOpenError, sendCircuitOpen } = require('./circuitBreaker');
+
+const BOOKING_SAGA = 'booking.create';
+
+// Steps share the saga's key prefix in their idempotency keys so retries and recovery never double-write
+const idempotent = (ctx, step) => ({ signal: ctx.signal, headers: { 'Idempotency-Key': `${ctx.keyPrefix}:${step}` } });
+
+const createBooking = async (ctx) => {
+  const response = await ctx.api.post('schedule', '/api/bookings', ctx.input.booking, idempotent(ctx, 'createBooking'));
+  return response.data;
+};
+
+// The schedule service may send HH:MM:SS for a booking made as HH:MM
+const sameTime = (a, b) => String(a || '').slice(0, 5) === String(b || '').slice(0, 5);
+
+// Finds the booking a timed-out create may have made, by trainer, date, start time and client.
+// Replaying the create instead would only be safe if the schedule service deduplicated on
+// Idempotency-Key. A failed lookup throws, leaving the saga for recovery on the next start
+const findBooking = async (ctx) => {
+  const { trainer_id: trainerId, client_id: clientId, booking_date: date, start_time: start } = ctx.input.booking;
+  const response = await ctx.api.get(
+    'schedule',
+    `/api/bookings?trainer_id=${encodeURIComponent(trainerId)}&date_from=${date}&date_to=${date}`,
+    { signal: ctx.signal }
+  );
+  const booking = (response.data.data || []).find(candidate => String(candidate.client_id) === String(clientId)
+    && sameTime(candidate.start_time, start)
+    && (!candidate.booking_date || String(candidate.booking_date).startsWith(date))
+    && candidate.status !== 'cancelled');
+  return booking ? { success: true, data: booking } : null;
+};
+
+/**
+ * Creates a validated booking and notifies the trainer. If the notification
+ * can't be created, or creating the booking timed out, the booking is
+ * cancelled again. Interrupted runs are
+ * compensated on recovery: the caller never got an answer, so the booking is
+ * rolled back rather than completed behind their back.
+ */
+defineSaga(BOOKING_SAGA, {
+  recovery: 'compensate',
+  steps: [
+    {
+      name: 'createBooking',
+      run: createBooking,
+      resolve: findBooking,
+      compensate: (ctx, created) => ctx.api.post(
+        'schedule',
+        `/api/bookings/${encodeURIComponent(created.data.id)}/cancel`,
+        { reason: 'Booking could not be completed' },
+        idempotent(ctx, 'cancelBooking')
+      )
+    },
+    {
+      name: 'notifyTrainer',
+      run: async (ctx) => {
+        const booking = ctx.results.createBooking.data;
+        const response = await ctx.api.post('notification', '/api/notifications', {
+          user_id: ctx.input.booking.trainer_id,
+          type: 'booking_created',
+          title: 'New booking',
+          message: `New session booked for ${ctx.input.booking.booking_date} at ${ctx.input.booking.start_time}`,
+          data: { booking_id: booking.id, client_id: ctx.input.booking.client_id }
+        }, idempotent(ctx, 'notifyTrainer'));
+        return { id: response.data.data && response.data.data.id };
+      }
+    }
+  ]
+});
+
+/**
+ * Answers a failed POST /api/bookings/validated: the validation error, the saga's outcome,
+ * or - when the booking itself failed and nothing was written - what the schedule service said.
+ */
+const sendBookingError = (res, error) => {
+  if (error instanceof BookingValidationError) {
+    return res.status(error.status).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.fields.length === 1 ? error.fields[0].message : 'Booking request is invalid',
+        fields: error.fields,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+  if (error instanceof SagaInProgressError) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'BOOKING_IN_PROGRESS',
+        message: 'A booking with this Idempotency-Key is still being completed or rolled back',
+        saga_id: error.sagaId,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+  logger.error('Validated booking creation error:', error);
+  // A timed-out create may have gone through, so it was cancelled like one that did
+  const timedOut = error instanceof SagaError && error.cause instanceof StepTimeoutError;
+  if (error instanceof SagaError && (error.step !== 'createBooking' || timedOut)) {
+    const failure = timedOut
+      ? { status: 504, code: 'BOOKING_TIMEOUT', message: 'The schedule service did not answer in time, so any booking it made was cancelled' }
+      : { status: 502, code: 'BOOKING_NOTIFICATION_FAILED', message: 'The trainer could not be notified, so the booking was cancelled' };
+    return res.status(error.compensated ? failure.status : 500).json({
+      success: false,
+      error: {
+        ...(error.compensated
+          ? { code: failure.code, message: failure.message }
+          : { code: 'BOOKING_ROLLBACK_FAILED', message: 'The booking could not be completed or cancelled' }),
+        saga_id: error.sagaId,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+  // The booking itself failed; nothing was written, answer as the schedule service did
+  const cause = error instanceof SagaError ? error.cause : error;
+  if (cause instanceof CircuitOpenError) {
+    return sendCircuitOpen(res, cause.retryAfterSeconds);
+  }
+  if (cause.response) {
+    return res.status(cause.response.status).json(cause.response.data);
+  }
+  // No answer at all (connection refused or reset, or timed out after retries): the service is down
+  if (cause.code) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        code: 'SERVICE_UNAVAILABLE',
+        message: 'A service needed for the booking is temporarily unavailable',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    error: { code: 'BOOKING_FAILED', message: 'Failed to create booking' }
+  });
+};
+
+module.exports = {
+  BOOKING_SAGA,
+  sendBookingError
+};
@@ -0,0 +1,163 @@
+const { isServiceFailure } = require('./upstream');
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+
+/**
+ * A booking request that failed validation. `fields` lists one entry per
+ * problem: { field, code, message }.
+ */
+class BookingValidationError extends Error {
+  constructor(status, code, fields) {
+    super(fields.map(field => field.message).join('; '));
+    this.name = 'BookingValidationError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+const fieldError = (field, code, message) => ({ field, code, message });
+
+// Rejects impossible dates like 2025-02-30 that the pattern alone lets through
+const isCalendarDate = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) {
+    return false;
+  }
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().startsWith(value);
+};
+
+// Seconds since midnight for HH:MM or HH:MM:SS
+const timeOfDay = (value) => {
+  const [, hours, minutes, seconds = '0'] = TIME_PATTERN.exec(value);
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+const isId = (value) => (typeof value === 'string' && value.trim() !== '') || Number.isInteger(value);
+
+/**
+ * Checks the booking payload's shape. Clients may leave client_id out - it
+ * defaults to themselves - and may not book for anyone else.
+ *
+ * @returns {{ errors: Object[], booking: Object }} Field errors, and the payload with client_id filled in
+ */
+const validateBookingPayload = (body = {}, user) => {
+  const errors = [];
+  const booking = { ...body };
+
+  if (user.role === 'client' && booking.client_id === undefined) {
+    booking.client_id = user.id;
+  }
+
+  ['trainer_id', 'client_id'].forEach((field) => {
+    if (booking[field] === undefined || booking[field] === null || booking[field] === '') {
+      errors.push(fieldError(field, 'REQUIRED', `${field} is required`));
+    } else if (!isId(booking[field])) {
+      errors.push(fieldError(field, 'INVALID_ID', `${field} must be an id`));
+    }
+  });
+
+  if (!booking.booking_date) {
+    errors.push(fieldError('booking_date', 'REQUIRED', 'booking_date is required'));
+  } else if (typeof booking.booking_date !== 'string' || !isCalendarDate(booking.booking_date)) {
+    errors.push(fieldError('booking_date', 'INVALID_DATE', 'booking_date must be a date in YYYY-MM-DD format'));
+  }
+
+  ['start_time', 'end_time'].forEach((field) => {
+    if (!booking[field]) {
+      errors.push(fieldError(field, 'REQUIRED', `${field} is required`));
+    } else if (typeof booking[field] !== 'string' || !TIME_PATTERN.test(booking[field])) {
+      errors.push(fieldError(field, 'INVALID_TIME', `${field} must be a time in HH:MM format`));
+    }
+  });
+
+  const timesValid = ['start_time', 'end_time'].every(field => typeof booking[field] === 'string' && TIME_PATTERN.test(booking[field]));
+  if (timesValid && timeOfDay(booking.start_time) >= timeOfDay(booking.end_time)) {
+    errors.push(fieldError('end_time', 'INVALID_TIME_RANGE', 'end_time must be after start_time'));
+  }
+
+  ['type', 'notes'].forEach((field) => {
+    if (booking[field] !== undefined && booking[field] !== null && typeof booking[field] !== 'string') {
+      errors.push(fieldError(field, 'INVALID_TYPE', `${field} must be a string`));
+    }
+  });
+
+  return { errors, booking };
+};
+
+// The user, or null when the user service says there's no such user
+const findUser = (api, id) => api.get('user', `/api/users/${encodeURIComponent(id)}`)
+  .then(response => response.data.data, (error) => {
+    if (isServiceFailure(error)) {
+      throw error;
+    }
+    return null;
+  });
+
+// An availability slot covers the booking when it spans the whole requested time
+const slotCovers = (slot, { booking_date: date, start_time: start, end_time: end }) => slot
+  && slot.is_available !== false
+  && (!slot.date || String(slot.date).startsWith(date))
+  && TIME_PATTERN.test(slot.start_time || '') && TIME_PATTERN.test(slot.end_time || '')
+  && timeOfDay(slot.start_time) <= timeOfDay(start)
+  && timeOfDay(slot.end_time) >= timeOfDay(end);
+
+/**
+ * Validates a booking request end to end: payload, caller, trainer and client,
+ * then the trainer's availability for the slot. Upstream outages are rethrown
+ * as-is so the caller can answer 503 rather than blame the request.
+ *
+ * @param {Object} api - upstream.forRequest(req)
+ * @param {Object} user - req.user
+ * @param {Object} body - Booking request body
+ * @returns {Promise<Object>} The booking to create
+ * @throws {BookingValidationError}
+ */
+const validateBooking = async (api, user, body) => {
+  const { errors, booking } = validateBookingPayload(body, user);
+  if (errors.length) {
+    throw new BookingValidationError(400, 'VALIDATION_ERROR', errors);
+  }
+
+  if (user.role === 'client' && String(booking.client_id) !== String(user.id)) {
+    throw new BookingValidationError(403, 'CLIENT_MISMATCH', [
+      fieldError('client_id', 'CLIENT_MISMATCH', 'Clients can only book sessions for themselves')
+    ]);
+  }
+
+  const [trainer, client] = await Promise.all([
+    findUser(api, booking.trainer_id),
+    findUser(api, booking.client_id)
+  ]);
+
+  const partyErrors = [];
+  if (!trainer || trainer.role !== 'trainer') {
+    partyErrors.push(fieldError('trainer_id', 'INVALID_TRAINER', 'Invalid trainer ID'));
+  }
+  if (!client || client.role !== 'client') {
+    partyErrors.push(fieldError('client_id', 'INVALID_CLIENT', 'Invalid client ID'));
+  }
+  if (partyErrors.length) {
+    throw new BookingValidationError(400, partyErrors[0].code, partyErrors);
+  }
+
+  const availability = await api.get('schedule',
+    `/api/availability?trainer_id=${encodeURIComponent(booking.trainer_id)}&date=${booking.booking_date}`);
+  const slots = Array.isArray(availability.data.data) ? availability.data.data : [];
+
+  if (!slots.some(slot => slotCovers(slot, booking))) {
+    throw new BookingValidationError(409, 'TRAINER_UNAVAILABLE', [
+      fieldError('start_time', 'TRAINER_UNAVAILABLE', 'The trainer is not available at the requested time')
+    ]);
+  }
+
+  return booking;
+};
+
+module.exports = {
+  BookingValidationError,
+  validateBookingPayload,
+  validateBooking
+};
@@ -0,0 +1,151 @@
+const { breakerConfig } = require('../config/circuitBreakers');
+const logger = require('../config/logger');
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+class CircuitOpenError extends Error {
+  constructor(service, retryAfterSeconds) {
+    super(`Circuit open for ${service} service`);
+    this.name = 'CircuitOpenError';
+    this.service = service;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Per-service breaker. Opens after `failureThreshold` consecutive failures,
+ * rejects calls for `resetTimeoutMs`, then lets a single trial call through
+ * (half-open) whose outcome closes or re-opens it.
+ */
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = CLOSED;
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialStartedAt = 0;
+  }
+
+  // Reserves the call slot; callers must report the outcome with recordSuccess/recordFailure
+  canRequest() {
+    const now = Date.now();
+
+    if (this.state === OPEN && now - this.openedAt >= this.resetTimeoutMs) {
+      this.transition(HALF_OPEN);
+    }
+
+    if (this.state === HALF_OPEN) {
+      // One trial at a time; a trial that never reported back is replaced after the timeout
+      if (this.trialStartedAt && now - this.trialStartedAt < this.resetTimeoutMs) {
+        return false;
+      }
+      this.trialStartedAt = now;
+      return true;
+    }
+
+    return this.state === CLOSED;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== CLOSED) {
+      this.transition(CLOSED);
+    }
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === HALF_OPEN || (this.state === CLOSED && this.failures >= this.failureThreshold)) {
+      this.transition(OPEN);
+    }
+  }
+
+  retryAfterSeconds() {
+    const remaining = this.resetTimeoutMs - (Date.now() - this.openedAt);
+    return Math.max(1, Math.ceil(remaining / 1000));
+  }
+
+  /**
+   * Runs fn through the breaker. isFailure decides which errors count against the service.
+   */
+  async exec(fn, isFailure = () => true) {
+    if (!this.canRequest()) {
+      throw new CircuitOpenError(this.name, this.retryAfterSeconds());
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.recordFailure();
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  transition(state) {
+    logger.warn(`Circuit breaker for ${this.name} service ${this.state} -> ${state}`, { failures: this.failures });
+    this.state = state;
+    this.trialStartedAt = 0;
+    if (state === OPEN) {
+      this.openedAt = Date.now();
+    }
+    if (state === CLOSED) {
+      this.failures = 0;
+    }
+  }
+}
+
+const breakers = new Map();
+
+const getBreaker = (service) => {
+  if (!breakers.has(service)) {
+    breakers.set(service, new CircuitBreaker(service, breakerConfig(service)));
+  }
+  return breakers.get(service);
+};
+
+const sendCircuitOpen = (res, retryAfterSeconds) => {
+  res.setHeader('Retry-After', String(retryAfterSeconds));
+  return res.status(503).json({
+    success: false,
+    error: {
+      code: 'SERVICE_UNAVAILABLE',
+      message: 'The requested service is temporarily unavailable',
+      timestamp: new Date().toISOString()
+    }
+  });
+};
+
+/**
+ * Fails fast in front of a proxied route while its service's breaker is open.
+ */
+const circuitGuard = (service) => (req, res, next) => {
+  const breaker = getBreaker(service);
+
+  if (!breaker.canRequest()) {
+    logger.warn(`Circuit open, rejecting ${req.method} ${req.originalUrl}`, {
+      service,
+      correlationId: req.correlationId
+    });
+    return sendCircuitOpen(res, breaker.retryAfterSeconds());
+  }
+
+  next();
+};
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  getBreaker,
+  circuitGuard,
+  sendCircuitOpen
+};
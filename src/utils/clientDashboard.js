@@ -0,0 +1,32 @@
+const { canViewClient } = require('../middleware/auth');
+const { bodyData } = require('./dashboard');
+
+/**
+ * Dashboard definition for a client's overview (see utils/dashboard createDashboard).
+ * Clients can only see their own.
+ */
+const clientDashboard = {
+  name: 'Client',
+  canView: (user, { id }) => canViewClient(user, id),
+  forbiddenMessage: 'Cannot access other client dashboards',
+  limits: {
+    programs: { default: 5, max: 50 },
+    bookings: { default: 5, max: 50 }
+  },
+  sources: ({ params: { id }, limits }) => ({
+    profile: { service: 'user', path: `/api/users/${id}` },
+    programs: { service: 'training', path: `/api/programs?client_id=${id}&limit=${limits.programs}` },
+    bookings: { service: 'schedule', path: `/api/bookings?client_id=${id}&status=scheduled&limit=${limits.bookings}` },
+    analytics: { service: 'progress', path: `/api/analytics/client/${id}` }
+  }),
+  sections: {
+    profile: { sources: ['profile'], build: ({ profile }) => bodyData(profile) || null },
+    active_programs: { sources: ['programs'], build: ({ programs }) => bodyData(programs) || [] },
+    upcoming_bookings: { sources: ['bookings'], build: ({ bookings }) => bodyData(bookings) || [] },
+    progress_summary: { sources: ['analytics'], build: ({ analytics }) => bodyData(analytics) || null }
+  }
+};
+
+module.exports = {
+  clientDashboard
+};
@@ -0,0 +1,156 @@
+const { canViewClient } = require('../middleware/auth');
+const { bodyData } = require('./dashboard');
+const { localDate, addDays, datePart, isoWeek, isoWeekStart } = require('./dates');
+
+// Page size for the listings the summary computes from: metrics, and workout logs for adherence
+const WEEKLY_LIST_LIMIT = 100;
+const TRACKED_METRICS = ['weight', 'body_fat'];
+
+// One ISO week (?week=YYYY-Www), default the current UTC week
+const clientWeek = ({ week = isoWeek(localDate('UTC')) }) => {
+  const start = isoWeekStart(week);
+  return { week, start_date: start, end_date: addDays(start, 6) };
+};
+
+const withinDates = (value, from, to) => {
+  const date = datePart(value);
+  return Boolean(date) && date >= from && date <= to;
+};
+
+// { count, items }: count is the upstream's total, which the first page of items may fall short of
+const weekList = (body, limit) => {
+  if (!body) {
+    return null;
+  }
+  const items = bodyData(body) || [];
+  return { count: body.pagination?.total_count ?? items.length, items: items.slice(0, limit) };
+};
+
+// Services send metric values as numbers or numeric strings
+const numericValue = (reading) => {
+  if (!reading || reading.value === null || reading.value === '') {
+    return null;
+  }
+  const value = Number(reading.value);
+  return Number.isFinite(value) ? value : null;
+};
+
+// Latest reading of a metric type between two dates
+const latestMetric = (metrics, type, from, to) => metrics
+  .filter(metric => metric.type === type && withinDates(metric.recorded_at, from, to))
+  .sort((a, b) => String(b.recorded_at).localeCompare(String(a.recorded_at)))[0];
+
+/**
+ * The latest reading of each tracked metric in the week against the latest of the week before.
+ *
+ * @param {Array} metrics - Readings from the start of the previous week to the end of this one
+ * @param {{ start_date: string, end_date: string }} week
+ */
+const metricChanges = (metrics, { start_date: from, end_date: to }) => Object.fromEntries(TRACKED_METRICS.map((type) => {
+  const current = latestMetric(metrics, type, from, to);
+  const previous = latestMetric(metrics, type, addDays(from, -7), addDays(from, -1));
+  const [now, before] = [numericValue(current), numericValue(previous)];
+  return [type, {
+    current: now,
+    previous: before,
+    change: now !== null && before !== null ? Number((now - before).toFixed(2)) : null,
+    unit: (current || previous || {}).unit || null
+  }];
+}));
+
+const newAchievements = (achievements, { start_date: from, end_date: to }) => achievements
+  .filter(achievement => withinDates(achievement.unlocked_at || achievement.created_at, from, to));
+
+// Logged workouts that belong to the program, against the workouts it plans per week
+const adherence = (program, workouts, logs) => {
+  const planned = new Set(workouts.map(workout => String(workout.id)));
+  const completed = logs.filter(log => planned.has(String(log.workout_id))).length;
+  return {
+    program_id: program.id,
+    program_name: program.name,
+    planned_workouts: planned.size,
+    completed_workouts: completed,
+    rate: planned.size ? Number(Math.min(completed / planned.size, 1).toFixed(2)) : null
+  };
+};
+
+/**
+ * Dashboard definition for a client's week (see utils/dashboard createDashboard).
+ * Clients can only see their own.
+ */
+const clientWeeklyDashboard = {
+  name: 'Client weekly',
+  canView: (user, { id }) => canViewClient(user, id),
+  forbiddenMessage: 'Cannot access other client dashboards',
+  limits: {
+    sessions: { default: 20, max: 100 },
+    workout_logs: { default: 20, max: 100 },
+    achievements: { default: 20, max: 100 }
+  },
+  validate: ({ week }) => (week === undefined || isoWeekStart(week)
+    ? []
+    : [{ field: 'week', code: 'INVALID_WEEK', message: 'week must be an ISO week such as 2026-W43' }]),
+  sources: ({ params: { id }, query, limits }) => {
+    const { start_date: from, end_date: to } = clientWeek(query);
+    const range = `date_from=${from}&date_to=${to}`;
+    return {
+      sessions: { service: 'schedule', path: `/api/sessions?client_id=${id}&status=completed&${range}&limit=${limits.sessions}` },
+      // Adherence counts every log of the week; logged_workouts lists the first workout_logs_limit
+      workout_logs: { service: 'progress', path: `/api/workout-logs?client_id=${id}&${range}&limit=${WEEKLY_LIST_LIMIT}` },
+      // From the start of the previous week, to compare against it
+      metrics: {
+        service: 'progress',
+        path: `/api/metrics?client_id=${id}&date_from=${addDays(from, -7)}&date_to=${to}&limit=${WEEKLY_LIST_LIMIT}`
+      },
+      achievements: { service: 'progress', path: `/api/achievements?client_id=${id}&${range}&limit=${limits.achievements}` },
+      program: { service: 'training', path: `/api/programs?client_id=${id}&status=active&limit=1` },
+      workouts: {
+        service: 'training',
+        needs: ['program'],
+        load: async ({ api, signal, values }) => {
+          const [program] = bodyData(values.program) || [];
+          if (!program) {
+            return [];
+          }
+          const response = await api.get('training', `/api/workouts?program_id=${program.id}`, { signal });
+          return response.data.data || [];
+        }
+      }
+    };
+  },
+  sections: {
+    week: { sources: [], build: (values, { query }) => clientWeek(query) },
+    completed_sessions: { sources: ['sessions'], build: ({ sessions }, { limits }) => weekList(sessions, limits.sessions) },
+    logged_workouts: {
+      sources: ['workout_logs'],
+      build: (values, { limits }) => weekList(values.workout_logs, limits.workout_logs)
+    },
+    metric_changes: {
+      sources: ['metrics'],
+      build: ({ metrics }, { query }) => (metrics ? metricChanges(bodyData(metrics) || [], clientWeek(query)) : null)
+    },
+    new_achievements: {
+      sources: ['achievements'],
+      build: ({ achievements }, { query }) => newAchievements(bodyData(achievements) || [], clientWeek(query))
+    },
+    adherence: {
+      sources: ['program', 'workouts', 'workout_logs'],
+      build: (values) => {
+        const [program] = bodyData(values.program) || [];
+        if (!program || !values.workouts || !values.workout_logs) {
+          return null;
+        }
+        return adherence(program, values.workouts, bodyData(values.workout_logs) || []);
+      }
+    }
+  }
+};
+
+module.exports = {
+  clientWeeklyDashboard,
+  clientWeek,
+  weekList,
+  metricChanges,
+  newAchievements,
+  adherence
+};
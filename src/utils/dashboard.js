@@ -0,0 +1,359 @@
+const logger = require('../config/logger');
+const upstream = require('./upstream');
+const { CircuitOpenError } = require('./circuitBreaker');
+const { latestDependencies } = require('./healthCheck');
+const { upstreamStats } = require('./metrics');
+const { isValidTimezone, localDate, addDays, weekday, datePart } = require('./dates');
+
+// Deadline for one section, and for the whole dashboard response
+const SECTION_TIMEOUT_MS = parseInt(process.env.DASHBOARD_SECTION_TIMEOUT_MS) || 2000;
+const BUDGET_MS = parseInt(process.env.DASHBOARD_BUDGET_MS) || 4000;
+
+class SectionTimeoutError extends Error {
+  constructor(name, timeoutMs) {
+    super(`Section ${name} timed out after ${timeoutMs}ms`);
+    this.name = 'SectionTimeoutError';
+  }
+}
+
+// Short reason for meta.sections; never the upstream's own message
+const describeError = (error) => {
+  if (error instanceof CircuitOpenError) {
+    return 'SERVICE_UNAVAILABLE';
+  }
+  if (error.response) {
+    return `HTTP_${error.response.status}`;
+  }
+  return error.code || 'ERROR';
+};
+
+const runSection = (name, { load }, { deadline, timeoutMs, values }) => {
+  const started = Date.now();
+  const limit = Math.max(Math.min(timeoutMs, deadline - started), 0);
+  const controller = new AbortController();
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      // Cancels the upstream call too, so it doesn't keep retrying in the background
+      controller.abort();
+      reject(new SectionTimeoutError(name, limit));
+    }, limit);
+  });
+
+  return Promise.race([Promise.resolve().then(() => load(controller.signal, values)), expired])
+    .then(
+      value => ({ status: 'ok', value }),
+      error => ({ status: error instanceof SectionTimeoutError ? 'timeout' : 'error', error })
+    )
+    .then((outcome) => {
+      clearTimeout(timer);
+      return { ...outcome, latencyMs: Date.now() - started };
+    });
+};
+
+/**
+ * Loads dashboard sections in parallel. A section that fails or misses its
+ * deadline is left out of `values` and reported in `meta.sections`, so callers
+ * can tell "no data" from "service down". Sections get SECTION_TIMEOUT_MS each,
+ * but never past the shared `deadline`. A section with `needs` starts once
+ * those have finished, and its `load` gets their values (missing ones failed).
+ *
+ * @param {Object<string, { service: string, load: Function, needs?: string[], timeoutMs?: number }>} sections -
+ *   `load(signal, values)` resolves to the section's value; pass the signal to the upstream call
+ * @param {Object} options
+ * @param {number} options.deadline - Epoch ms the whole dashboard must finish by
+ * @param {string} options.dashboard - Logged with failed sections
+ * @param {string} options.correlationId
+ * @returns {Promise<{ values: Object, sections: Object, partial: boolean }>}
+ */
+const loadSections = async (sections, {
+  deadline = Date.now() + BUDGET_MS,
+  dashboard,
+  correlationId
+} = {}) => {
+  const values = {};
+  const meta = {};
+  let pending = Object.keys(sections);
+
+  while (pending.length) {
+    const ready = pending.filter(name => (sections[name].needs || []).every(dependency => dependency in meta));
+    if (!ready.length) {
+      throw new Error(`Dashboard sections have unmet dependencies: ${pending.join(', ')}`);
+    }
+
+    const outcomes = await Promise.all(ready.map(name => runSection(name, sections[name], {
+      deadline,
+      timeoutMs: sections[name].timeoutMs || SECTION_TIMEOUT_MS,
+      values
+    })));
+
+    ready.forEach((name, i) => {
+      const { status, value, error, latencyMs } = outcomes[i];
+      meta[name] = { service: sections[name].service, status, latency_ms: latencyMs };
+      if (status === 'ok') {
+        values[name] = value;
+      } else if (status === 'error') {
+        meta[name].error = describeError(error);
+      }
+    });
+    pending = pending.filter(name => !ready.includes(name));
+  }
+
+  const failed = Object.keys(meta).filter(name => meta[name].status !== 'ok');
+  if (failed.length) {
+    logger.warn('Dashboard returned partial data', {
+      dashboard,
+      sections: Object.fromEntries(failed.map(name => [name, meta[name]])),
+      correlationId
+    });
+  }
+
+  return { values, sections: meta, partial: failed.length > 0 };
+};
+
+// Composite response body: data plus which sections made it
+const dashboardBody = (data, { sections, partial }) => ({
+  success: true,
+  data,
+  partial,
+  meta: { sections },
+  timestamp: new Date().toISOString()
+});
+
+const list = value => (typeof value === 'string' && value.trim()
+  ? value.split(',').map(item => item.trim()).filter(Boolean)
+  : []);
+
+/**
+ * Parses ?include=, ?fields= and ?<name>_limit= against a dashboard definition.
+ * `include` defaults to every section; `fields` entries are `section.property`
+ * and narrow that section's records; limits default per definition and are
+ * capped at their max.
+ *
+ * @returns {{ errors: Array, include: string[], fields: Object<string, string[]>, limits: Object<string, number> }}
+ */
+const parseDashboardQuery = (query, { sections, limits = {}, validate }) => {
+  const errors = [];
+  const known = Object.keys(sections);
+
+  const requested = list(query.include);
+  requested.filter(name => !known.includes(name)).forEach((name) => {
+    errors.push({ field: 'include', code: 'UNKNOWN_SECTION', message: `Unknown section ${name}; expected one of ${known.join(', ')}` });
+  });
+  const include = requested.length ? known.filter(name => requested.includes(name)) : known;
+
+  const fields = {};
+  list(query.fields).forEach((entry) => {
+    const [section, property, ...rest] = entry.split('.');
+    if (!property || rest.length) {
+      errors.push({ field: 'fields', code: 'INVALID_FIELD', message: `${entry} must be written as section.property` });
+    } else if (!known.includes(section)) {
+      errors.push({ field: 'fields', code: 'UNKNOWN_SECTION', message: `Unknown section ${section} in ${entry}` });
+    } else {
+      fields[section] = [...(fields[section] || []), property];
+    }
+  });
+
+  if (validate) {
+    errors.push(...validate(query));
+  }
+
+  const values = {};
+  Object.entries(limits).forEach(([name, { default: fallback, max }]) => {
+    const raw = query[`${name}_limit`];
+    if (raw === undefined) {
+      values[name] = fallback;
+    } else if (typeof raw !== 'string' || !/^\d+$/.test(raw) || parseInt(raw) < 1) {
+      errors.push({ field: `${name}_limit`, code: 'INVALID_LIMIT', message: `${name}_limit must be a positive integer` });
+    } else {
+      values[name] = Math.min(parseInt(raw), max);
+    }
+  });
+
+  return { errors, include, fields, limits: values };
+};
+
+// Keeps only the requested properties of a record, or of each record in a list
+const projectFields = (value, properties) => {
+  if (!properties || !value || typeof value !== 'object') {
+    return value;
+  }
+  const pick = record => (record && typeof record === 'object'
+    ? Object.fromEntries(properties.filter(name => name in record).map(name => [name, record[name]]))
+    : record);
+  return Array.isArray(value) ? value.map(pick) : pick(value);
+};
+
+// The record or records in a service response body ({ data, pagination })
+const bodyData = body => (body ? body.data : undefined);
+
+/**
+ * A trainer's "today": in `tz` when given, else in their profile's timezone, else UTC.
+ *
+ * @param {Object} [profile] - The trainer's user record
+ * @param {string} [tz] - A validated ?tz=
+ * @returns {{ date: string, timezone: string }}
+ */
+const trainerDay = (profile, tz, now = new Date()) => {
+  const timezone = tz || (profile && isValidTimezone(profile.timezone) ? profile.timezone : 'UTC');
+  return { date: localDate(timezone, now), timezone };
+};
+
+// How many different values `property` takes across records, ignoring missing ones
+const distinctCount = (records, property) => new Set((records || [])
+  .map(record => record[property])
+  .filter(value => value !== undefined && value !== null)
+  .map(String)).size;
+
+// Also filtered here, in case the schedule service returns more than the requested range
+const bookingsOn = (bookings, date) => (bookings || []).filter(booking => datePart(booking.booking_date) === date);
+
+// Bookings per day for `days` days from `from`
+const bookingsByDay = (bookings, from, days) => Array.from({ length: days }, (_, i) => {
+  const date = addDays(from, i);
+  return { date, weekday: weekday(date), bookings: bookingsOn(bookings, date).length };
+});
+
+// Totals come from pagination.total_count of a listing fetched with limit=1
+const totalCount = body => (body ? body.pagination?.total_count || 0 : 0);
+
+const BOOKING_STATUSES = ['scheduled', 'completed', 'cancelled', 'no_show'];
+const ADMIN_WINDOWS = { last_7_days: 7, last_30_days: 30 };
+
+// Blocks are fetched live; as_of says when, for clients showing or caching them
+const asOf = (data, at = new Date()) => ({ ...data, as_of: at.toISOString() });
+
+// Totals of a listing over each of ADMIN_WINDOWS, up to today (UTC)
+const countByWindow = async (api, signal, service, path, now = new Date()) => {
+  const today = localDate('UTC', now);
+  const separator = path.includes('?') ? '&' : '?';
+  const counts = await Promise.all(Object.entries(ADMIN_WINDOWS).map(async ([name, days]) => {
+    const response = await api.get(service,
+      `${path}${separator}date_from=${addDays(today, 1 - days)}&date_to=${today}&limit=1`, { signal });
+    return [name, totalCount(response.data)];
+  }));
+  return Object.fromEntries(counts);
+};
+
+// Admin dashboard source loaders, used as a source's `load`; `now` is for tests
+
+// { last_7_days: { scheduled, completed, ... }, last_30_days: { ... }, as_of }
+const loadBookingsByStatus = async ({ api, signal, now = new Date() }) => {
+  const byStatus = await Promise.all(BOOKING_STATUSES.map(status =>
+    countByWindow(api, signal, 'schedule', `/api/bookings?status=${status}`, now)));
+  const windows = Object.fromEntries(Object.keys(ADMIN_WINDOWS).map(name => [name,
+    Object.fromEntries(BOOKING_STATUSES.map((status, i) => [status, byStatus[i][name]]))]));
+  return asOf(windows, now);
+};
+
+const loadWorkoutLogCounts = async ({ api, signal, now = new Date() }) =>
+  asOf(await countByWindow(api, signal, 'progress', '/api/workout-logs', now), now);
+
+const loadUnreadNotifications = async ({ api, signal, now = new Date() }) => {
+  const response = await api.get('notification', '/api/notifications?is_read=false&limit=1', { signal });
+  return asOf({ count: totalCount(response.data) }, now);
+};
+
+// This replica's upstream call stats
+const loadGatewayUpstreams = async ({ now = new Date() } = {}) => asOf(await upstreamStats(), now);
+
+// Stamped with when the (possibly cached) probes ran, not when they were read
+const loadUpstreamHealth = async () => {
+  const { status, dependencies, checkedAt } = await latestDependencies();
+  return asOf({ status, dependencies }, new Date(checkedAt));
+};
+
+const errorBody = (code, message, extra = {}) => ({
+  success: false,
+  error: { code, message, ...extra, timestamp: new Date().toISOString() }
+});
+
+/**
+ * Builds the handler for a composite dashboard. Only the upstream sources the
+ * included sections need are called.
+ *
+ * @param {Object} definition
+ * @param {string} definition.name - Used in logs
+ * @param {Function} [definition.canView] - (user, params) => boolean
+ * @param {string} [definition.forbiddenMessage]
+ * @param {Object} [definition.limits] - { name: { default, max } }, read from ?<name>_limit=
+ * @param {Function} definition.sources - ({ params, query, limits, user }) =>
+ *   { name: { service, path, needs?, timeoutMs? } }; each resolves to the upstream response body.
+ *   `path` may be a function of the values of the sources it `needs`. A source
+ *   with `load({ api, signal, values })` instead of `path` resolves to whatever that returns
+ * @param {Object} definition.sections - { name: { sources, build(values, context) } };
+ *   `sources` lists source names, or is a function of the context returning them.
+ *   `values` holds the bodies of the sources that loaded
+ * @param {Function} [definition.validate] - (query) => extra errors, as { field, code, message }
+ */
+const createDashboard = (definition) => async (req, res) => {
+  if (definition.canView && !definition.canView(req.user, req.params)) {
+    return res.status(403).json(errorBody('FORBIDDEN', definition.forbiddenMessage));
+  }
+
+  const { errors, include, fields, limits } = parseDashboardQuery(req.query, definition);
+  if (errors.length) {
+    return res.status(400).json(errorBody('INVALID_DASHBOARD_QUERY',
+      errors.length === 1 ? errors[0].message : 'Dashboard query is invalid', { fields: errors }));
+  }
+
+  try {
+    const api = upstream.forRequest(req);
+    const context = { params: req.params, query: req.query, limits, user: req.user };
+    const available = definition.sources(context);
+    const sectionSources = ({ sources }) => (typeof sources === 'function' ? sources(context) : sources);
+
+    // The included sections' sources, plus whatever those depend on
+    const needed = new Set(include.flatMap(name => sectionSources(definition.sections[name])));
+    needed.forEach(name => (available[name].needs || []).forEach(dependency => needed.add(dependency)));
+
+    const sections = {};
+    needed.forEach((name) => {
+      const { service, path, needs, timeoutMs, load } = available[name];
+      sections[name] = {
+        service,
+        needs,
+        timeoutMs,
+        load: load
+          ? (signal, values) => load({ api, signal, values })
+          : (signal, values) => api.get(service, typeof path === 'function' ? path(values) : path, { signal })
+            .then(response => response.data)
+      };
+    });
+    const result = await loadSections(sections, { dashboard: definition.name, correlationId: req.correlationId });
+
+    const data = {};
+    include.forEach((name) => {
+      data[name] = projectFields(definition.sections[name].build(result.values, context), fields[name]);
+    });
+    res.json(dashboardBody(data, result));
+  } catch (error) {
+    logger.error(`${definition.name} dashboard error:`, { error: error.message, correlationId: req.correlationId });
+    res.status(500).json(errorBody('DASHBOARD_ERROR', 'Failed to load dashboard'));
+  }
+};
+
+module.exports = {
+  SECTION_TIMEOUT_MS,
+  BUDGET_MS,
+  SectionTimeoutError,
+  loadSections,
+  dashboardBody,
+  parseDashboardQuery,
+  projectFields,
+  createDashboard,
+  bodyData,
+  trainerDay,
+  distinctCount,
+  bookingsOn,
+  bookingsByDay,
+  BOOKING_STATUSES,
+  ADMIN_WINDOWS,
+  totalCount,
+  countByWindow,
+  loadBookingsByStatus,
+  loadWorkoutLogCounts,
+  loadUnreadNotifications,
+  loadGatewayUpstreams,
+  loadUpstreamHealth
+};
@@ -0,0 +1,64 @@
+// Calendar-date helpers. Dates are 'YYYY-MM-DD' strings; arithmetic runs in UTC
+// so it never shifts across DST changes.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The calendar date it is in `timezone` at `now`
+const localDate = (timezone, now = new Date()) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: timezone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(now);
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const weekday = date => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+// Upstream records carry dates as 'YYYY-MM-DD' or a full timestamp; either way the day is the prefix
+const datePart = value => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : null);
+
+const dayIndex = date => (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7; // Monday = 0
+
+// ISO 8601 week of a date, as 'YYYY-Www'; the week belongs to the year of its Thursday
+const isoWeek = (date) => {
+  const thursday = addDays(date, 3 - dayIndex(date));
+  const year = thursday.slice(0, 4);
+  const week = Math.floor((Date.parse(`${thursday}T00:00:00Z`) - Date.parse(`${year}-01-01T00:00:00Z`)) / (7 * DAY_MS)) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+};
+
+// Monday of an ISO week, or null when `week` isn't a real 'YYYY-Www' week
+const isoWeekStart = (week) => {
+  const match = typeof week === 'string' && /^(\d{4})-W(\d{2})$/.exec(week);
+  if (!match) {
+    return null;
+  }
+  // 4 January is always in week 1
+  const january4 = `${match[1]}-01-04`;
+  const start = addDays(addDays(january4, -dayIndex(january4)), (parseInt(match[2]) - 1) * 7);
+  return parseInt(match[2]) >= 1 && isoWeek(start) === week ? start : null;
+};
+
+module.exports = {
+  isValidTimezone,
+  localDate,
+  addDays,
+  weekday,
+  datePart,
+  isoWeek,
+  isoWeekStart
+};
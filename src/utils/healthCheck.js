@@ -0,0 +1,150 @@
+const axios = require('axios');
+const services = require('../config/services');
+const { getRedisClient } = require('../config/redis');
+const { getBreaker } = require('./circuitBreaker');
+const { getBalancer } = require('./loadBalancer');
+
+const PROBE_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+const PROBE_PATH = process.env.HEALTH_CHECK_PATH || '/health';
+const READINESS_CACHE_MS = parseInt(process.env.HEALTH_READINESS_CACHE_MS) || 5000;
+
+// Dependencies whose loss takes the gateway down rather than degrading it
+const criticalDependencies = (process.env.HEALTH_CRITICAL_SERVICES || 'user')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+let accepting = false;
+let lastReport = null;
+let probing = null;
+
+// Flipped on once the server listens and off again when shutdown starts
+const setReady = (ready) => {
+  accepting = ready;
+};
+
+const isAccepting = () => accepting;
+
+const timeoutAfter = (ms) => new Promise((resolve, reject) => {
+  setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms).unref();
+});
+
+const probe = async (name, check) => {
+  const started = Date.now();
+  const result = { critical: criticalDependencies.includes(name) };
+
+  try {
+    await Promise.race([check(), timeoutAfter(PROBE_TIMEOUT_MS)]);
+    result.status = 'up';
+  } catch (error) {
+    result.status = 'down';
+    result.error = error.message;
+  }
+
+  result.latency_ms = Date.now() - started;
+  return [name, result];
+};
+
+const probeInstance = (url) => axios.get(`${url}${PROBE_PATH}`, { timeout: PROBE_TIMEOUT_MS });
+
+// A service with several instances is up while any of them answers
+const probeService = async (name) => {
+  const instances = getBalancer(name).status();
+  if (instances.length === 1) {
+    return probe(name, () => probeInstance(instances[0].url));
+  }
+
+  const results = await Promise.all(instances.map(({ url }) => probe(url, () => probeInstance(url))));
+  const [, result] = await probe(name, async () => {
+    if (results.every(([, instance]) => instance.status === 'down')) {
+      throw new Error('All instances down');
+    }
+  });
+
+  result.instances = results.map(([url, instance], i) => ({
+    url,
+    status: instance.status,
+    ejected: instances[i].ejected,
+    latency_ms: instance.latency_ms
+  }));
+  result.latency_ms = Math.max(...result.instances.map(instance => instance.latency_ms));
+  return [name, result];
+};
+
+const probeRedis = () => probe('redis', async () => {
+  const client = getRedisClient();
+  if (!client.isReady) {
+    throw new Error('Not connected');
+  }
+  await client.ping();
+});
+
+const overallStatus = (dependencies) => {
+  const down = Object.values(dependencies).filter(dep => dep.status === 'down');
+  if (down.some(dep => dep.critical)) {
+    return 'down';
+  }
+  return down.length ? 'degraded' : 'healthy';
+};
+
+/**
+ * Probes every service and Redis concurrently and rates the gateway:
+ * healthy, degraded (a non-critical dependency is down) or down.
+ */
+const checkDependencies = async () => {
+  const results = await Promise.all([
+    ...Object.keys(services).map(probeService),
+    probeRedis()
+  ]);
+
+  const dependencies = Object.fromEntries(results);
+  Object.keys(services).forEach((name) => {
+    dependencies[name].circuit = getBreaker(name).state;
+  });
+
+  lastReport = {
+    status: overallStatus(dependencies),
+    checkedAt: Date.now(),
+    dependencies
+  };
+  return lastReport;
+};
+
+/**
+ * The last dependency report while it is under READINESS_CACHE_MS old, else a
+ * fresh one. Concurrent callers share a single probe, so frequent or public
+ * callers never fan out to every instance each time.
+ */
+const latestDependencies = () => {
+  if (lastReport && Date.now() - lastReport.checkedAt < READINESS_CACHE_MS) {
+    return Promise.resolve(lastReport);
+  }
+  if (!probing) {
+    probing = checkDependencies().finally(() => {
+      probing = null;
+    });
+  }
+  return probing;
+};
+
+// Readiness: accepting traffic and no critical dependency down
+const checkReadiness = async () => {
+  if (!accepting) {
+    return { ready: false, reason: 'not accepting traffic' };
+  }
+
+  const report = await latestDependencies();
+
+  return report.status === 'down'
+    ? { ready: false, reason: 'critical dependency down', status: report.status }
+    : { ready: true, status: report.status };
+};
+
+module.exports = {
+  setReady,
+  isAccepting,
+  checkDependencies,
+  latestDependencies,
+  checkReadiness,
+  overallStatus
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const axios = require('axios');
+const logger = require('../config/logger');
+
+const SUPPORTED_KEY_TYPES = ['RSA', 'EC'];
+
+const signingKeysFrom = (document) => {
+  if (!document || !Array.isArray(document.keys)) {
+    throw new Error('JWKS document has no keys array');
+  }
+
+  const keys = new Map();
+  document.keys
+    .filter(jwk => SUPPORTED_KEY_TYPES.includes(jwk.kty) && jwk.use !== 'enc')
+    .forEach((jwk) => {
+      try {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        logger.warn('Skipping unusable JWKS key', { kid: jwk.kid, error: error.message });
+      }
+    });
+  return keys;
+};
+
+/**
+ * Caches the signing keys published by the user service (or a local JWKS file).
+ * Keys are refetched when they go stale or a token names an unknown `kid`;
+ * unknown-kid refreshes are throttled so forged kids can't hammer the issuer.
+ *
+ * @param {Object} options
+ * @param {string} [options.uri] - JWKS endpoint
+ * @param {string} [options.file] - Local JWKS file, used instead of uri when set
+ * @param {number} [options.cacheTtlMs] - How long fetched keys are trusted
+ * @param {number} [options.minRefreshIntervalMs] - Minimum gap between unknown-kid refreshes
+ */
+const createJwksClient = ({
+  uri,
+  file,
+  cacheTtlMs = 10 * 60 * 1000,
+  minRefreshIntervalMs = 30 * 1000,
+  timeout = 5000
+}) => {
+  let keys = new Map();
+  let fetchedAt = 0;
+  let inFlight = null;
+
+  const load = async () => {
+    if (file) {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    }
+    const response = await axios.get(uri, { timeout });
+    return response.data;
+  };
+
+  const refresh = () => {
+    if (!inFlight) {
+      inFlight = load()
+        .then((document) => {
+          keys = signingKeysFrom(document);
+          fetchedAt = Date.now();
+          logger.info('JWKS signing keys loaded', { source: file || uri, kids: [...keys.keys()] });
+          return keys;
+        })
+        .finally(() => {
+          inFlight = null;
+        });
+    }
+    return inFlight;
+  };
+
+  const lookup = (kid) => {
+    if (kid) {
+      return keys.get(kid);
+    }
+    // Tokens without a kid are only unambiguous when a single key is published
+    return keys.size === 1 ? keys.values().next().value : undefined;
+  };
+
+  const getSigningKey = async (kid) => {
+    let refreshed = false;
+
+    if (Date.now() - fetchedAt > cacheTtlMs) {
+      // Keep serving stale keys if the issuer is briefly unreachable
+      await refresh().catch((error) => {
+        if (!keys.size) {
+          throw error;
+        }
+        logger.warn('JWKS refresh failed, using cached keys', { error: error.message });
+      });
+      refreshed = true;
+    }
+
+    let key = lookup(kid);
+    if (!key && !refreshed && Date.now() - fetchedAt >= minRefreshIntervalMs) {
+      await refresh();
+      key = lookup(kid);
+    }
+
+    if (!key) {
+      throw new Error(`No signing key found for kid "${kid}"`);
+    }
+    return key;
+  };
+
+  return {
+    getSigningKey,
+    refresh
+  };
+};
+
+module.exports = {
+  createJwksClient
+};
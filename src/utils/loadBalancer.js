@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const services = require('../config/services');
+const logger = require('../config/logger');
+
+const STRATEGIES = ['round-robin', 'least-outstanding', 'consistent-hash'];
+const DEFAULT_STRATEGY = 'round-robin';
+
+const FAILURE_THRESHOLD = parseInt(process.env.LB_FAILURE_THRESHOLD) || 3;
+const EJECT_MS = parseInt(process.env.LB_EJECT_MS) || 30000;
+const VIRTUAL_NODES = 100;
+
+const hash = (value) => crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+
+/**
+ * Picks an instance of one service per request and tracks each instance's
+ * outstanding requests and consecutive failures. An instance that fails
+ * FAILURE_THRESHOLD times in a row is ejected for EJECT_MS, then tried again.
+ */
+class LoadBalancer {
+  constructor(service, { instances, strategy = DEFAULT_STRATEGY }, previous = null) {
+    this.service = service;
+    this.strategy = strategy;
+    this.next = 0;
+
+    // Keep counters for instances that survive a config reload
+    const known = new Map((previous ? previous.instances : []).map(instance => [instance.url, instance]));
+    this.instances = instances.map(url => known.get(url) || {
+      url,
+      outstanding: 0,
+      failures: 0,
+      ejectedUntil: 0
+    });
+
+    if (strategy === 'consistent-hash') {
+      this.ring = this.instances
+        .flatMap(instance => Array.from({ length: VIRTUAL_NODES }, (_, i) => ({ point: hash(`${instance.url}#${i}`), instance })))
+        .sort((a, b) => a.point - b.point);
+    }
+  }
+
+  isEjected(instance, now = Date.now()) {
+    return instance.ejectedUntil > now;
+  }
+
+  // Healthy instances, or every instance when all are ejected - better to try than to refuse
+  candidates() {
+    const now = Date.now();
+    const healthy = this.instances.filter(instance => !this.isEjected(instance, now));
+    return healthy.length ? healthy : this.instances;
+  }
+
+  roundRobin(candidates) {
+    const instance = candidates[this.next % candidates.length];
+    this.next = (this.next + 1) % Number.MAX_SAFE_INTEGER;
+    return instance;
+  }
+
+  leastOutstanding(candidates) {
+    const fewest = Math.min(...candidates.map(instance => instance.outstanding));
+    return this.roundRobin(candidates.filter(instance => instance.outstanding === fewest));
+  }
+
+  // First healthy instance clockwise from the key's point on the ring
+  consistentHash(candidates, key) {
+    const point = hash(String(key));
+    const start = this.ring.findIndex(node => node.point >= point);
+
+    for (let i = 0; i < this.ring.length; i++) {
+      const { instance } = this.ring[(Math.max(start, 0) + i) % this.ring.length];
+      if (candidates.includes(instance)) {
+        return instance;
+      }
+    }
+    return candidates[0];
+  }
+
+  /**
+   * Chooses an instance and counts the request against it. Every pick must be
+   * matched by one release().
+   *
+   * @param {string} [key] - Consistent-hash key, usually the caller's user id
+   */
+  pick(key) {
+    const candidates = this.candidates();
+    let instance;
+
+    if (candidates.length === 1) {
+      [instance] = candidates;
+    } else if (this.strategy === 'least-outstanding') {
+      instance = this.leastOutstanding(candidates);
+    } else if (this.strategy === 'consistent-hash' && key) {
+      instance = this.consistentHash(candidates, key);
+    } else {
+      instance = this.roundRobin(candidates);
+    }
+
+    instance.outstanding++;
+    return instance;
+  }
+
+  release(instance, failed) {
+    instance.outstanding = Math.max(0, instance.outstanding - 1);
+
+    if (!failed) {
+      instance.failures = 0;
+      return;
+    }
+
+    instance.failures++;
+    if (instance.failures >= FAILURE_THRESHOLD && !this.isEjected(instance) && this.instances.length > 1) {
+      instance.ejectedUntil = Date.now() + EJECT_MS;
+      instance.failures = 0;
+      logger.warn(`Ejected ${instance.url} from ${this.service} service for ${EJECT_MS}ms`, {
+        failureThreshold: FAILURE_THRESHOLD
+      });
+    }
+  }
+
+  status() {
+    return this.instances.map(instance => ({
+      url: instance.url,
+      outstanding: instance.outstanding,
+      ejected: this.isEjected(instance)
+    }));
+  }
+}
+
+let upstreams = {};
+const balancers = new Map();
+
+/**
+ * Replaces the instance lists, e.g. after a gateway config reload. Services
+ * without an entry use their single URL from config/services.
+ *
+ * @param {Object<string, { instances: string[], strategy?: string }>} config
+ */
+const configureUpstreams = (config) => {
+  upstreams = config;
+  Array.from(balancers.keys()).forEach((service) => {
+    const previous = balancers.get(service);
+    balancers.delete(service);
+    if (upstreams[service]) {
+      balancers.set(service, new LoadBalancer(service, upstreams[service], previous));
+    }
+  });
+};
+
+const getBalancer = (service) => {
+  const current = balancers.get(service);
+  const instances = upstreams[service] ? upstreams[service].instances : [services[service]];
+
+  // Unconfigured services follow their URL in config/services
+  if (!current || (!upstreams[service] && current.instances[0].url !== instances[0])) {
+    balancers.set(service, new LoadBalancer(service, upstreams[service] || { instances }, current));
+  }
+  return balancers.get(service);
+};
+
+module.exports = {
+  STRATEGIES,
+  LoadBalancer,
+  configureUpstreams,
+  getBalancer
+};
@@ -0,0 +1,143 @@
+const client = require('prom-client');
+
+const register = new client.Registry();
+register.setDefaultLabels({ service: 'api-gateway' });
+client.collectDefaultMetrics({ register });
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const httpRequestsTotal = new client.Counter({
+  name: 'gateway_http_requests_total',
+  help: 'Requests handled by the gateway',
+  labelNames: ['route', 'method', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'gateway_http_request_duration_seconds',
+  help: 'Gateway request latency, from arrival to response finish',
+  labelNames: ['route', 'method', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const upstreamRequestDuration = new client.Histogram({
+  name: 'gateway_upstream_request_duration_seconds',
+  help: 'Latency of calls to FitSync services, per attempt',
+  labelNames: ['upstream', 'kind', 'method', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const proxyErrorsTotal = new client.Counter({
+  name: 'gateway_proxy_errors_total',
+  help: 'Proxied requests that failed before an upstream response',
+  labelNames: ['upstream', 'code'],
+  registers: [register]
+});
+
+const rateLimitRejectionsTotal = new client.Counter({
+  name: 'gateway_rate_limit_rejections_total',
+  help: 'Requests rejected by the rate limiter',
+  labelNames: ['bucket', 'role'],
+  registers: [register]
+});
+
+/**
+ * Route label with bounded cardinality: the matched express route template
+ * (e.g. /api/dashboard/client/:id), else the mount prefix of the proxy that
+ * handled it (e.g. /api/bookings), else "unmatched".
+ */
+const routeLabel = (req) => {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  return req.baseUrl || 'unmatched';
+};
+
+const metricsMiddleware = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = { route: routeLabel(req), method: req.method, status: res.statusCode };
+    endTimer(labels);
+    httpRequestsTotal.inc(labels);
+  });
+
+  next();
+};
+
+/**
+ * Starts timing one upstream call; call the returned function with the
+ * response status (or 'error') when it settles.
+ *
+ * @param {string} upstream - Key in config/services
+ * @param {'proxy'|'composite'} kind
+ * @param {string} method
+ */
+const startUpstreamTimer = (upstream, kind, method) => {
+  const endTimer = upstreamRequestDuration.startTimer({ upstream, kind, method });
+  return (status) => endTimer({ status: String(status) });
+};
+
+const recordProxyError = (upstream, code) => {
+  proxyErrorsTotal.inc({ upstream, code: code || 'UNKNOWN' });
+};
+
+const recordRateLimitRejection = (bucket, role) => {
+  rateLimitRejectionsTotal.inc({ bucket, role });
+};
+
+const startedAt = new Date();
+
+const isErrorStatus = status => status === 'error' || parseInt(status) >= 500;
+
+/**
+ * Per-service call counts, error rate and mean latency from this replica's
+ * upstream histogram, covering proxied and composite calls since startup.
+ * Errors are 5xx responses and calls that got no response.
+ */
+const upstreamStats = async () => {
+  const { values } = await upstreamRequestDuration.get();
+  const stats = {};
+  values.forEach(({ metricName, labels, value }) => {
+    if (!metricName.endsWith('_count') && !metricName.endsWith('_sum')) {
+      return;
+    }
+    const service = stats[labels.upstream] || (stats[labels.upstream] = { requests: 0, errors: 0, seconds: 0 });
+    if (metricName.endsWith('_sum')) {
+      service.seconds += value;
+    } else {
+      service.requests += value;
+      if (isErrorStatus(labels.status)) {
+        service.errors += value;
+      }
+    }
+  });
+
+  return {
+    since: startedAt.toISOString(),
+    services: Object.fromEntries(Object.entries(stats).map(([name, { requests, errors, seconds }]) => [name, {
+      requests,
+      errors,
+      error_rate: requests ? Number((errors / requests).toFixed(4)) : 0,
+      avg_latency_ms: requests ? Math.round((seconds / requests) * 1000) : 0
+    }]))
+  };
+};
+
+const metricsHandler = async (req, res) => {
+  res.set('Content-Type', register.contentType);
+  res.end(await register.metrics());
+};
+
+module.exports = {
+  register,
+  metricsMiddleware,
+  metricsHandler,
+  startUpstreamTimer,
+  recordProxyError,
+  recordRateLimitRejection,
+  routeLabel,
+  upstreamStats
+};
@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../config/logger');
+const { verifyToken } = require('../middleware/auth');
+
+const STREAM_PATH = '/api/notifications/stream';
+const CHANNEL = process.env.NOTIFICATION_CHANNEL || 'notifications';
+const HEARTBEAT_MS = parseInt(process.env.NOTIFICATION_STREAM_HEARTBEAT_MS) || 25000;
+const MAX_CONNECTIONS_PER_USER = parseInt(process.env.NOTIFICATION_STREAM_MAX_PER_USER) || 5;
+// Recent events kept per user for Last-Event-ID replay
+const REPLAY_SIZE = parseInt(process.env.NOTIFICATION_REPLAY_SIZE) || 100;
+const REPLAY_TTL_SECONDS = parseInt(process.env.NOTIFICATION_REPLAY_TTL_SECONDS) || 24 * 60 * 60;
+// How long SSE clients wait before reconnecting
+const RETRY_MS = 5000;
+// Longest delay setTimeout honors; past it (about 24.8 days) the timer fires at once
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const replayKey = (userId) => `notify:replay:${userId}`;
+
+// userId -> this replica's open connections for that user
+const connections = new Map();
+let subscriber = null;
+
+/**
+ * Parses a pub/sub message from the notification service: a JSON notification
+ * with `user_id`. Event ids are `<created_at ms>-<notification id>`, so every
+ * replica derives the same id for the same message.
+ */
+const parseEvent = (raw, receivedAt = Date.now()) => {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+  const userId = data && (data.user_id !== undefined ? data.user_id : data.userId);
+  if (userId === undefined || userId === null) {
+    return null;
+  }
+
+  const timestamp = Date.parse(data.created_at) || receivedAt;
+  const ref = data.id !== undefined ? String(data.id) : crypto.createHash('md5').update(raw).digest('hex').slice(0, 12);
+  return { userId: String(userId), eventId: `${timestamp}-${ref}`, timestamp, raw, data };
+};
+
+// --- Replay log ---------------------------------------------------------------
+// A sorted set per user scored by event time. Every replica receives every
+// message and adds the same member, so the writes are idempotent.
+
+const recordEvent = async (client, event) => {
+  if (!client || !client.isReady) {
+    return;
+  }
+  try {
+    const key = replayKey(event.userId);
+    await client.zAdd(key, { score: event.timestamp, value: event.raw });
+    await client.zRemRangeByRank(key, 0, -(REPLAY_SIZE + 1));
+    await client.expire(key, REPLAY_TTL_SECONDS);
+  } catch (error) {
+    logger.warn('Failed to record notification for replay', { userId: event.userId, error: error.message });
+  }
+};
+
+// Events after lastEventId; ones sharing its millisecond may be sent again
+const replayEvents = async (client, userId, lastEventId) => {
+  const since = parseInt(String(lastEventId).split('-')[0]);
+  if (!client || !client.isReady || !Number.isFinite(since)) {
+    return [];
+  }
+  try {
+    const members = await client.zRangeByScore(replayKey(userId), since, '+inf');
+    return members
+      .map(raw => parseEvent(raw))
+      .filter(event => event && (event.timestamp > since || event.eventId !== lastEventId));
+  } catch (error) {
+    logger.warn('Failed to replay notifications', { userId, error: error.message });
+    return [];
+  }
+};
+
+// --- Connections --------------------------------------------------------------
+
+const connectionCount = (userId) => (connections.get(String(userId)) || new Set()).size;
+
+// Closes the connection at `expiresAt`, re-arming in steps when that is beyond MAX_TIMER_MS
+const armExpiry = (connection, expiresAt) => {
+  const remaining = Math.max(expiresAt - Date.now(), 0);
+  connection.expiryTimer = setTimeout(() => {
+    if (remaining > MAX_TIMER_MS) {
+      armExpiry(connection, expiresAt);
+    } else {
+      connection.close('expired');
+    }
+  }, Math.min(remaining, MAX_TIMER_MS));
+  connection.expiryTimer.unref();
+};
+
+/**
+ * Registers a connection for a user and replays what they missed since
+ * lastEventId. Live events that arrive during the replay are held back and
+ * sent after it, without repeating replayed ones.
+ *
+ * @param {Object} user - Verified token payload
+ * @param {Function} send - Writes one event to the connection
+ * @param {Function} close - Ends the connection with a reason: 'expired' when the
+ *   token runs out, 'shutdown' when the gateway is stopping
+ * @returns {Object|null} The connection, or null when the user is at the limit
+ */
+const openConnection = (user, { send, close }, lastEventId, { getClient = getRedisClient } = {}) => {
+  const userId = String(user.id);
+  if (connectionCount(userId) >= MAX_CONNECTIONS_PER_USER) {
+    return null;
+  }
+
+  const connection = { userId, send, close, pending: [] };
+  if (!connections.has(userId)) {
+    connections.set(userId, new Set());
+  }
+  connections.get(userId).add(connection);
+
+  // Clients reconnect with a fresh token rather than outliving the one they connected with
+  if (user.exp) {
+    armExpiry(connection, user.exp * 1000);
+  }
+
+  const missed = lastEventId ? replayEvents(getClient(), userId, lastEventId) : Promise.resolve([]);
+  connection.ready = missed.then((events) => {
+    const replayed = new Set(events.map(event => event.eventId));
+    const held = connection.pending.filter(event => !replayed.has(event.eventId));
+    connection.pending = null;
+    [...events, ...held].forEach(event => connection.send(event));
+  });
+
+  return connection;
+};
+
+const closeConnection = (connection) => {
+  clearTimeout(connection.expiryTimer);
+  const userConnections = connections.get(connection.userId);
+  if (userConnections) {
+    userConnections.delete(connection);
+    if (!userConnections.size) {
+      connections.delete(connection.userId);
+    }
+  }
+};
+
+// Sends an event to this replica's connections for its user
+const deliver = (event) => {
+  (connections.get(event.userId) || []).forEach((connection) => {
+    if (connection.pending) {
+      connection.pending.push(event);
+    } else {
+      connection.send(event);
+    }
+  });
+};
+
+const handleMessage = (client, raw) => {
+  const event = parseEvent(raw);
+  if (!event) {
+    logger.warn('Ignoring malformed notification event', { channel: CHANNEL });
+    return Promise.resolve();
+  }
+  deliver(event);
+  return recordEvent(client, event);
+};
+
+/**
+ * Subscribes to the notification service's pub/sub channel. Needs its own
+ * Redis connection, since a subscribed connection can't run other commands.
+ */
+const startNotificationStream = async ({ getClient = getRedisClient } = {}) => {
+  const client = getClient();
+  subscriber = client.duplicate();
+  subscriber.on('error', (error) => {
+    logger.error('Notification subscriber error', { error: error.message });
+  });
+  await subscriber.connect();
+  await subscriber.subscribe(CHANNEL, raw => handleMessage(client, raw));
+  logger.info(`Streaming notifications from Redis channel ${CHANNEL}`);
+};
+
+// Closes every open stream and the subscriber
+const stopNotificationStream = async () => {
+  connections.forEach(userConnections => userConnections.forEach(connection => connection.close('shutdown')));
+  connections.clear();
+  if (subscriber) {
+    const closing = subscriber;
+    subscriber = null;
+    await (closing.isReady ? closing.quit() : closing.disconnect()).catch(() => {});
+  }
+};
+
+// --- Transports ---------------------------------------------------------------
+
+const errorBody = (code, message) => ({
+  success: false,
+  error: { code, message, timestamp: new Date().toISOString() }
+});
+
+const tooManyConnections = () => errorBody('TOO_MANY_CONNECTIONS',
+  `At most ${MAX_CONNECTIONS_PER_USER} notification streams per user`);
+
+const isAccessTokenParam = (param) => {
+  try {
+    return decodeURIComponent(param.split('=')[0]) === 'access_token';
+  } catch (error) {
+    return false;
+  }
+};
+
+const withoutAccessToken = (url) => {
+  const index = url.indexOf('?');
+  if (index === -1) {
+    return url;
+  }
+  const rest = url.slice(index + 1).split('&').filter(param => !isAccessTokenParam(param)).join('&');
+  return rest ? `${url.slice(0, index)}?${rest}` : url.slice(0, index);
+};
+
+/**
+ * EventSource can't send headers, so the stream also takes the token as
+ * ?access_token=. Registered ahead of verifyToken for the stream path. The
+ * token is taken off the URL and query, so later logs and spans never see it.
+ */
+const tokenFromQuery = (req, res, next) => {
+  const token = req.query && req.query.access_token;
+  if (token !== undefined) {
+    delete req.query.access_token;
+    req.url = withoutAccessToken(req.url);
+    if (req.originalUrl) {
+      req.originalUrl = withoutAccessToken(req.originalUrl);
+    }
+  }
+  if (!req.headers.authorization && typeof token === 'string' && token) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  next();
+};
+
+/**
+ * GET /api/notifications/stream as Server-Sent Events. Expects authorize() to
+ * have set req.user. Resumes after the Last-Event-ID header (or ?last_event_id=).
+ */
+const sseHandler = (req, res) => {
+  const send = (event) => res.write(`id: ${event.eventId}\nevent: notification\ndata: ${JSON.stringify(event.data)}\n\n`);
+  const connection = openConnection(req.user, { send, close: () => res.end() },
+    req.headers['last-event-id'] || req.query.last_event_id);
+  if (!connection) {
+    return res.status(429).json(tooManyConnections());
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    closeConnection(connection);
+  });
+};
+
+// Answers an upgrade request with an HTTP error instead of a WebSocket
+const rejectUpgrade = (socket, status, reason, body) => {
+  const payload = JSON.stringify(body);
+  socket.end(`HTTP/1.1 ${status} ${reason}\r\nContent-Type: application/json\r\n`
+    + `Content-Length: ${Buffer.byteLength(payload)}\r\nConnection: close\r\n\r\n${payload}`);
+};
+
+/**
+ * Serves the same stream over WebSocket on the gateway's HTTP server. The
+ * upgrade request is authenticated with verifyToken, and each event is sent as
+ * { id, event, data }. Clients resume with a Last-Event-ID header or
+ * ?last_event_id=. Unanswered pings close the socket.
+ */
+const attachNotificationSocket = (server, options = {}) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://gateway');
+    if (url.pathname.replace(/^\/api\/v\d+(?=\/)/, '') !== STREAM_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    req.query = Object.fromEntries(url.searchParams);
+    tokenFromQuery(req, null, () => verifyToken(req, null, () => {
+      if (!req.user) {
+        return rejectUpgrade(socket, 401, 'Unauthorized', errorBody('UNAUTHORIZED', 'Authentication required'));
+      }
+      if (connectionCount(req.user.id) >= MAX_CONNECTIONS_PER_USER) {
+        return rejectUpgrade(socket, 429, 'Too Many Requests', tooManyConnections());
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        const send = event => ws.send(JSON.stringify({ id: event.eventId, event: 'notification', data: event.data }));
+        const close = reason => (reason === 'shutdown'
+          ? ws.close(1001, 'Server shutting down')
+          : ws.close(1000, 'Token expired'));
+        const connection = openConnection(req.user, { send, close },
+          req.headers['last-event-id'] || req.query.last_event_id, options);
+        if (!connection) {
+          return ws.close(1013, 'Too many connections');
+        }
+
+        let alive = true;
+        ws.on('pong', () => {
+          alive = true;
+        });
+        const heartbeat = setInterval(() => {
+          if (!alive) {
+            return ws.terminate();
+          }
+          alive = false;
+          ws.ping();
+        }, HEARTBEAT_MS);
+
+        ws.on('close', () => {
+          clearInterval(heartbeat);
+          closeConnection(connection);
+        });
+      });
+    }));
+  });
+
+  return wss;
+};
+
+module.exports = {
+  STREAM_PATH,
+  CHANNEL,
+  MAX_CONNECTIONS_PER_USER,
+  parseEvent,
+  handleMessage,
+  openConnection,
+  closeConnection,
+  startNotificationStream,
+  stopNotificationStream,
+  tokenFromQuery,
+  sseHandler,
+  attachNotificationSocket
+};
@@ -0,0 +1,117 @@
+const { retryConfig } = require('../config/retries');
+const { getBreaker } = require('./circuitBreaker');
+const logger = require('../config/logger');
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+const ATTEMPTS_HEADER = 'X-Upstream-Attempts';
+
+const isIdempotent = (method, headers = {}) => {
+  const idempotencyKey = Object.keys(headers).some(name => name.toLowerCase() === 'idempotency-key');
+  return IDEMPOTENT_METHODS.includes((method || 'GET').toUpperCase()) || idempotencyKey;
+};
+
+// Connection-level failures and gateway-style statuses; anything else is a real answer
+const isRetryableError = (error) => {
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+};
+
+// Exponential backoff with full jitter
+const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs fn until it succeeds, fails with a non-retryable error or the service's
+ * attempt budget is spent. The attempt count is attached to the result or error.
+ *
+ * @param {string} service - Key in config/services
+ * @param {Function} fn - Performs one attempt
+ * @param {{ method: string, headers?: Object, label?: string }} request - Used to decide idempotency
+ */
+const withRetry = async (service, fn, { method, headers, label }) => {
+  const config = retryConfig(service);
+  const maxAttempts = isIdempotent(method, headers) ? config.maxAttempts : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await fn();
+      if (result && typeof result === 'object') {
+        result.attempts = attempt;
+      }
+      return result;
+    } catch (error) {
+      error.attempts = attempt;
+      if (attempt >= maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, config);
+      logger.warn(`Retrying ${label || method} on ${service} service`, {
+        attempt: attempt + 1,
+        maxAttempts,
+        delayMs: delay,
+        error: error.code || error.response?.status
+      });
+      await sleep(delay);
+    }
+  }
+};
+
+// Bodies parsed by express.json/urlencoded are re-sent by onProxyReq; raw streams can't be replayed
+const canReplayBody = (req) => !['POST', 'PUT', 'PATCH'].includes(req.method) || req._body === true;
+
+/**
+ * Wraps a proxy middleware so retryProxyRequest can re-dispatch the request.
+ */
+const retryableProxy = (proxy) => (req, res, next) => {
+  req.proxyAttempts = 1;
+  req.retryProxy = () => proxy(req, res, next);
+  proxy(req, res, next);
+};
+
+/**
+ * Called from the proxy's onError. Schedules another attempt and returns true
+ * when the request is idempotent, nothing was sent yet and the budget allows it.
+ */
+const retryProxyRequest = (service, err, req, res) => {
+  const config = retryConfig(service);
+
+  if (!req.retryProxy || res.headersSent || req.proxyAttempts >= config.maxAttempts
+    || !isIdempotent(req.method, req.headers) || !canReplayBody(req)
+    || !RETRYABLE_ERROR_CODES.includes(err.code) || !getBreaker(service).canRequest()) {
+    return false;
+  }
+
+  const delay = backoffDelay(req.proxyAttempts, config);
+  req.proxyAttempts++;
+  logger.warn(`Retrying proxied ${req.method} ${req.originalUrl}`, {
+    service,
+    attempt: req.proxyAttempts,
+    maxAttempts: config.maxAttempts,
+    delayMs: delay,
+    error: err.code,
+    correlationId: req.correlationId
+  });
+
+  setTimeout(req.retryProxy, delay);
+  return true;
+};
+
+module.exports = {
+  ATTEMPTS_HEADER,
+  isIdempotent,
+  isRetryableError,
+  backoffDelay,
+  withRetry,
+  retryableProxy,
+  retryProxyRequest
+};
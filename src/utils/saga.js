@@ -0,0 +1,362 @@
+const { v4: uuidv4 } = require('uuid');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../config/logger');
+
+const STEP_TIMEOUT_MS = parseInt(process.env.SAGA_STEP_TIMEOUT_MS) || 5000;
+const LEASE_MS = parseInt(process.env.SAGA_LEASE_MS) || 60000;
+// Finished sagas are kept this long for inspection
+const RETENTION_SECONDS = parseInt(process.env.SAGA_RETENTION_SECONDS) || 24 * 60 * 60;
+
+const ACTIVE_KEY = 'saga:active';
+const stateKey = (id) => `saga:state:${id}`;
+const lockKey = (id) => `saga:lock:${id}`;
+// The latest saga run for a caller's idempotency key
+const callerKey = (key) => `saga:key:${key}`;
+
+const FINISHED = ['completed', 'compensated'];
+
+const definitions = new Map();
+
+/**
+ * A saga that failed. By the time it is thrown every completed step has been
+ * compensated, unless `compensated` is false.
+ */
+class SagaError extends Error {
+  constructor(state, step, cause) {
+    super(`Saga ${state.name} failed at step ${step}: ${cause.message}`);
+    this.name = 'SagaError';
+    this.sagaId = state.id;
+    this.step = step;
+    this.cause = cause;
+    this.compensated = state.status === 'compensated';
+  }
+}
+
+class StepTimeoutError extends Error {
+  constructor(step, timeoutMs) {
+    super(`Step ${step} timed out after ${timeoutMs}ms`);
+    this.name = 'StepTimeoutError';
+    this.code = 'ETIMEDOUT';
+  }
+}
+
+// An earlier run with the same caller key hasn't finished or been rolled back yet
+class SagaInProgressError extends Error {
+  constructor(name, sagaId) {
+    super(`Saga ${name} ${sagaId} with the same key is still in progress`);
+    this.name = 'SagaInProgressError';
+    this.sagaId = sagaId;
+  }
+}
+
+/**
+ * Registers a saga. Each step is { name, run(ctx), compensate?(ctx, result), resolve?(ctx), timeoutMs? };
+ * run's result must be JSON-serializable since it is persisted for compensation.
+ * A step that timed out or was interrupted may still have taken effect; `resolve`
+ * finds out, returning what run would have (or nothing if it never happened),
+ * so it can be compensated. Steps without `resolve` are left alone then.
+ * `ctx.signal` aborts when the step's time is up; pass it to upstream calls.
+ * `recovery` decides what happens to a saga interrupted by a restart: 'resume'
+ * runs the remaining steps, 'compensate' rolls back the completed ones.
+ */
+const defineSaga = (name, { steps, recovery = 'compensate' }) => {
+  const definition = { name, steps, recovery };
+  definitions.set(name, definition);
+  return definition;
+};
+
+// Calls work(signal); on timeout the signal aborts so the upstream call stops too
+const withTimeout = (work, step, timeoutMs) => {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new StepTimeoutError(step, timeoutMs));
+    }, timeoutMs);
+  });
+  return Promise.race([Promise.resolve().then(() => work(controller.signal)), timeout])
+    .finally(() => clearTimeout(timer));
+};
+
+// --- Persistence --------------------------------------------------------------
+// Sagas still run while Redis is down; they just can't be recovered after a crash.
+
+const isReady = (client) => Boolean(client && client.isReady);
+
+const persist = async (client, state) => {
+  state.updatedAt = new Date().toISOString();
+  if (!isReady(client)) {
+    return;
+  }
+
+  const finished = FINISHED.includes(state.status);
+  try {
+    await client.set(stateKey(state.id), JSON.stringify(state), finished ? { EX: RETENTION_SECONDS } : {});
+    await (finished ? client.sRem(ACTIVE_KEY, state.id) : client.sAdd(ACTIVE_KEY, state.id));
+  } catch (error) {
+    logger.warn(`Failed to persist saga ${state.name}`, { sagaId: state.id, error: error.message });
+  }
+};
+
+// Only one gateway replica may drive a saga at a time
+const acquireLease = async (client, id) => {
+  if (!isReady(client)) {
+    return true;
+  }
+  try {
+    return (await client.set(lockKey(id), '1', { NX: true, PX: LEASE_MS })) === 'OK';
+  } catch (error) {
+    return false;
+  }
+};
+
+const releaseLease = async (client, id) => {
+  if (isReady(client)) {
+    await client.del(lockKey(id)).catch(() => {});
+  }
+};
+
+/**
+ * Prefix for the step idempotency keys of a run started with a caller's key.
+ * A retry reuses the previous run's prefix when that run completed, so it lands
+ * on the same writes instead of duplicating them; after a rollback it starts
+ * afresh, since replaying those writes would return what was just undone.
+ * Without Redis there is no history to tell, so every run starts afresh.
+ */
+const keyPrefixFor = async (client, key, state) => {
+  const fresh = `${key}:${state.id}`;
+  if (!isReady(client)) {
+    return fresh;
+  }
+
+  let previous = null;
+  try {
+    const previousId = await client.get(callerKey(key));
+    previous = previousId && JSON.parse(await client.get(stateKey(previousId)) || 'null');
+    if (!previous || FINISHED.includes(previous.status)) {
+      await client.set(callerKey(key), state.id, { EX: RETENTION_SECONDS });
+    }
+  } catch (error) {
+    logger.warn(`Failed to look up earlier runs of saga ${state.name}`, { sagaId: state.id, error: error.message });
+    return fresh;
+  }
+
+  if (!previous) {
+    return key;
+  }
+  if (!FINISHED.includes(previous.status)) {
+    throw new SagaInProgressError(state.name, previous.id);
+  }
+  return previous.status === 'completed' ? previous.keyPrefix : fresh;
+};
+
+// --- Execution ----------------------------------------------------------------
+
+const stepContext = (state, api, signal) => ({
+  api,
+  signal,
+  sagaId: state.id,
+  keyPrefix: state.keyPrefix || `saga:${state.id}`,
+  input: state.input,
+  results: Object.fromEntries(state.steps.filter(step => step.status === 'done').map(step => [step.name, step.result]))
+});
+
+// Undoes completed steps newest first; a failed compensation is left for recovery to retry
+const compensate = async (definition, state, api, client) => {
+  state.status = 'compensating';
+  await persist(client, state);
+
+  for (const step of [...state.steps].reverse()) {
+    const { compensate: undo, resolve } = definition.steps.find(s => s.name === step.name);
+    const pending = ['done', 'compensation_failed'].includes(step.status) || step.outcomeUnknown;
+    if (!pending || !undo) {
+      continue;
+    }
+    if (step.outcomeUnknown && !resolve) {
+      logger.warn(`Can't tell whether ${state.name}.${step.name} took effect; not compensating it`, { sagaId: state.id });
+      continue;
+    }
+
+    try {
+      step.status = await withTimeout(async (signal) => {
+        const ctx = stepContext(state, api, signal);
+        if (step.outcomeUnknown) {
+          step.result = await resolve(ctx);
+          delete step.outcomeUnknown;
+          if (step.result === undefined || step.result === null) {
+            return 'not_applied';
+          }
+        }
+        await undo(ctx, step.result);
+        return 'compensated';
+      }, step.name, step.timeoutMs);
+    } catch (error) {
+      step.status = 'compensation_failed';
+      step.error = error.message;
+      state.status = 'compensation_failed';
+      logger.error(`Compensation of ${state.name}.${step.name} failed`, { sagaId: state.id, error: error.message });
+      await persist(client, state);
+      return;
+    }
+    await persist(client, state);
+  }
+
+  state.status = 'compensated';
+  await persist(client, state);
+};
+
+// Runs the steps not yet done, compensating and throwing SagaError on the first failure
+const execute = async (definition, state, api, client) => {
+  for (const step of state.steps) {
+    if (step.status === 'done') {
+      continue;
+    }
+
+    const { run } = definition.steps.find(s => s.name === step.name);
+    step.status = 'running';
+    await persist(client, state);
+
+    try {
+      step.result = await withTimeout(signal => run(stepContext(state, api, signal)), step.name, step.timeoutMs);
+      step.status = 'done';
+      await persist(client, state);
+    } catch (error) {
+      step.status = 'failed';
+      if (error instanceof StepTimeoutError) {
+        // The aborted call may still have gone through upstream; compensation resolves it first
+        step.status = 'timed_out';
+        step.outcomeUnknown = true;
+      }
+      step.error = error.message;
+      logger.warn(`Saga ${state.name} failed at ${step.name}, compensating`, { sagaId: state.id, error: error.message });
+      await compensate(definition, state, api, client);
+      throw new SagaError(state, step.name, error);
+    }
+  }
+
+  state.status = 'completed';
+  await persist(client, state);
+  return stepContext(state, api).results;
+};
+
+/**
+ * Runs a registered saga to completion.
+ *
+ * @param {string} name - Saga name passed to defineSaga
+ * @param {Object} input - JSON-serializable input, available to steps as ctx.input
+ * @param {Object} options
+ * @param {Object} options.api - Upstream client for the steps, usually upstream.forRequest(req)
+ * @param {string} [options.key] - Caller's idempotency key, scoped to the caller; step keys
+ *   derive from it so a retried request doesn't repeat the first run's writes
+ * @returns {Promise<Object>} Step results by step name
+ * @throws {SagaError} After compensating completed steps
+ * @throws {SagaInProgressError} While an earlier run with the same key is unfinished
+ */
+const runSaga = async (name, input, { api, key, getClient = getRedisClient }) => {
+  const definition = definitions.get(name);
+  const client = getClient();
+  const state = {
+    id: uuidv4(),
+    name,
+    status: 'running',
+    input,
+    steps: definition.steps.map(step => ({
+      name: step.name,
+      status: 'pending',
+      timeoutMs: step.timeoutMs || STEP_TIMEOUT_MS
+    })),
+    createdAt: new Date().toISOString()
+  };
+  if (key) {
+    state.keyPrefix = await keyPrefixFor(client, key, state);
+  }
+
+  await acquireLease(client, state.id);
+  try {
+    return await execute(definition, state, api, client);
+  } finally {
+    await releaseLease(client, state.id);
+  }
+};
+
+/**
+ * Finishes sagas left behind by a crashed or restarted gateway: resumes or
+ * compensates them per their definition's `recovery`. Sagas another replica
+ * is still driving are skipped.
+ *
+ * @param {Object} options
+ * @param {Object} options.api - Upstream client not tied to a caller's request
+ * @returns {Promise<Object>} Count of sagas per outcome
+ */
+const recoverSagas = async ({ api, getClient = getRedisClient }) => {
+  const client = getClient();
+  const summary = { resumed: 0, compensated: 0, failed: 0, skipped: 0 };
+  if (!isReady(client)) {
+    return summary;
+  }
+
+  const ids = await client.sMembers(ACTIVE_KEY);
+  for (const id of ids) {
+    if (!(await acquireLease(client, id))) {
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const raw = await client.get(stateKey(id));
+      const state = raw && JSON.parse(raw);
+      const definition = state && definitions.get(state.name);
+      if (!definition) {
+        logger.warn('Dropping unknown or expired saga', { sagaId: id });
+        await client.sRem(ACTIVE_KEY, id);
+        continue;
+      }
+
+      const running = state.steps.filter(step => step.status === 'running');
+      if (state.status === 'running' && definition.recovery === 'resume') {
+        // Re-running a step repeats its idempotency key, so one that did go through isn't doubled
+        await execute(definition, state, api, client).then(() => {
+          summary.resumed++;
+        }, (error) => {
+          if (!(error instanceof SagaError)) {
+            throw error;
+          }
+          summary[error.compensated ? 'compensated' : 'failed']++;
+        });
+      } else {
+        if (running.length) {
+          logger.warn(`Saga ${state.name} was interrupted mid-step; resolving its outcome before compensating`, {
+            sagaId: id,
+            steps: running.map(step => step.name)
+          });
+          running.forEach((step) => {
+            step.status = 'interrupted';
+            step.outcomeUnknown = true;
+          });
+        }
+        await compensate(definition, state, api, client);
+        summary[state.status === 'compensated' ? 'compensated' : 'failed']++;
+      }
+    } catch (error) {
+      summary.failed++;
+      logger.error('Saga recovery failed', { sagaId: id, error: error.message });
+    } finally {
+      await releaseLease(client, id);
+    }
+  }
+
+  if (ids.length) {
+    logger.info('Saga recovery finished', summary);
+  }
+  return summary;
+};
+
+module.exports = {
+  SagaError,
+  StepTimeoutError,
+  SagaInProgressError,
+  defineSaga,
+  runSaga,
+  recoverSagas
+};
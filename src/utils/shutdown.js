@@ -0,0 +1,140 @@
+const logger = require('../config/logger');
+const { setReady } = require('./healthCheck');
+
+// Longest we wait for in-flight requests and streams before cutting them off
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30000;
+// Time for load balancers to see the failing readiness probe before we stop listening
+const READINESS_DELAY_MS = parseInt(process.env.SHUTDOWN_READINESS_DELAY_MS) || 0;
+const PROGRESS_LOG_INTERVAL_MS = 5000;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Graceful shutdown for the gateway's HTTP server. `trackRequests` counts
+ * in-flight requests and, once shutdown starts, answers with Connection: close
+ * so keep-alive clients reconnect to another replica. `shutdown` fails
+ * readiness, stops listening, closes streams, waits for requests to drain up
+ * to the deadline, runs the cleanup steps in order and destroys `agents`.
+ *
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Drain deadline
+ * @param {number} options.readinessDelayMs - Wait after failing readiness
+ * @param {Array<http.Agent>} options.agents - Keep-alive agents to destroy last,
+ *   e.g. the global ones the gateway's upstream calls go through
+ */
+const createShutdown = ({
+  timeoutMs = SHUTDOWN_TIMEOUT_MS,
+  readinessDelayMs = READINESS_DELAY_MS,
+  progressIntervalMs = PROGRESS_LOG_INTERVAL_MS,
+  agents = []
+} = {}) => {
+  let inFlight = 0;
+  let shuttingDown = null;
+
+  const trackRequests = (req, res, next) => {
+    inFlight++;
+    res.on('close', () => {
+      inFlight--;
+    });
+    if (shuttingDown) {
+      res.setHeader('Connection', 'close');
+    }
+    next();
+  };
+
+  // Resolves true once every connection has ended, false at the deadline
+  const drain = (server) => {
+    const closed = new Promise(resolve => server.close(() => resolve(true)));
+    if (server.closeIdleConnections) {
+      server.closeIdleConnections();
+    }
+
+    const progress = setInterval(() => {
+      logger.info(`Waiting for ${inFlight} in-flight request(s) to finish`);
+    }, progressIntervalMs);
+    let deadline;
+    const expired = new Promise((resolve) => {
+      deadline = setTimeout(() => resolve(false), timeoutMs);
+    });
+
+    return Promise.race([closed, expired]).then((drained) => {
+      clearInterval(progress);
+      clearTimeout(deadline);
+      return drained;
+    });
+  };
+
+  const runStep = async (name, step) => {
+    try {
+      await step();
+      logger.info(`Shutdown: ${name}`);
+    } catch (error) {
+      logger.error(`Shutdown step failed: ${name}`, { error: error.message });
+    }
+  };
+
+  /**
+   * Runs the shutdown once; a repeated signal gets the same promise back.
+   *
+   * @param {http.Server} server
+   * @param {Object} options
+   * @param {string} options.signal - Logged as the reason
+   * @param {Function} options.closeStreams - Ends long-lived streams (SSE, WebSocket)
+   * @param {Array<[string, Function]>} options.cleanup - Named steps run after draining
+   * @returns {Promise<boolean>} Whether everything drained before the deadline
+   */
+  const shutdown = (server, { signal = 'shutdown', closeStreams = async () => {}, cleanup = [] } = {}) => {
+    if (shuttingDown) {
+      logger.warn(`${signal} received while already shutting down; ignoring`);
+      return shuttingDown;
+    }
+
+    const started = Date.now();
+    shuttingDown = (async () => {
+      logger.info(`${signal} received: shutting down`, { inFlight, timeoutMs });
+      setReady(false);
+      if (readinessDelayMs) {
+        logger.info(`Readiness failing; waiting ${readinessDelayMs}ms before closing the listener`);
+        await delay(readinessDelayMs);
+      }
+
+      const drained = drain(server);
+      logger.info('Stopped accepting new connections');
+      await runStep('closed notification streams', closeStreams);
+
+      const clean = await drained;
+      if (clean) {
+        logger.info('All in-flight requests finished', { durationMs: Date.now() - started });
+      } else {
+        logger.warn(`Shutdown deadline of ${timeoutMs}ms reached; closing remaining connections`, { inFlight });
+        if (server.closeAllConnections) {
+          server.closeAllConnections();
+        }
+      }
+
+      for (const [name, step] of cleanup) {
+        await runStep(name, step);
+      }
+      if (agents.length) {
+        await runStep('closed keep-alive agents', () => agents.forEach(agent => agent.destroy()));
+      }
+
+      logger.info('Shutdown complete', { durationMs: Date.now() - started, clean });
+      return clean;
+    })();
+
+    return shuttingDown;
+  };
+
+  return {
+    trackRequests,
+    shutdown,
+    inFlight: () => inFlight,
+    isShuttingDown: () => Boolean(shuttingDown)
+  };
+};
+
+module.exports = {
+  createShutdown,
+  SHUTDOWN_TIMEOUT_MS
+};
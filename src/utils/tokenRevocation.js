@@ -0,0 +1,125 @@
+const { getRedisClient } = require('../config/redis');
+const logger = require('../config/logger');
+
+// Revocation entries must outlive any token they cover
+const MAX_TOKEN_LIFETIME_SECONDS = parseInt(process.env.TOKEN_MAX_LIFETIME_SECONDS) || 7 * 24 * 60 * 60;
+
+class TokenRevokedError extends Error {
+  constructor(message = 'Token has been revoked') {
+    super(message);
+    this.name = 'TokenRevokedError';
+  }
+}
+
+const jtiKey = (jti) => `revoked:jti:${jti}`;
+const userKey = (userId) => `revoked:user:${userId}`;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const requireClient = (getClient) => {
+  const client = getClient();
+  if (!client || !client.isReady) {
+    throw new Error('Revocation store unavailable');
+  }
+  return client;
+};
+
+/**
+ * Denylists a single token by jti until it would have expired anyway.
+ */
+const revokeToken = async (decoded, { getClient = getRedisClient } = {}) => {
+  if (!decoded || !decoded.jti) {
+    throw new Error('Token has no jti to revoke');
+  }
+
+  const client = requireClient(getClient);
+  const ttl = decoded.exp ? decoded.exp - nowSeconds() : MAX_TOKEN_LIFETIME_SECONDS;
+  if (ttl > 0) {
+    await client.set(jtiKey(decoded.jti), '1', { EX: ttl });
+  }
+  logger.info('Token revoked', { userId: decoded.id, jti: decoded.jti });
+};
+
+/**
+ * Revokes every token issued to a user before now (logout everywhere,
+ * password change, deactivation).
+ */
+const revokeUserTokens = async (userId, { getClient = getRedisClient } = {}) => {
+  const client = requireClient(getClient);
+  const revokedBefore = nowSeconds();
+  await client.set(userKey(userId), String(revokedBefore), { EX: MAX_TOKEN_LIFETIME_SECONDS });
+  logger.info('All sessions revoked for user', { userId, revokedBefore });
+  return revokedBefore;
+};
+
+/**
+ * Checks a verified token against the denylist. Fails open when Redis is
+ * unreachable so an outage doesn't log every user out.
+ */
+const isTokenRevoked = async (decoded, { getClient = getRedisClient } = {}) => {
+  const client = getClient();
+  if (!client || !client.isReady) {
+    return false;
+  }
+
+  try {
+    const [jtiRevoked, revokedBefore] = await client.mGet([
+      jtiKey(decoded.jti || ''),
+      userKey(decoded.id)
+    ]);
+
+    if (decoded.jti && jtiRevoked) {
+      return true;
+    }
+    return Boolean(revokedBefore && decoded.iat && decoded.iat < parseInt(revokedBefore));
+  } catch (error) {
+    logger.warn('Token revocation check failed', { error: error.message });
+    return false;
+  }
+};
+
+// Auth service endpoints whose success invalidates the presented token or all of the user's tokens
+const REVOKING_AUTH_PATHS = {
+  '/logout': 'token',
+  '/logout-all': 'user',
+  '/change-password': 'user'
+};
+
+// http-proxy-middleware points req.url back at the original URL before proxying, so by the
+// time the response arrives req.path is no longer relative to the mount; rebuild it
+const mountRelativePath = (req) => {
+  const path = req.originalUrl.split('?')[0].replace(/(.)\/+$/, '$1');
+  return req.baseUrl && path.startsWith(req.baseUrl) ? path.slice(req.baseUrl.length) || '/' : path;
+};
+
+/**
+ * onProxyRes hook for /api/auth: mirrors logouts and password changes into the denylist.
+ */
+const revokeFromAuthResponse = (proxyRes, req) => {
+  const scope = REVOKING_AUTH_PATHS[mountRelativePath(req)];
+  if (!scope || !req.user || proxyRes.statusCode >= 400 || req.method !== 'POST') {
+    return;
+  }
+
+  // Without a jti the only way to kill the presented token is to revoke them all
+  const revocation = scope === 'token' && req.user.jti
+    ? revokeToken(req.user)
+    : revokeUserTokens(req.user.id);
+
+  revocation.catch((error) => {
+    logger.error('Failed to record token revocation', {
+      userId: req.user.id,
+      path: req.originalUrl,
+      error: error.message,
+      correlationId: req.correlationId
+    });
+  });
+};
+
+module.exports = {
+  TokenRevokedError,
+  revokeToken,
+  revokeUserTokens,
+  isTokenRevoked,
+  revokeFromAuthResponse
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { performance } = require('perf_hooks');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+
+const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || 'api-gateway';
+const OTLP_ENDPOINT = process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+const EXPORT_FILE = process.env.TRACE_EXPORT_FILE;
+const FLUSH_INTERVAL_MS = parseInt(process.env.TRACE_FLUSH_INTERVAL_MS) || 5000;
+const MAX_BUFFERED_SPANS = 512;
+
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,127}$/;
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const MAX_TRACESTATE_LENGTH = 512;
+
+// OTLP span kinds and status codes
+const SPAN_KIND_SERVER = 2;
+const SPAN_KIND_CLIENT = 3;
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+const nowNanos = () => String(BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6)));
+
+/**
+ * Parses a W3C traceparent header. Returns null for anything malformed,
+ * including the all-zero trace and parent ids the spec forbids.
+ */
+const parseTraceparent = (header) => {
+  const match = TRACEPARENT_PATTERN.exec((header || '').trim());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return { traceId: match[1], parentSpanId: match[2], flags: match[3] };
+};
+
+const formatTraceparent = (traceId, spanId, flags) => `00-${traceId}-${spanId}-${flags}`;
+
+const isSampled = (flags) => (parseInt(flags, 16) & 1) === 1;
+
+// --- Export -----------------------------------------------------------------
+
+let buffer = [];
+let flushTimer = null;
+
+const toAttributes = (attributes) => Object.entries(attributes)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => ({
+    key,
+    value: typeof value === 'number' ? { intValue: value } : { stringValue: String(value) }
+  }));
+
+// OTLP/JSON ExportTraceServiceRequest
+const toOtlp = (spans) => ({
+  resourceSpans: [{
+    resource: { attributes: toAttributes({ 'service.name': SERVICE_NAME }) },
+    scopeSpans: [{
+      scope: { name: 'fitsync-api-gateway' },
+      spans
+    }]
+  }]
+});
+
+/**
+ * Sends buffered spans to the OTLP collector and/or appends them to the trace
+ * file as one JSON document per line. A no-op when no exporter is configured.
+ */
+const flushSpans = async () => {
+  if (!buffer.length) {
+    return;
+  }
+
+  const payload = toOtlp(buffer);
+  buffer = [];
+
+  const exports = [];
+  if (OTLP_ENDPOINT) {
+    exports.push(axios.post(`${OTLP_ENDPOINT.replace(/\/$/, '')}/v1/traces`, payload, { timeout: 5000 }));
+  }
+  if (EXPORT_FILE) {
+    exports.push(fs.appendFile(EXPORT_FILE, `${JSON.stringify(payload)}\n`));
+  }
+
+  const results = await Promise.allSettled(exports);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => logger.warn('Span export failed', { error: result.reason.message }));
+};
+
+const recordSpan = (span) => {
+  if (!OTLP_ENDPOINT && !EXPORT_FILE) {
+    return;
+  }
+
+  buffer.push(span);
+  if (buffer.length >= MAX_BUFFERED_SPANS) {
+    flushSpans();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flushSpans();
+    }, FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+  }
+};
+
+// --- Spans ------------------------------------------------------------------
+
+/**
+ * Starts a span in the request's trace. end() records it (when the trace is
+ * sampled) with the given attributes; an `error` attribute marks it failed.
+ */
+const startSpan = (trace, name, kind, parentSpanId, attributes = {}) => {
+  const spanId = randomHex(8);
+  const startTimeUnixNano = nowNanos();
+
+  return {
+    spanId,
+    traceparent: formatTraceparent(trace.traceId, spanId, trace.flags),
+    end: (endAttributes = {}) => {
+      if (!isSampled(trace.flags)) {
+        return;
+      }
+      const allAttributes = { ...attributes, ...endAttributes };
+      recordSpan({
+        traceId: trace.traceId,
+        spanId,
+        ...(parentSpanId && { parentSpanId }),
+        name,
+        kind,
+        startTimeUnixNano,
+        endTimeUnixNano: nowNanos(),
+        attributes: toAttributes(allAttributes),
+        status: { code: allAttributes.error ? STATUS_ERROR : STATUS_OK }
+      });
+    }
+  };
+};
+
+/**
+ * Starts a client span for one upstream hop. Returns the span plus the headers
+ * that carry the trace and correlation ID to the service.
+ */
+const startUpstreamSpan = (req, service, method, path) => {
+  const span = startSpan(req.trace, `${method} ${service}`, SPAN_KIND_CLIENT, req.trace.spanId, {
+    'http.method': method,
+    'http.url': path,
+    'peer.service': service
+  });
+
+  const headers = {
+    traceparent: span.traceparent,
+    'X-Correlation-ID': req.correlationId
+  };
+  if (req.trace.tracestate) {
+    headers.tracestate = req.trace.tracestate;
+  }
+
+  return { span, headers };
+};
+
+// Tokens sent in the query string (EventSource's ?access_token=) must not end up in spans
+const redactTarget = (url) => url.replace(/([?&]access_token=)[^&#]*/gi, '$1REDACTED');
+
+/**
+ * Honors a valid inbound X-Correlation-ID and traceparent/tracestate, otherwise
+ * starts fresh ones, and records a server span for the whole request.
+ */
+const tracingMiddleware = (req, res, next) => {
+  const inboundCorrelationId = req.headers['x-correlation-id'];
+  req.correlationId = CORRELATION_ID_PATTERN.test(inboundCorrelationId || '') ? inboundCorrelationId : uuidv4();
+  res.setHeader('X-Correlation-ID', req.correlationId);
+
+  const parent = parseTraceparent(req.headers.traceparent);
+  const tracestate = req.headers.tracestate;
+  req.trace = {
+    traceId: parent ? parent.traceId : randomHex(16),
+    flags: parent ? parent.flags : '01',
+    tracestate: parent && tracestate && tracestate.length <= MAX_TRACESTATE_LENGTH ? tracestate : undefined
+  };
+
+  const span = startSpan(req.trace, `${req.method} ${req.path}`, SPAN_KIND_SERVER, parent && parent.parentSpanId, {
+    'http.method': req.method,
+    'http.target': redactTarget(req.originalUrl),
+    'correlation.id': req.correlationId
+  });
+  req.trace.spanId = span.spanId;
+
+  res.on('finish', () => {
+    span.end({
+      'http.status_code': res.statusCode,
+      error: res.statusCode >= 500 ? true : undefined
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  tracingMiddleware,
+  startUpstreamSpan,
+  parseTraceparent,
+  flushSpans
+};
@@ -0,0 +1,71 @@
+const { canViewTrainer } = require('../middleware/auth');
+const { bodyData, trainerDay, distinctCount, bookingsOn, bookingsByDay } = require('./dashboard');
+const { isValidTimezone, addDays } = require('./dates');
+
+// Active programs fetched to count distinct clients; recent_programs shows the first programs_limit
+const TRAINER_ACTIVE_PROGRAMS = 100;
+const UPCOMING_DAYS = 7;
+// The week's bookings are only counted per day, so fetch as many as the schedule service allows
+const UPCOMING_BOOKINGS = 100;
+
+const trainerToday = (values, { query }) => trainerDay(bodyData(values.profile), query.tz);
+
+/**
+ * Dashboard definition for a trainer's day and week (see utils/dashboard createDashboard).
+ * "Today" is in ?tz=, else the trainer's profile timezone, else UTC. Trainers can only
+ * see their own.
+ */
+const trainerDashboard = {
+  name: 'Trainer',
+  canView: (user, { id }) => canViewTrainer(user, id),
+  forbiddenMessage: 'Cannot access other trainer dashboards',
+  limits: {
+    programs: { default: 10, max: 50 },
+    bookings: { default: 50, max: 100 }
+  },
+  validate: ({ tz }) => (tz === undefined || isValidTimezone(tz)
+    ? []
+    : [{ field: 'tz', code: 'INVALID_TIMEZONE', message: 'tz must be an IANA timezone such as Europe/Berlin' }]),
+  sources: ({ params: { id }, query, limits }) => {
+    // Today in the trainer's timezone may need the profile first
+    const needs = query.tz ? [] : ['profile'];
+    const today = values => trainerToday(values, { query }).date;
+    return {
+      profile: { service: 'user', path: `/api/users/${id}` },
+      programs: { service: 'training', path: `/api/programs?trainer_id=${id}&status=active&limit=${TRAINER_ACTIVE_PROGRAMS}` },
+      today_bookings: {
+        service: 'schedule',
+        needs,
+        path: values => `/api/bookings?trainer_id=${id}&date_from=${today(values)}&date_to=${today(values)}`
+          + `&limit=${limits.bookings}`
+      },
+      week_bookings: {
+        service: 'schedule',
+        needs,
+        path: values => `/api/bookings?trainer_id=${id}&date_from=${today(values)}`
+          + `&date_to=${addDays(today(values), UPCOMING_DAYS - 1)}&limit=${UPCOMING_BOOKINGS}`
+      }
+    };
+  },
+  sections: {
+    profile: { sources: ['profile'], build: ({ profile }) => bodyData(profile) || null },
+    today: { sources: ({ query }) => (query.tz ? [] : ['profile']), build: trainerToday },
+    active_clients: { sources: ['programs'], build: ({ programs }) => distinctCount(bodyData(programs), 'client_id') },
+    today_schedule: {
+      sources: ['today_bookings'],
+      build: (values, context) => bookingsOn(bodyData(values.today_bookings), trainerToday(values, context).date)
+    },
+    upcoming_week: {
+      sources: ['week_bookings'],
+      build: (values, context) => bookingsByDay(bodyData(values.week_bookings), trainerToday(values, context).date, UPCOMING_DAYS)
+    },
+    recent_programs: {
+      sources: ['programs'],
+      build: ({ programs }, { limits }) => (bodyData(programs) || []).slice(0, limits.programs)
+    }
+  }
+};
+
+module.exports = {
+  trainerDashboard
+};
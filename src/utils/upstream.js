@@ -0,0 +1,119 @@
+const axios = require('axios');
+const { getBreaker } = require('./circuitBreaker');
+const { withRetry, ATTEMPTS_HEADER } = require('./retry');
+const { getBalancer } = require('./loadBalancer');
+const { startUpstreamTimer } = require('./metrics');
+const { startUpstreamSpan } = require('./tracing');
+
+// Only unreachable services and 5xx responses count against a breaker - 4xx are the caller's fault
+const isServiceFailure = (error) => !error.response || error.response.status >= 500;
+
+/**
+ * axios request to one of the FitSync services. Each attempt goes to an instance
+ * chosen by the service's load balancer through the service's circuit breaker,
+ * and idempotent requests are retried with backoff.
+ * Rejects with CircuitOpenError without calling the service while the breaker is open.
+ *
+ * @param {string} service - Key in config/services, e.g. 'schedule'
+ * @param {Object} config - axios request config with `path` instead of `url`, and
+ *   an optional `balanceKey` for consistent-hash balancing
+ */
+const request = (service, { path, balanceKey, ...config }) => withRetry(
+  service,
+  () => getBreaker(service).exec(() => {
+    const balancer = getBalancer(service);
+    const instance = balancer.pick(balanceKey);
+    const endTimer = startUpstreamTimer(service, 'composite', config.method);
+    return axios.request({ ...config, url: `${instance.url}${path}` })
+      .then((response) => {
+        endTimer(response.status);
+        balancer.release(instance, false);
+        return response;
+      }, (error) => {
+        endTimer(error.response ? error.response.status : 'error');
+        balancer.release(instance, isServiceFailure(error));
+        throw error;
+      });
+  }, isServiceFailure),
+  { method: config.method, headers: config.headers, label: `${config.method} ${path}` }
+);
+
+const get = (service, path, config = {}) => request(service, { ...config, method: 'GET', path });
+
+const post = (service, path, data, config = {}) => request(service, { ...config, method: 'POST', path, data });
+
+/**
+ * Upstream client bound to an incoming gateway request. Forwards the caller's
+ * Authorization header, and Idempotency-Key on writes so they stay retryable.
+ * Each call is a child span of the request's trace, carried in traceparent.
+ * Reports the highest attempt count of its calls in X-Upstream-Attempts.
+ */
+const forRequest = (req) => {
+  const recordAttempts = (attempts) => {
+    req.upstreamAttempts = Math.max(req.upstreamAttempts || 0, attempts || 1);
+    if (req.res && !req.res.headersSent) {
+      req.res.setHeader(ATTEMPTS_HEADER, String(req.upstreamAttempts));
+    }
+  };
+
+  const withCaller = (config) => {
+    const headers = { ...config.headers };
+    if (req.headers.authorization) {
+      headers.Authorization = req.headers.authorization;
+    }
+    // A key the call sets itself (e.g. one per saga step) wins over the caller's
+    const hasKey = Object.keys(headers).some(name => name.toLowerCase() === 'idempotency-key');
+    if (req.headers['idempotency-key'] && config.method !== 'GET' && !hasKey) {
+      headers['Idempotency-Key'] = req.headers['idempotency-key'];
+    }
+    return { ...config, headers, balanceKey: req.user && req.user.id };
+  };
+
+  const bound = (service, config) => {
+    const hop = req.trace ? startUpstreamSpan(req, service, config.method, config.path) : null;
+    const traced = hop ? { ...config, headers: { ...config.headers, ...hop.headers } } : config;
+
+    return request(service, withCaller(traced))
+      .then((response) => {
+        recordAttempts(response.attempts);
+        if (hop) {
+          hop.span.end({ 'http.status_code': response.status, 'upstream.attempts': response.attempts });
+        }
+        return response;
+      }, (error) => {
+        recordAttempts(error.attempts);
+        if (hop) {
+          hop.span.end({
+            'http.status_code': error.response ? error.response.status : undefined,
+            'upstream.attempts': error.attempts,
+            error: isServiceFailure(error) ? error.message : undefined
+          });
+        }
+        throw error;
+      });
+  };
+
+  return {
+    request: bound,
+    get: (service, path, config = {}) => bound(service, { ...config, method: 'GET', path }),
+    post: (service, path, data, config = {}) => bound(service, { ...config, method: 'POST', path, data })
+  };
+};
+
+/**
+ * Upstream client for work not done on behalf of a caller, such as saga
+ * recovery. Authenticates with GATEWAY_SERVICE_TOKEN when it is set.
+ */
+const forService = () => {
+  const token = process.env.GATEWAY_SERVICE_TOKEN;
+  return forRequest({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+};
+
+module.exports = {
+  request,
+  get,
+  post,
+  forRequest,
+  forService,
+  isServiceFailure
+};
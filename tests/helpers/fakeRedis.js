@@ -0,0 +1,75 @@
+/**
+ * In-memory stand-in for the node-redis commands the gateway uses: strings,
+ * sets, sorted sets and MULTI. Every command is a jest.fn, so tests can assert
+ * on calls or make one fail.
+ */
+function createFakeRedis() {
+  const values = new Map();
+  const sets = new Map();
+  const sortedSets = new Map();
+
+  const client = {
+    isReady: true,
+    values,
+    sets,
+    sortedSets,
+
+    get: jest.fn(async key => values.get(key) || null),
+    mGet: jest.fn(async keys => keys.map(key => values.get(key) || null)),
+    set: jest.fn(async (key, value, options = {}) => {
+      if (options.NX && values.has(key)) {
+        return null;
+      }
+      values.set(key, value);
+      return 'OK';
+    }),
+    del: jest.fn(async (keys) => {
+      [].concat(keys).forEach((key) => {
+        values.delete(key);
+        sets.delete(key);
+        sortedSets.delete(key);
+      });
+    }),
+    expire: jest.fn(async () => {}),
+
+    sAdd: jest.fn(async (key, member) => {
+      sets.set(key, new Set([...(sets.get(key) || []), member]));
+    }),
+    sRem: jest.fn(async (key, member) => {
+      (sets.get(key) || new Set()).delete(member);
+    }),
+    sMembers: jest.fn(async key => [...(sets.get(key) || [])]),
+
+    zAdd: jest.fn(async (key, { score, value }) => {
+      const members = (sortedSets.get(key) || []).filter(member => member.value !== value);
+      sortedSets.set(key, [...members, { score, value }].sort((a, b) => a.score - b.score));
+    }),
+    zRemRangeByRank: jest.fn(async (key, start, stop) => {
+      const members = sortedSets.get(key) || [];
+      const last = stop < 0 ? members.length + stop : stop;
+      sortedSets.set(key, members.filter((member, rank) => rank < start || rank > last));
+    }),
+    zRangeByScore: jest.fn(async (key, min) => (sortedSets.get(key) || [])
+      .filter(member => member.score >= min)
+      .map(member => member.value)),
+
+    // Queued commands run in order on exec
+    multi: jest.fn(() => {
+      const queued = [];
+      const chain = { exec: async () => { for (const command of queued) { await command(); } } };
+      ['set', 'sAdd', 'expire'].forEach((name) => {
+        chain[name] = (...args) => {
+          queued.push(() => client[name](...args));
+          return chain;
+        };
+      });
+      return chain;
+    })
+  };
+
+  return client;
+}
+
+module.exports = {
+  createFakeRedis
+};
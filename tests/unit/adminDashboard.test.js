@@ -0,0 +1,97 @@
+/**
+ * Unit tests for the admin dashboard: totals, partial responses, as_of on the
+ * operational blocks and access.
+ */
+
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const { createDashboard } = require('../../src/utils/dashboard');
+const { adminDashboard } = require('../../src/utils/adminDashboard');
+const { latestDependencies } = require('../../src/utils/healthCheck');
+
+jest.mock('axios');
+jest.mock('../../src/utils/healthCheck', () => ({ latestDependencies: jest.fn() }));
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+// Listing totals by path, and role where the listing is filtered by one
+const TOTALS = {
+  '/api/users': 120,
+  '/api/users?role=trainer': 8,
+  '/api/users?role=client': 100,
+  '/api/programs': 35,
+  '/api/workout-logs': 640,
+  '/api/notifications': 12
+};
+
+function createApp(user = { id: 'a1', role: 'admin' }) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.get('/api/dashboard/admin', createDashboard(adminDashboard));
+  return app;
+}
+
+describe('Admin Dashboard', () => {
+  const checkedAt = '2026-10-19T08:00:00.000Z';
+
+  beforeEach(() => {
+    axios.request.mockReset();
+    // The schedule service is down; every other listing answers its total
+    axios.request.mockImplementation(async ({ url }) => {
+      const { pathname, searchParams } = new URL(url);
+      if (pathname === '/api/bookings') {
+        throw httpError(500);
+      }
+      const role = searchParams.get('role');
+      const total = TOTALS[role ? `${pathname}?role=${role}` : pathname];
+      return { status: 200, data: { data: [], pagination: { total_count: total } } };
+    });
+    latestDependencies.mockResolvedValue({ status: 'healthy', dependencies: { redis: { status: 'up' } }, checkedAt });
+  });
+
+  it('should return the other sections and report a failed one as partial', async () => {
+    const response = await request(createApp()).get('/api/dashboard/admin');
+
+    expect(response.status).toBe(200);
+    expect(response.body.partial).toBe(true);
+    expect(response.body.meta.sections.bookings).toMatchObject({ service: 'schedule', status: 'error', error: 'HTTP_500' });
+    expect(response.body.meta.sections.users).toMatchObject({ service: 'user', status: 'ok' });
+    expect(response.body.data).toMatchObject({
+      total_users: 120,
+      total_trainers: 8,
+      total_clients: 100,
+      total_programs: 35,
+      bookings_by_status: null
+    });
+  });
+
+  it('should stamp each operational block with as_of', async () => {
+    const response = await request(createApp()).get('/api/dashboard/admin?include=workout_logs,unread_notifications,gateway_upstreams,upstream_health');
+    const { data } = response.body;
+
+    expect(response.body.partial).toBe(false);
+    expect(data.workout_logs).toEqual({ last_7_days: 640, last_30_days: 640, as_of: expect.any(String) });
+    expect(data.unread_notifications).toEqual({ count: 12, as_of: expect.any(String) });
+    expect(data.gateway_upstreams.as_of).toEqual(expect.any(String));
+    // Health is stamped with when the probes ran
+    expect(data.upstream_health).toEqual({ status: 'healthy', dependencies: { redis: { status: 'up' } }, as_of: checkedAt });
+    [data.workout_logs, data.unread_notifications, data.gateway_upstreams].forEach((block) => {
+      expect(Number.isNaN(Date.parse(block.as_of))).toBe(false);
+    });
+  });
+
+  it('should answer 403 for trainers and clients', async () => {
+    for (const role of ['trainer', 'client']) {
+      const response = await request(createApp({ id: 'u1', role })).get('/api/dashboard/admin');
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toMatchObject({ code: 'FORBIDDEN', message: 'Admin access required' });
+    }
+    expect(axios.request).not.toHaveBeenCalled();
+    expect(latestDependencies).not.toHaveBeenCalled();
+  });
+});
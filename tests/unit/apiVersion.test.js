@@ -0,0 +1,137 @@
+/**
+ * Unit tests for API version resolution and deprecation headers.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const logger = require('../../src/config/logger');
+const { apiVersioning, normalizeVersion, logVersionUsage } = require('../../src/middleware/apiVersion');
+
+const versions = {
+  default: 'v1',
+  available: {
+    v1: {
+      deprecated: '2026-10-01T00:00:00Z',
+      sunset: '2027-04-01T00:00:00Z',
+      link: 'https://docs.fitsync.example/api/v2'
+    },
+    v2: {}
+  }
+};
+
+function createApp(config = versions) {
+  const app = express();
+  app.use(apiVersioning(() => config));
+  app.get('/api/bookings/:id?', (req, res) => {
+    res.json({ version: req.apiVersion, url: req.url, originalUrl: req.originalUrl });
+  });
+  app.get('/health', (req, res) => res.json({ version: req.apiVersion || null }));
+  return app;
+}
+
+describe('API Versioning', () => {
+  describe('Version Resolution', () => {
+    it('should take the version from the path and strip it', async () => {
+      const response = await request(createApp()).get('/api/v2/bookings/7?status=scheduled');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        version: 'v2',
+        url: '/api/bookings/7?status=scheduled',
+        originalUrl: '/api/bookings/7?status=scheduled'
+      });
+      expect(response.headers['api-version']).toBe('v2');
+    });
+
+    it('should take the version from Accept-Version', async () => {
+      const response = await request(createApp())
+        .get('/api/bookings')
+        .set('Accept-Version', 'v2');
+
+      expect(response.body.version).toBe('v2');
+    });
+
+    it('should prefer the path over Accept-Version', async () => {
+      const response = await request(createApp())
+        .get('/api/v1/bookings')
+        .set('Accept-Version', 'v2');
+
+      expect(response.body.version).toBe('v1');
+    });
+
+    it('should fall back to the default version', async () => {
+      const response = await request(createApp()).get('/api/bookings');
+
+      expect(response.body.version).toBe('v1');
+      expect(response.headers['api-version']).toBe('v1');
+    });
+
+    it('should reject unsupported versions', async () => {
+      const response = await request(createApp()).get('/api/v9/bookings');
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('UNSUPPORTED_API_VERSION');
+      expect(response.body.error.supported).toEqual(['v1', 'v2']);
+    });
+
+    it('should reject unsupported Accept-Version values', async () => {
+      const response = await request(createApp())
+        .get('/api/bookings')
+        .set('Accept-Version', '3');
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should leave non-API paths alone', async () => {
+      const response = await request(createApp()).get('/health');
+
+      expect(response.body.version).toBeNull();
+      expect(response.headers['api-version']).toBeUndefined();
+    });
+
+    it('should normalize numeric versions', () => {
+      expect(normalizeVersion('2')).toBe('v2');
+      expect(normalizeVersion(' V2 ')).toBe('v2');
+    });
+  });
+
+  describe('Deprecation Headers', () => {
+    it('should send Deprecation, Sunset and Link on deprecated versions', async () => {
+      const response = await request(createApp()).get('/api/v1/bookings');
+
+      expect(response.headers.deprecation).toBe(`@${Date.parse('2026-10-01T00:00:00Z') / 1000}`);
+      expect(response.headers.sunset).toBe('Thu, 01 Apr 2027 00:00:00 GMT');
+      expect(response.headers.link).toBe('<https://docs.fitsync.example/api/v2>; rel="deprecation"');
+    });
+
+    it('should not send deprecation headers on current versions', async () => {
+      const response = await request(createApp()).get('/api/v2/bookings');
+
+      expect(response.headers.deprecation).toBeUndefined();
+      expect(response.headers.sunset).toBeUndefined();
+    });
+  });
+
+  describe('Usage Logging', () => {
+    it('should log request counts per version and reset them', async () => {
+      const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+      logVersionUsage();
+      info.mockClear();
+
+      const app = createApp();
+      await request(app).get('/api/v1/bookings');
+      await request(app).get('/api/bookings');
+      await request(app).get('/api/v2/bookings');
+
+      logVersionUsage();
+      logVersionUsage();
+
+      expect(info).toHaveBeenCalledTimes(1);
+      expect(info).toHaveBeenCalledWith('API version usage', {
+        requests: { 'v1 (deprecated)': 2, v2: 1 }
+      });
+      info.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Unit tests for route policy enforcement (authorize middleware) and token verification.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = 'test-jwt-secret-key';
+
+// Publish an RS256 key through a local JWKS file before the middleware loads
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwksFile = path.join(os.tmpdir(), `fitsync-jwks-${process.pid}.json`);
+fs.writeFileSync(jwksFile, JSON.stringify({
+  keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }]
+}));
+process.env.JWKS_FILE = jwksFile;
+
+const { verifyToken, authorize, PUBLIC, AUTHENTICATED, canViewClient, canViewTrainer } = require('../../src/middleware/auth');
+
+function createMockReqRes(authorization) {
+  const req = {
+    headers: authorization ? { authorization } : {},
+    originalUrl: '/api/test',
+    method: 'GET'
+  };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis()
+  };
+  const next = jest.fn();
+  return { req, res, next };
+}
+
+function bearer(payload, options = {}) {
+  const token = jwt.sign(payload, JWT_SECRET, {
+    issuer: 'fitsync-user-service',
+    audience: 'fitsync-api',
+    ...options
+  });
+  return `Bearer ${token}`;
+}
+
+function rsaBearer(payload, options = {}) {
+  const token = jwt.sign(payload, privateKey, {
+    algorithm: 'RS256',
+    keyid: 'key-1',
+    issuer: 'fitsync-user-service',
+    audience: 'fitsync-api',
+    ...options
+  });
+  return `Bearer ${token}`;
+}
+
+// Runs verifyToken then the policy, like the gateway does
+function run(policy, authorization) {
+  const ctx = createMockReqRes(authorization);
+  return new Promise((resolve) => {
+    const done = () => resolve(ctx);
+    ctx.res.json.mockImplementation(done);
+    ctx.next.mockImplementation(done);
+    verifyToken(ctx.req, ctx.res, () => authorize(policy)(ctx.req, ctx.res, ctx.next));
+  });
+}
+
+describe('Route Authorization', () => {
+  describe('Public Routes', () => {
+    it('should allow requests without a token', async () => {
+      const { next, res } = await run(PUBLIC);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should ignore an expired token', async () => {
+      const { req, next } = await run(PUBLIC, bearer({ id: 'user-1', role: 'client' }, { expiresIn: -10 }));
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toBeUndefined();
+    });
+  });
+
+  describe('Authenticated Routes', () => {
+    it('should return 401 UNAUTHORIZED without a token', async () => {
+      const { res, next } = await run(AUTHENTICATED);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error.code).toBe('UNAUTHORIZED');
+    });
+
+    it('should return 401 TOKEN_EXPIRED for an expired token', async () => {
+      const { res } = await run(AUTHENTICATED, bearer({ id: 'user-1', role: 'client' }, { expiresIn: -10 }));
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error.code).toBe('TOKEN_EXPIRED');
+    });
+
+    it('should return 401 INVALID_TOKEN for a tampered token', async () => {
+      const { res } = await run(AUTHENTICATED, `${bearer({ id: 'user-1', role: 'client' })}x`);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should allow any role with a valid token', async () => {
+      const { req, next } = await run(AUTHENTICATED, bearer({ id: 'user-1', role: 'trainer' }));
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.role).toBe('trainer');
+    });
+
+    it('should default to authenticated when no policy is given', async () => {
+      const { res } = await run(undefined);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('Asymmetric Tokens', () => {
+    it('should accept an RS256 token signed by a JWKS key', async () => {
+      const { req, next } = await run(AUTHENTICATED, rsaBearer({ id: 'user-1', role: 'client' }));
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.id).toBe('user-1');
+    });
+
+    it('should reject an RS256 token with an unknown kid', async () => {
+      const { res } = await run(AUTHENTICATED, rsaBearer({ id: 'user-1', role: 'client' }, { keyid: 'rotated-out' }));
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should still check issuer and audience', async () => {
+      const { res } = await run(AUTHENTICATED, rsaBearer({ id: 'user-1', role: 'client' }, { issuer: 'someone-else' }));
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should reject an RS256 token signed by a different key', async () => {
+      const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+      const token = jwt.sign({ id: 'user-1', role: 'admin' }, other, {
+        algorithm: 'RS256',
+        keyid: 'key-1',
+        issuer: 'fitsync-user-service',
+        audience: 'fitsync-api'
+      });
+
+      const { res } = await run(AUTHENTICATED, `Bearer ${token}`);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('Role Restricted Routes', () => {
+    it('should allow a listed role', async () => {
+      const { next } = await run(['admin'], bearer({ id: 'admin-1', role: 'admin' }));
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 403 FORBIDDEN for an unlisted role', async () => {
+      const { res, next } = await run(['admin'], bearer({ id: 'client-1', role: 'client' }));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        success: false,
+        error: { code: 'FORBIDDEN' }
+      });
+    });
+
+    it('should return 401 rather than 403 without a token', async () => {
+      const { res } = await run(['admin']);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('Record Access', () => {
+    const client = { id: 'client-1', role: 'client' };
+    const trainer = { id: 'trainer-1', role: 'trainer' };
+    const admin = { id: 'admin-1', role: 'admin' };
+
+    it('should let clients see only their own client data', () => {
+      expect(canViewClient(client, 'client-1')).toBe(true);
+      expect(canViewClient(client, 'client-2')).toBe(false);
+      expect(canViewClient(trainer, 'client-2')).toBe(true);
+      expect(canViewClient(admin, 'client-2')).toBe(true);
+    });
+
+    it('should let trainers see only their own trainer data', () => {
+      expect(canViewTrainer(trainer, 'trainer-1')).toBe(true);
+      expect(canViewTrainer(trainer, 'trainer-2')).toBe(false);
+      expect(canViewTrainer(client, 'trainer-1')).toBe(false);
+      expect(canViewTrainer(admin, 'trainer-2')).toBe(true);
+    });
+  });
+});
+
+afterAll(() => {
+  fs.unlinkSync(jwksFile);
+});
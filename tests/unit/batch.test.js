@@ -0,0 +1,222 @@
+/**
+ * Unit tests for /api/batch validation, dependency ordering and loopback dispatch.
+ */
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { validateBatch, runBatch, createLoopbackClient, refuseNestedBatch } = require('../../src/utils/batch');
+
+const codes = (errors) => errors.map(error => `${error.field}:${error.code}`);
+
+describe('Batch Requests', () => {
+  describe('Validation', () => {
+    it('should accept an array or { requests } and fill in defaults', () => {
+      const fromArray = validateBatch([{ path: '/api/users/me' }, { method: 'post', path: '/api/bookings', body: { a: 1 }, dependsOn: 0 }]);
+      const fromObject = validateBatch({ requests: [{ path: '/api/users/me' }] });
+
+      expect(fromArray.errors).toEqual([]);
+      expect(fromArray.requests).toEqual([
+        { id: '0', method: 'GET', path: '/api/users/me', body: undefined, dependsOn: [] },
+        { id: '1', method: 'POST', path: '/api/bookings', body: { a: 1 }, dependsOn: ['0'] }
+      ]);
+      expect(fromObject.errors).toEqual([]);
+    });
+
+    it('should require a non-empty list', () => {
+      expect(codes(validateBatch({}).errors)).toEqual(['requests:REQUIRED']);
+      expect(codes(validateBatch([]).errors)).toEqual(['requests:REQUIRED']);
+    });
+
+    it('should cap the number of sub-requests', () => {
+      const requests = Array.from({ length: 4 }, () => ({ path: '/api/users/me' }));
+
+      expect(codes(validateBatch(requests, { maxRequests: 3 }).errors)).toEqual(['requests:BATCH_TOO_LARGE']);
+      expect(validateBatch(requests, { maxRequests: 4 }).errors).toEqual([]);
+    });
+
+    it('should only allow /api/ paths on this gateway', () => {
+      const paths = ['http://evil.example/api/x', '/health', '/api/../metrics', '/api/batch', '/api/v2/batch', '//api/x'];
+
+      const { errors } = validateBatch(paths.map(path => ({ path })));
+
+      expect(errors).toHaveLength(paths.length);
+      expect(errors.every(error => error.code === 'INVALID_PATH')).toBe(true);
+    });
+
+    it('should refuse /api/batch in any letter case', () => {
+      const paths = ['/api/Batch', '/api/v1/BATCH', '/api/BATCH/?x=1'];
+
+      const { errors } = validateBatch(paths.map(path => ({ path })));
+
+      expect(codes(errors)).toEqual(paths.map((path, index) => `requests[${index}].path:INVALID_PATH`));
+    });
+
+    it('should reject unknown methods', () => {
+      expect(codes(validateBatch([{ method: 'TRACE', path: '/api/x' }]).errors)).toEqual(['requests[0].method:INVALID_METHOD']);
+    });
+
+    it('should reject duplicate ids and unknown dependencies', () => {
+      const { errors } = validateBatch([
+        { id: 'a', path: '/api/x' },
+        { id: 'a', path: '/api/y' },
+        { id: 'b', path: '/api/z', dependsOn: ['a', 'missing'] }
+      ]);
+
+      expect(codes(errors)).toEqual(['requests[1].id:DUPLICATE_ID', 'requests[2].dependsOn:UNKNOWN_DEPENDENCY']);
+    });
+
+    it('should reject dependency cycles', () => {
+      const { errors } = validateBatch([
+        { id: 'a', path: '/api/x', dependsOn: 'c' },
+        { id: 'b', path: '/api/y', dependsOn: 'a' },
+        { id: 'c', path: '/api/z', dependsOn: 'b' }
+      ]);
+
+      expect(codes(errors)).toEqual(['requests:DEPENDENCY_CYCLE']);
+    });
+  });
+
+  describe('Execution', () => {
+    // Resolves each sub-request after `delay` ms with the status its path asks for
+    const createSend = (log, delay = 10) => jest.fn(request => new Promise((resolve) => {
+      log.push(`start:${request.id}`);
+      setTimeout(() => {
+        log.push(`end:${request.id}`);
+        const status = Number(request.path.split('/').pop()) || 200;
+        resolve({ status, body: { path: request.path } });
+      }, delay);
+    }));
+
+    it('should run independent sub-requests in parallel', async () => {
+      const log = [];
+      const { requests } = validateBatch([{ id: 'a', path: '/api/a' }, { id: 'b', path: '/api/b' }]);
+
+      await runBatch(requests, createSend(log));
+
+      expect(log).toEqual(['start:a', 'start:b', 'end:a', 'end:b']);
+    });
+
+    it('should start a sub-request once its dependencies finished', async () => {
+      const log = [];
+      const { requests } = validateBatch([
+        { id: 'child', path: '/api/c', dependsOn: ['a', 'b'] },
+        { id: 'a', path: '/api/a' },
+        { id: 'b', path: '/api/b' }
+      ]);
+
+      const responses = await runBatch(requests, createSend(log));
+
+      expect(log.indexOf('start:child')).toBeGreaterThan(log.indexOf('end:a'));
+      expect(log.indexOf('start:child')).toBeGreaterThan(log.indexOf('end:b'));
+      expect(responses.map(response => response.id)).toEqual(['child', 'a', 'b']);
+    });
+
+    it('should skip dependents of a failed sub-request with 424', async () => {
+      const send = createSend([]);
+      const { requests } = validateBatch([
+        { id: 'lookup', path: '/api/users/404' },
+        { id: 'update', method: 'PUT', path: '/api/x', dependsOn: 'lookup' },
+        { id: 'notify', path: '/api/y', dependsOn: 'update' },
+        { id: 'other', path: '/api/z' }
+      ]);
+
+      const responses = await runBatch(requests, send);
+
+      expect(responses.map(response => response.status)).toEqual([404, 424, 424, 200]);
+      expect(responses[1].body.error).toMatchObject({ code: 'FAILED_DEPENDENCY', message: 'Not run because request lookup failed' });
+      expect(responses[2].body.error.message).toBe('Not run because request update failed');
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Loopback Client', () => {
+    let server;
+    let port;
+    let received;
+
+    beforeAll((done) => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ method: req.method, url: req.url, headers: req.headers, body });
+          if (req.url === '/api/slow') {
+            return setTimeout(() => res.end('{}'), 200);
+          }
+          res.statusCode = req.url === '/api/missing' ? 404 : 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ success: res.statusCode === 200 }));
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      received = [];
+    });
+
+    const batchRequest = () => ({
+      socket: { localPort: port },
+      headers: { authorization: 'Bearer token', 'accept-version': 'v2', cookie: 'secret=1' },
+      correlationId: 'batch-1',
+      trace: { traceId: 'a'.repeat(32), spanId: 'b'.repeat(16), flags: '00' }
+    });
+
+    it('should send sub-requests to this gateway with the caller\'s credentials', async () => {
+      const send = createLoopbackClient(batchRequest());
+
+      const result = await send({ method: 'POST', path: '/api/bookings', body: { a: 1 } });
+
+      expect(result).toEqual({ status: 200, body: { success: true } });
+      expect(received[0]).toMatchObject({ method: 'POST', url: '/api/bookings', body: '{"a":1}' });
+      expect(received[0].headers).toMatchObject({
+        authorization: 'Bearer token',
+        'accept-version': 'v2',
+        'x-correlation-id': 'batch-1',
+        'x-gateway-batch': '1'
+      });
+      expect(received[0].headers.traceparent).toMatch(new RegExp(`^00-${'a'.repeat(32)}-`));
+      expect(received[0].headers.cookie).toBeUndefined();
+    });
+
+    it('should pass error statuses through', async () => {
+      const result = await createLoopbackClient(batchRequest())({ method: 'GET', path: '/api/missing' });
+
+      expect(result.status).toBe(404);
+    });
+
+    it('should answer 504 when a sub-request times out', async () => {
+      const result = await createLoopbackClient(batchRequest(), { timeoutMs: 50 })({ method: 'GET', path: '/api/slow' });
+
+      expect(result.status).toBe(504);
+      expect(result.body.error.code).toBe('GATEWAY_TIMEOUT');
+    });
+  });
+
+  describe('Nested Batches', () => {
+    const createApp = () => {
+      const app = express();
+      app.post('/api/batch', refuseNestedBatch, (req, res) => res.json({ success: true }));
+      return app;
+    };
+
+    it('should refuse a batch sent by the loopback client', async () => {
+      const response = await request(createApp()).post('/api/BATCH').set('X-Gateway-Batch', '1').send([]);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('NESTED_BATCH');
+    });
+
+    it('should let other batches through', async () => {
+      await request(createApp()).post('/api/batch').send([]).expect(200);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for /api/bookings/validated request validation.
+ */
+
+const {
+  BookingValidationError,
+  validateBookingPayload,
+  validateBooking
+} = require('../../src/utils/bookingValidation');
+
+const client = { id: 'client-1', role: 'client' };
+const admin = { id: 'admin-1', role: 'admin' };
+
+const validBody = () => ({
+  trainer_id: 'trainer-1',
+  client_id: 'client-1',
+  booking_date: '2026-11-02',
+  start_time: '09:00',
+  end_time: '10:00',
+  type: 'personal'
+});
+
+const users = {
+  'trainer-1': { id: 'trainer-1', role: 'trainer' },
+  'client-1': { id: 'client-1', role: 'client' },
+  'client-2': { id: 'client-2', role: 'client' }
+};
+
+const notFound = () => Object.assign(new Error('Not found'), { response: { status: 404 } });
+
+// Stand-in for upstream.forRequest(req) backed by fixed users and slots
+function createApi({ slots = [{ start_time: '08:00', end_time: '12:00', is_available: true }], userError } = {}) {
+  return {
+    get: jest.fn((service, path) => {
+      if (service === 'user') {
+        if (userError) {
+          return Promise.reject(userError);
+        }
+        const user = users[decodeURIComponent(path.split('/').pop())];
+        return user ? Promise.resolve({ data: { success: true, data: user } }) : Promise.reject(notFound());
+      }
+      return Promise.resolve({ data: { success: true, data: slots } });
+    })
+  };
+}
+
+async function validationError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected validation to fail');
+}
+
+const codes = (error) => error.fields.map(field => `${field.field}:${field.code}`);
+
+describe('Booking Validation', () => {
+  describe('Payload Schema', () => {
+    it('should accept a valid payload', () => {
+      expect(validateBookingPayload(validBody(), client).errors).toEqual([]);
+    });
+
+    it('should default client_id to the calling client', () => {
+      const body = validBody();
+      delete body.client_id;
+
+      const { errors, booking } = validateBookingPayload(body, client);
+
+      expect(errors).toEqual([]);
+      expect(booking.client_id).toBe('client-1');
+    });
+
+    it('should require client_id from trainers and admins', () => {
+      const body = validBody();
+      delete body.client_id;
+
+      expect(validateBookingPayload(body, admin).errors).toEqual([
+        { field: 'client_id', code: 'REQUIRED', message: 'client_id is required' }
+      ]);
+    });
+
+    it('should report every missing field', () => {
+      const { errors } = validateBookingPayload({}, admin);
+
+      expect(errors.map(error => error.field)).toEqual(['trainer_id', 'client_id', 'booking_date', 'start_time', 'end_time']);
+      expect(errors.every(error => error.code === 'REQUIRED')).toBe(true);
+    });
+
+    it('should reject malformed and impossible dates', () => {
+      ['02/11/2026', '2026-2-1', '2026-02-30'].forEach((booking_date) => {
+        const { errors } = validateBookingPayload({ ...validBody(), booking_date }, client);
+        expect(errors).toEqual([expect.objectContaining({ field: 'booking_date', code: 'INVALID_DATE' })]);
+      });
+    });
+
+    it('should reject malformed times', () => {
+      const { errors } = validateBookingPayload({ ...validBody(), start_time: '9am', end_time: '24:00' }, client);
+
+      expect(errors.map(error => `${error.field}:${error.code}`)).toEqual(['start_time:INVALID_TIME', 'end_time:INVALID_TIME']);
+    });
+
+    it('should require start_time before end_time', () => {
+      ['10:00', '09:30'].forEach((end_time) => {
+        const { errors } = validateBookingPayload({ ...validBody(), start_time: '10:00', end_time }, client);
+        expect(errors).toEqual([expect.objectContaining({ field: 'end_time', code: 'INVALID_TIME_RANGE' })]);
+      });
+    });
+
+    it('should accept times with seconds', () => {
+      const { errors } = validateBookingPayload({ ...validBody(), start_time: '09:00:00', end_time: '09:45:30' }, client);
+
+      expect(errors).toEqual([]);
+    });
+  });
+
+  describe('Parties', () => {
+    it('should return the booking when every check passes', async () => {
+      const api = createApi();
+
+      const booking = await validateBooking(api, client, validBody());
+
+      expect(booking).toMatchObject({ trainer_id: 'trainer-1', client_id: 'client-1' });
+      expect(api.get).toHaveBeenCalledWith('schedule', '/api/availability?trainer_id=trainer-1&date=2026-11-02');
+    });
+
+    it('should stop at schema errors without calling services', async () => {
+      const api = createApi();
+
+      const error = await validationError(validateBooking(api, client, { ...validBody(), booking_date: 'tomorrow' }));
+
+      expect(error).toBeInstanceOf(BookingValidationError);
+      expect(error.status).toBe(400);
+      expect(error.code).toBe('VALIDATION_ERROR');
+      expect(api.get).not.toHaveBeenCalled();
+    });
+
+    it('should forbid clients from booking for someone else', async () => {
+      const error = await validationError(validateBooking(createApi(), client, { ...validBody(), client_id: 'client-2' }));
+
+      expect(error.status).toBe(403);
+      expect(codes(error)).toEqual(['client_id:CLIENT_MISMATCH']);
+    });
+
+    it('should let admins book for any client', async () => {
+      const booking = await validateBooking(createApi(), admin, { ...validBody(), client_id: 'client-2' });
+
+      expect(booking.client_id).toBe('client-2');
+    });
+
+    it('should reject a trainer_id that is not a trainer', async () => {
+      const error = await validationError(validateBooking(createApi(), admin, { ...validBody(), trainer_id: 'client-2' }));
+
+      expect(error.status).toBe(400);
+      expect(error.code).toBe('INVALID_TRAINER');
+    });
+
+    it('should reject unknown clients and clients without the client role', async () => {
+      const unknown = await validationError(validateBooking(createApi(), admin, { ...validBody(), client_id: 'nobody' }));
+      const trainer = await validationError(validateBooking(createApi(), admin, { ...validBody(), client_id: 'trainer-1' }));
+
+      expect(codes(unknown)).toEqual(['client_id:INVALID_CLIENT']);
+      expect(codes(trainer)).toEqual(['client_id:INVALID_CLIENT']);
+    });
+
+    it('should rethrow user service outages instead of blaming the request', async () => {
+      const outage = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+      const error = await validationError(validateBooking(createApi({ userError: outage }), client, validBody()));
+
+      expect(error).toBe(outage);
+    });
+  });
+
+  describe('Availability', () => {
+    it('should reject a slot outside the trainer availability', async () => {
+      const api = createApi({ slots: [{ start_time: '08:00', end_time: '09:30' }] });
+
+      const error = await validationError(validateBooking(api, client, validBody()));
+
+      expect(error.status).toBe(409);
+      expect(codes(error)).toEqual(['start_time:TRAINER_UNAVAILABLE']);
+    });
+
+    it('should reject slots marked unavailable', async () => {
+      const api = createApi({ slots: [{ start_time: '08:00', end_time: '12:00', is_available: false }] });
+
+      const error = await validationError(validateBooking(api, client, validBody()));
+
+      expect(error.code).toBe('TRAINER_UNAVAILABLE');
+    });
+
+    it('should reject when the trainer has no availability that day', async () => {
+      const error = await validationError(validateBooking(createApi({ slots: [] }), client, validBody()));
+
+      expect(error.code).toBe('TRAINER_UNAVAILABLE');
+    });
+
+    it('should accept a slot that exactly matches the booking', async () => {
+      const api = createApi({ slots: [{ start_time: '09:00:00', end_time: '10:00:00' }] });
+
+      await expect(validateBooking(api, client, validBody())).resolves.toMatchObject({ start_time: '09:00' });
+    });
+  });
+});
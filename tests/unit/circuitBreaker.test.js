@@ -0,0 +1,180 @@
+/**
+ * Unit tests for per-service circuit breakers and the upstream request helper.
+ */
+
+const axios = require('axios');
+const { CircuitBreaker, CircuitOpenError, circuitGuard, getBreaker } = require('../../src/utils/circuitBreaker');
+const upstream = require('../../src/utils/upstream');
+
+jest.mock('axios');
+
+const failing = () => Promise.reject(new Error('ECONNRESET'));
+const succeeding = () => Promise.resolve('ok');
+
+async function tripBreaker(breaker) {
+  for (let i = 0; i < breaker.failureThreshold; i++) {
+    await breaker.exec(failing).catch(() => {});
+  }
+}
+
+describe('Circuit Breaker', () => {
+  let breaker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    breaker = new CircuitBreaker('progress', { failureThreshold: 3, resetTimeoutMs: 10000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('Closed State', () => {
+    it('should start closed and pass calls through', async () => {
+      await expect(breaker.exec(succeeding)).resolves.toBe('ok');
+      expect(breaker.state).toBe('closed');
+    });
+
+    it('should stay closed below the failure threshold', async () => {
+      await breaker.exec(failing).catch(() => {});
+      await breaker.exec(failing).catch(() => {});
+
+      expect(breaker.state).toBe('closed');
+    });
+
+    it('should reset the failure count after a success', async () => {
+      await breaker.exec(failing).catch(() => {});
+      await breaker.exec(failing).catch(() => {});
+      await breaker.exec(succeeding);
+      await breaker.exec(failing).catch(() => {});
+
+      expect(breaker.state).toBe('closed');
+    });
+
+    it('should not count errors the caller marks as non-failures', async () => {
+      for (let i = 0; i < 5; i++) {
+        await breaker.exec(failing, () => false).catch(() => {});
+      }
+
+      expect(breaker.state).toBe('closed');
+    });
+  });
+
+  describe('Open State', () => {
+    it('should open after consecutive failures reach the threshold', async () => {
+      await tripBreaker(breaker);
+
+      expect(breaker.state).toBe('open');
+    });
+
+    it('should fail fast without calling the service', async () => {
+      await tripBreaker(breaker);
+      const fn = jest.fn(succeeding);
+
+      await expect(breaker.exec(fn)).rejects.toBeInstanceOf(CircuitOpenError);
+      expect(fn).not.toHaveBeenCalled();
+    });
+
+    it('should report seconds until the next trial', async () => {
+      await tripBreaker(breaker);
+      jest.advanceTimersByTime(4000);
+
+      expect(breaker.retryAfterSeconds()).toBe(6);
+    });
+  });
+
+  describe('Half-Open State', () => {
+    it('should allow a single trial after the reset timeout', async () => {
+      await tripBreaker(breaker);
+      jest.advanceTimersByTime(10000);
+
+      expect(breaker.canRequest()).toBe(true);
+      expect(breaker.state).toBe('half-open');
+      expect(breaker.canRequest()).toBe(false);
+    });
+
+    it('should close when the trial succeeds', async () => {
+      await tripBreaker(breaker);
+      jest.advanceTimersByTime(10000);
+
+      await breaker.exec(succeeding);
+
+      expect(breaker.state).toBe('closed');
+    });
+
+    it('should re-open when the trial fails', async () => {
+      await tripBreaker(breaker);
+      jest.advanceTimersByTime(10000);
+
+      await breaker.exec(failing).catch(() => {});
+
+      expect(breaker.state).toBe('open');
+      expect(breaker.retryAfterSeconds()).toBe(10);
+    });
+  });
+});
+
+describe('Circuit Guard Middleware', () => {
+  function createMockReqRes() {
+    const req = { method: 'GET', originalUrl: '/api/metrics' };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      setHeader: jest.fn()
+    };
+    return { req, res, next: jest.fn() };
+  }
+
+  it('should pass requests through while closed', () => {
+    const { req, res, next } = createMockReqRes();
+
+    circuitGuard('notification')(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should answer 503 with Retry-After while open', async () => {
+    await tripBreaker(getBreaker('progress'));
+    const { req, res, next } = createMockReqRes();
+
+    circuitGuard('progress')(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.setHeader).toHaveBeenCalledWith('Retry-After', expect.any(String));
+    expect(res.json.mock.calls[0][0].error.code).toBe('SERVICE_UNAVAILABLE');
+  });
+});
+
+describe('Upstream Requests', () => {
+  it('should call the service URL for the given service key', async () => {
+    axios.request.mockResolvedValue({ data: { data: [] } });
+
+    await upstream.get('training', '/api/programs?limit=5', { headers: { Authorization: 'Bearer t' } });
+
+    expect(axios.request).toHaveBeenCalledWith({
+      method: 'GET',
+      url: 'http://localhost:3002/api/programs?limit=5',
+      headers: { Authorization: 'Bearer t' }
+    });
+  });
+
+  it('should not count 4xx responses against the breaker', async () => {
+    axios.request.mockRejectedValue({ response: { status: 404 } });
+
+    for (let i = 0; i < 10; i++) {
+      await upstream.get('schedule', '/api/bookings/missing').catch(() => {});
+    }
+
+    expect(getBreaker('schedule').state).toBe('closed');
+  });
+
+  it('should skip a service whose breaker is open', async () => {
+    axios.request.mockRejectedValue(new Error('ECONNREFUSED'));
+    await tripBreaker(getBreaker('user'));
+    axios.request.mockClear();
+
+    await expect(upstream.get('user', '/api/users/1')).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(axios.request).not.toHaveBeenCalled();
+  });
+});
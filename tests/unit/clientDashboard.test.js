@@ -0,0 +1,89 @@
+/**
+ * Unit tests for the client dashboard: sections, include, limits and access.
+ */
+
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const { createDashboard } = require('../../src/utils/dashboard');
+const { clientDashboard } = require('../../src/utils/clientDashboard');
+
+jest.mock('axios');
+
+const UPSTREAM = {
+  '/api/users/c1': { data: { id: 'c1', first_name: 'Casey', email: 'casey@example.com' } },
+  '/api/programs': { data: [{ id: 'p1', name: 'Strength' }] },
+  '/api/bookings': { data: [{ id: 'b1', booking_date: '2026-10-21' }] },
+  '/api/analytics/client/c1': { data: { streak: 4 } }
+};
+
+function createApp(user = { id: 'c1', role: 'client' }) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.get('/api/dashboard/client/:id', createDashboard(clientDashboard));
+  return app;
+}
+
+const calledPaths = () => axios.request.mock.calls.map(([config]) => config.url.replace(/^https?:\/\/[^/]+/, ''));
+
+describe('Client Dashboard', () => {
+  beforeEach(() => {
+    axios.request.mockReset();
+    axios.request.mockImplementation(async ({ url }) => ({ status: 200, data: UPSTREAM[new URL(url).pathname] }));
+  });
+
+  it('should build every section from its service', async () => {
+    const response = await request(createApp()).get('/api/dashboard/client/c1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({
+      profile: UPSTREAM['/api/users/c1'].data,
+      active_programs: UPSTREAM['/api/programs'].data,
+      upcoming_bookings: UPSTREAM['/api/bookings'].data,
+      progress_summary: { streak: 4 }
+    });
+    expect(response.body.partial).toBe(false);
+  });
+
+  it('should only call the services the included sections need', async () => {
+    const response = await request(createApp()).get('/api/dashboard/client/c1?include=profile,upcoming_bookings');
+
+    expect(Object.keys(response.body.data)).toEqual(['profile', 'upcoming_bookings']);
+    expect(calledPaths()).toEqual(['/api/users/c1', '/api/bookings?client_id=c1&status=scheduled&limit=5']);
+  });
+
+  it('should pass list limits upstream and cap them', async () => {
+    await request(createApp()).get('/api/dashboard/client/c1?include=active_programs,upcoming_bookings&programs_limit=3&bookings_limit=500');
+
+    expect(calledPaths()).toEqual([
+      '/api/programs?client_id=c1&limit=3',
+      '/api/bookings?client_id=c1&status=scheduled&limit=50'
+    ]);
+  });
+
+  it('should answer 400 for an unknown section or a bad limit', async () => {
+    const response = await request(createApp()).get('/api/dashboard/client/c1?include=profile,weather&programs_limit=0');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.fields.map(field => field.code)).toEqual(['UNKNOWN_SECTION', 'INVALID_LIMIT']);
+    expect(axios.request).not.toHaveBeenCalled();
+  });
+
+  it('should answer 403 for another client\'s dashboard', async () => {
+    const response = await request(createApp({ id: 'c2', role: 'client' })).get('/api/dashboard/client/c1');
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toMatchObject({ code: 'FORBIDDEN', message: 'Cannot access other client dashboards' });
+    expect(axios.request).not.toHaveBeenCalled();
+  });
+
+  it('should let trainers see any client\'s dashboard', async () => {
+    const response = await request(createApp({ id: 't1', role: 'trainer' })).get('/api/dashboard/client/c1?include=profile');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.profile.first_name).toBe('Casey');
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit tests for the client weekly summary: week ranges, list counts, metric
+ * changes, adherence, limits and access.
+ */
+
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const { createDashboard } = require('../../src/utils/dashboard');
+const {
+  clientWeeklyDashboard,
+  clientWeek,
+  weekList,
+  metricChanges,
+  adherence
+} = require('../../src/utils/clientWeeklyDashboard');
+
+jest.mock('axios');
+
+// 2026-W43 runs from Monday 19 to Sunday 25 October
+const WEEK = { week: '2026-W43', start_date: '2026-10-19', end_date: '2026-10-25' };
+
+describe('Client Weekly Summary', () => {
+  describe('Week', () => {
+    it('should span Monday to Sunday of the requested ISO week', () => {
+      expect(clientWeek({ week: '2026-W43' })).toEqual(WEEK);
+    });
+  });
+
+  describe('Lists', () => {
+    it('should count from the upstream total and list up to the limit', () => {
+      const body = { data: [{ id: 1 }, { id: 2 }, { id: 3 }], pagination: { total_count: 240 } };
+
+      expect(weekList(body, 2)).toEqual({ count: 240, items: [{ id: 1 }, { id: 2 }] });
+    });
+
+    it('should count the items without a total', () => {
+      expect(weekList({ data: [{ id: 1 }] }, 20)).toEqual({ count: 1, items: [{ id: 1 }] });
+      expect(weekList({ data: [], pagination: { total_count: 0 } }, 20)).toEqual({ count: 0, items: [] });
+      expect(weekList(undefined, 20)).toBeNull();
+    });
+  });
+
+  describe('Metric Changes', () => {
+    const reading = (type, value, recordedAt, unit = 'kg') => ({ type, value, unit, recorded_at: recordedAt });
+
+    it('should compare the latest reading of the week with the latest of the week before', () => {
+      const changes = metricChanges([
+        reading('weight', 82.4, '2026-10-13T07:00:00Z'),
+        reading('weight', 82.1, '2026-10-16T07:00:00Z'),
+        reading('weight', 81.6, '2026-10-20T07:00:00Z'),
+        reading('weight', 81.35, '2026-10-24T07:00:00Z'),
+        reading('body_fat', 18.2, '2026-10-15', '%'),
+        reading('body_fat', 18.5, '2026-10-22', '%')
+      ], WEEK);
+
+      expect(changes).toEqual({
+        weight: { current: 81.35, previous: 82.1, change: -0.75, unit: 'kg' },
+        body_fat: { current: 18.5, previous: 18.2, change: 0.3, unit: '%' }
+      });
+    });
+
+    it('should read values sent as strings as numbers', () => {
+      const { weight } = metricChanges([
+        reading('weight', '80.5', '2026-10-14'),
+        reading('weight', '79.9', '2026-10-21')
+      ], WEEK);
+
+      expect(weight).toEqual({ current: 79.9, previous: 80.5, change: -0.6, unit: 'kg' });
+    });
+
+    it('should leave out the change without a reading the week before', () => {
+      const { weight, body_fat: bodyFat } = metricChanges([reading('weight', 80, '2026-10-21')], WEEK);
+
+      expect(weight).toEqual({ current: 80, previous: null, change: null, unit: 'kg' });
+      expect(bodyFat).toEqual({ current: null, previous: null, change: null, unit: null });
+    });
+
+    it('should treat values that are not numbers as missing', () => {
+      const { weight } = metricChanges([
+        reading('weight', 'n/a', '2026-10-14'),
+        reading('weight', 80, '2026-10-21')
+      ], WEEK);
+
+      expect(weight).toMatchObject({ current: 80, previous: null, change: null });
+    });
+
+    it('should ignore readings after the week', () => {
+      const { weight } = metricChanges([reading('weight', 80, '2026-10-21'), reading('weight', 75, '2026-10-27')], WEEK);
+
+      expect(weight.current).toBe(80);
+    });
+  });
+
+  describe('Adherence', () => {
+    it('should count logs of the program\'s workouts against the workouts it plans', () => {
+      const program = { id: 'p1', name: 'Strength' };
+      const workouts = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }];
+      const logs = [{ workout_id: 1 }, { workout_id: '2' }, { workout_id: 9 }];
+
+      expect(adherence(program, workouts, logs)).toEqual({
+        program_id: 'p1',
+        program_name: 'Strength',
+        planned_workouts: 4,
+        completed_workouts: 2,
+        rate: 0.5
+      });
+    });
+
+    it('should cap the rate at 1 and leave it out without planned workouts', () => {
+      const program = { id: 'p1', name: 'Strength' };
+
+      expect(adherence(program, [{ id: 1 }], [{ workout_id: 1 }, { workout_id: 1 }]).rate).toBe(1);
+      expect(adherence(program, [], [{ workout_id: 1 }]).rate).toBeNull();
+    });
+  });
+
+  describe('Handler', () => {
+    const UPSTREAM = {
+      '/api/sessions': { data: [{ id: 's1' }], pagination: { total_count: 1 } },
+      '/api/workout-logs': {
+        data: [{ id: 'l1', workout_id: 'w1' }, { id: 'l2', workout_id: 'w2' }, { id: 'l3', workout_id: 'other' }],
+        pagination: { total_count: 3 }
+      },
+      '/api/metrics': { data: [] },
+      '/api/achievements': { data: [{ id: 'a1', unlocked_at: '2026-10-20T10:00:00Z' }, { id: 'a2', unlocked_at: '2026-10-01' }] },
+      '/api/programs': { data: [{ id: 'p1', name: 'Strength' }] },
+      '/api/workouts': { data: [{ id: 'w1' }, { id: 'w2' }, { id: 'w3' }, { id: 'w4' }] }
+    };
+
+    function createApp(user = { id: 'c1', role: 'client' }) {
+      const app = express();
+      app.use((req, res, next) => {
+        req.user = user;
+        next();
+      });
+      app.get('/api/dashboard/client/:id/weekly', createDashboard(clientWeeklyDashboard));
+      return app;
+    }
+
+    const calledPaths = () => axios.request.mock.calls.map(([config]) => config.url.replace(/^https?:\/\/[^/]+/, ''));
+
+    beforeEach(() => {
+      axios.request.mockReset();
+      axios.request.mockImplementation(async ({ url }) => ({ status: 200, data: UPSTREAM[new URL(url).pathname] }));
+    });
+
+    it('should summarize the week', async () => {
+      const response = await request(createApp()).get('/api/dashboard/client/c1/weekly?week=2026-W43');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        week: WEEK,
+        completed_sessions: { count: 1, items: [{ id: 's1' }] },
+        logged_workouts: { count: 3 },
+        new_achievements: [{ id: 'a1' }],
+        adherence: { program_id: 'p1', planned_workouts: 4, completed_workouts: 2, rate: 0.5 }
+      });
+      expect(calledPaths()).toContain('/api/workouts?program_id=p1');
+    });
+
+    it('should pass list limits upstream and cap them', async () => {
+      await request(createApp()).get('/api/dashboard/client/c1/weekly?week=2026-W43&sessions_limit=5&achievements_limit=500');
+
+      expect(calledPaths()).toEqual(expect.arrayContaining([
+        '/api/sessions?client_id=c1&status=completed&date_from=2026-10-19&date_to=2026-10-25&limit=5',
+        '/api/achievements?client_id=c1&date_from=2026-10-19&date_to=2026-10-25&limit=100'
+      ]));
+    });
+
+    it('should list the first workout_logs_limit logs but count all of them for adherence', async () => {
+      const response = await request(createApp())
+        .get('/api/dashboard/client/c1/weekly?week=2026-W43&include=logged_workouts,adherence&workout_logs_limit=1');
+
+      expect(response.body.data.logged_workouts).toEqual({ count: 3, items: [{ id: 'l1', workout_id: 'w1' }] });
+      expect(response.body.data.adherence.completed_workouts).toBe(2);
+      expect(calledPaths()).toContain('/api/workout-logs?client_id=c1&date_from=2026-10-19&date_to=2026-10-25&limit=100');
+    });
+
+    it('should answer 400 for a week or limit that is not valid', async () => {
+      const response = await request(createApp()).get('/api/dashboard/client/c1/weekly?week=2026-W54&sessions_limit=0');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.fields.map(field => field.code)).toEqual(['INVALID_WEEK', 'INVALID_LIMIT']);
+      expect(axios.request).not.toHaveBeenCalled();
+    });
+
+    it('should answer 403 for another client\'s week', async () => {
+      const response = await request(createApp({ id: 'c2', role: 'client' })).get('/api/dashboard/client/c1/weekly');
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toMatchObject({ code: 'FORBIDDEN', message: 'Cannot access other client dashboards' });
+      expect(axios.request).not.toHaveBeenCalled();
+    });
+
+    it('should let trainers see any client\'s week', async () => {
+      const response = await request(createApp({ id: 't1', role: 'trainer' })).get('/api/dashboard/client/c1/weekly?include=week');
+
+      expect(response.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,474 @@
+/**
+ * Unit tests for dashboard section loading (per-section deadlines, the overall
+ * budget, meta.sections / partial reporting), the include/fields/limit parameters
+ * and the helpers dashboards build their sections with.
+ */
+
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const {
+  loadSections,
+  dashboardBody,
+  parseDashboardQuery,
+  projectFields,
+  createDashboard,
+  SECTION_TIMEOUT_MS,
+  trainerDay,
+  distinctCount,
+  bookingsOn,
+  bookingsByDay,
+  countByWindow,
+  loadBookingsByStatus,
+  loadWorkoutLogCounts,
+  loadUnreadNotifications,
+  loadGatewayUpstreams,
+  loadUpstreamHealth
+} = require('../../src/utils/dashboard');
+const { CircuitOpenError } = require('../../src/utils/circuitBreaker');
+const { latestDependencies } = require('../../src/utils/healthCheck');
+
+jest.mock('axios');
+jest.mock('../../src/utils/healthCheck', () => ({ latestDependencies: jest.fn() }));
+
+const resolveAfter = (ms, value) => () => new Promise(resolve => setTimeout(() => resolve(value), ms));
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+const DEFINITION = {
+  name: 'Client',
+  canView: (user, { id }) => user.role !== 'client' || user.id === id,
+  forbiddenMessage: 'Cannot access other client dashboards',
+  limits: { bookings: { default: 5, max: 50 } },
+  sources: ({ params: { id }, limits }) => ({
+    profile: { service: 'user', path: `/api/users/${id}` },
+    bookings: { service: 'schedule', path: `/api/bookings?client_id=${id}&limit=${limits.bookings}` },
+    analytics: { service: 'progress', path: `/api/analytics/client/${id}` }
+  }),
+  sections: {
+    profile: { sources: ['profile'], build: ({ profile }) => (profile ? profile.data : null) },
+    upcoming_bookings: { sources: ['bookings'], build: ({ bookings }) => (bookings ? bookings.data : []) },
+    progress_summary: { sources: ['analytics'], build: ({ analytics }) => (analytics ? analytics.data : null) }
+  }
+};
+
+const UPSTREAM = {
+  '/api/users/c1': { id: 'c1', name: 'Casey', email: 'casey@example.com' },
+  '/api/analytics/client/c1': { streak: 4 }
+};
+
+function createApp(user = { id: 'c1', role: 'client' }) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.get('/api/dashboard/client/:id', createDashboard(DEFINITION));
+  return app;
+}
+
+describe('Dashboard Sections', () => {
+  it('should return every value and report ok sections', async () => {
+    const result = await loadSections({
+      profile: { service: 'user', load: async () => ({ id: 'user-1' }) },
+      bookings: { service: 'schedule', load: async () => [] }
+    });
+
+    expect(result.values).toEqual({ profile: { id: 'user-1' }, bookings: [] });
+    expect(result.partial).toBe(false);
+    expect(result.sections.profile).toEqual({ service: 'user', status: 'ok', latency_ms: expect.any(Number) });
+    expect(result.sections.bookings.status).toBe('ok');
+  });
+
+  it('should report a slow section as timed out without waiting for it', async () => {
+    const started = Date.now();
+    const result = await loadSections({
+      profile: { service: 'user', load: async () => ({ id: 'user-1' }) },
+      analytics: { service: 'progress', timeoutMs: 30, load: resolveAfter(1000, { streak: 3 }) }
+    });
+
+    expect(Date.now() - started).toBeLessThan(500);
+    expect(result.values).toEqual({ profile: { id: 'user-1' } });
+    expect(result.sections.analytics).toMatchObject({ service: 'progress', status: 'timeout' });
+    expect(result.sections.analytics.latency_ms).toBeGreaterThanOrEqual(25);
+    expect(result.partial).toBe(true);
+  });
+
+  it('should abort the upstream call when a section times out', async () => {
+    let signal;
+    await loadSections({
+      analytics: {
+        service: 'progress',
+        timeoutMs: 10,
+        load: (abortSignal) => {
+          signal = abortSignal;
+          return new Promise(() => {});
+        }
+      }
+    });
+
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('should cut every section off at the overall deadline', async () => {
+    const result = await loadSections({
+      profile: { service: 'user', load: resolveAfter(1000, {}) },
+      bookings: { service: 'schedule', load: resolveAfter(1000, []) }
+    }, { deadline: Date.now() + 30 });
+
+    expect(result.sections.profile.status).toBe('timeout');
+    expect(result.sections.bookings.status).toBe('timeout');
+    expect(result.sections.profile.latency_ms).toBeLessThan(SECTION_TIMEOUT_MS);
+  });
+
+  it('should report failed sections with a short reason', async () => {
+    const result = await loadSections({
+      profile: { service: 'user', load: async () => { throw httpError(404); } },
+      bookings: { service: 'schedule', load: async () => { throw new CircuitOpenError('schedule', 10); } },
+      analytics: { service: 'progress', load: async () => { throw Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }); } },
+      programs: { service: 'training', load: () => { throw new Error('sync failure'); } }
+    });
+
+    expect(result.values).toEqual({});
+    expect(result.sections.profile).toMatchObject({ status: 'error', error: 'HTTP_404' });
+    expect(result.sections.bookings).toMatchObject({ status: 'error', error: 'SERVICE_UNAVAILABLE' });
+    expect(result.sections.analytics).toMatchObject({ status: 'error', error: 'ECONNREFUSED' });
+    expect(result.sections.programs).toMatchObject({ status: 'error', error: 'ERROR' });
+    expect(result.partial).toBe(true);
+  });
+
+  it('should start dependent sections with the values they need', async () => {
+    const order = [];
+    const result = await loadSections({
+      bookings: {
+        service: 'schedule',
+        needs: ['profile'],
+        load: async (signal, values) => {
+          order.push('bookings');
+          return `bookings in ${values.profile.timezone}`;
+        }
+      },
+      profile: {
+        service: 'user',
+        load: async () => {
+          order.push('profile');
+          return { timezone: 'Europe/Berlin' };
+        }
+      }
+    });
+
+    expect(order).toEqual(['profile', 'bookings']);
+    expect(result.values.bookings).toBe('bookings in Europe/Berlin');
+  });
+
+  it('should still run a dependent section when its dependency failed', async () => {
+    const result = await loadSections({
+      profile: { service: 'user', load: async () => { throw httpError(500); } },
+      bookings: { service: 'schedule', needs: ['profile'], load: async (signal, values) => Object.keys(values) }
+    });
+
+    expect(result.values.bookings).toEqual([]);
+    expect(result.sections.profile.status).toBe('error');
+    expect(result.partial).toBe(true);
+  });
+
+  it('should build the response body with partial and meta.sections', async () => {
+    const result = await loadSections({
+      bookings: { service: 'schedule', load: async () => { throw httpError(503); } }
+    });
+
+    expect(dashboardBody({ upcoming_bookings: [] }, result)).toEqual({
+      success: true,
+      data: { upcoming_bookings: [] },
+      partial: true,
+      meta: { sections: { bookings: { service: 'schedule', status: 'error', error: 'HTTP_503', latency_ms: expect.any(Number) } } },
+      timestamp: expect.any(String)
+    });
+  });
+
+  describe('Query Parameters', () => {
+    it('should default to every section and the configured limits', () => {
+      expect(parseDashboardQuery({}, DEFINITION)).toEqual({
+        errors: [],
+        include: ['profile', 'upcoming_bookings', 'progress_summary'],
+        fields: {},
+        limits: { bookings: 5 }
+      });
+    });
+
+    it('should parse include, fields and limits, capping limits at their max', () => {
+      const query = parseDashboardQuery({
+        include: 'upcoming_bookings, profile',
+        fields: 'profile.name,upcoming_bookings.booking_date,upcoming_bookings.start_time',
+        bookings_limit: '500'
+      }, DEFINITION);
+
+      expect(query.errors).toEqual([]);
+      expect(query.include).toEqual(['profile', 'upcoming_bookings']);
+      expect(query.fields).toEqual({ profile: ['name'], upcoming_bookings: ['booking_date', 'start_time'] });
+      expect(query.limits).toEqual({ bookings: 50 });
+    });
+
+    it('should report unknown sections, malformed fields and bad limits', () => {
+      const { errors } = parseDashboardQuery({
+        include: 'profile,workouts',
+        fields: 'profile,stats.total',
+        bookings_limit: '0'
+      }, DEFINITION);
+
+      expect(errors.map(({ field, code }) => `${field}:${code}`)).toEqual([
+        'include:UNKNOWN_SECTION',
+        'fields:INVALID_FIELD',
+        'fields:UNKNOWN_SECTION',
+        'bookings_limit:INVALID_LIMIT'
+      ]);
+    });
+
+    it('should add errors from the definition\'s own validation', () => {
+      const validate = ({ tz }) => (tz === 'bad' ? [{ field: 'tz', code: 'INVALID_TIMEZONE', message: 'bad tz' }] : []);
+
+      expect(parseDashboardQuery({ tz: 'bad' }, { ...DEFINITION, validate }).errors).toEqual([
+        { field: 'tz', code: 'INVALID_TIMEZONE', message: 'bad tz' }
+      ]);
+      expect(parseDashboardQuery({ tz: 'UTC' }, { ...DEFINITION, validate }).errors).toEqual([]);
+    });
+
+    it('should project records and lists to the requested properties', () => {
+      expect(projectFields({ id: 1, name: 'Casey', email: 'c@x' }, ['name', 'missing'])).toEqual({ name: 'Casey' });
+      expect(projectFields([{ id: 1, date: 'a' }, { id: 2, date: 'b' }], ['date'])).toEqual([{ date: 'a' }, { date: 'b' }]);
+      expect(projectFields(7, ['total'])).toBe(7);
+      expect(projectFields(null, ['name'])).toBeNull();
+      expect(projectFields({ id: 1 }, undefined)).toEqual({ id: 1 });
+    });
+  });
+
+  describe('Handler', () => {
+    beforeEach(() => {
+      axios.request.mockReset();
+      axios.request.mockImplementation(async ({ url }) => {
+        const path = new URL(url).pathname;
+        if (path === '/api/bookings') {
+          return { status: 200, data: { data: [{ id: 'b1', booking_date: '2026-10-20', start_time: '09:00' }] } };
+        }
+        return { status: 200, data: { data: UPSTREAM[path] } };
+      });
+    });
+
+    const calledPaths = () => axios.request.mock.calls.map(([config]) => config.url.replace(/^https?:\/\/[^/]+/, ''));
+
+    it('should only call the services the included sections need', async () => {
+      const response = await request(createApp()).get('/api/dashboard/client/c1?include=profile');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ profile: UPSTREAM['/api/users/c1'] });
+      expect(Object.keys(response.body.meta.sections)).toEqual(['profile']);
+      expect(calledPaths()).toEqual(['/api/users/c1']);
+    });
+
+    it('should pass limits upstream and project fields', async () => {
+      const response = await request(createApp())
+        .get('/api/dashboard/client/c1?include=profile,upcoming_bookings&fields=profile.name,upcoming_bookings.start_time&bookings_limit=3');
+
+      expect(calledPaths()).toContain('/api/bookings?client_id=c1&limit=3');
+      expect(response.body.data).toEqual({
+        profile: { name: 'Casey' },
+        upcoming_bookings: [{ start_time: '09:00' }]
+      });
+      expect(response.body.partial).toBe(false);
+    });
+
+    it('should load the sources a requested source depends on', async () => {
+      const app = express();
+      app.use((req, res, next) => {
+        req.user = { id: 'c1', role: 'client' };
+        next();
+      });
+      app.get('/api/dashboard/client/:id', createDashboard({
+        ...DEFINITION,
+        sources: context => ({
+          ...DEFINITION.sources(context),
+          bookings: {
+            service: 'schedule',
+            needs: ['profile'],
+            path: ({ profile }) => `/api/bookings?client_id=${context.params.id}&owner=${profile.data.name}`
+          }
+        })
+      }));
+
+      const response = await request(app).get('/api/dashboard/client/c1?include=upcoming_bookings');
+
+      expect(calledPaths()).toEqual(['/api/users/c1', '/api/bookings?client_id=c1&owner=Casey']);
+      expect(Object.keys(response.body.data)).toEqual(['upcoming_bookings']);
+      expect(Object.keys(response.body.meta.sections)).toEqual(['profile', 'bookings']);
+    });
+
+    it('should run sources with their own load function', async () => {
+      const app = express();
+      app.use((req, res, next) => {
+        req.user = { id: 'a1', role: 'admin' };
+        next();
+      });
+      app.get('/api/dashboard/admin', createDashboard({
+        name: 'Admin',
+        sources: () => ({
+          profile: {
+            service: 'user',
+            load: async ({ api, signal }) => {
+              const [first, second] = await Promise.all([
+                api.get('user', '/api/users/c1', { signal }),
+                api.get('user', '/api/analytics/client/c1', { signal })
+              ]);
+              return { name: first.data.data.name, streak: second.data.data.streak };
+            }
+          },
+          gateway: { service: 'gateway', load: async () => ({ uptime: 1 }) }
+        }),
+        sections: {
+          summary: { sources: ['profile'], build: ({ profile }) => profile || null },
+          gateway: { sources: ['gateway'], build: ({ gateway }) => gateway || null }
+        }
+      }));
+
+      const response = await request(app).get('/api/dashboard/admin');
+
+      expect(response.body.data).toEqual({ summary: { name: 'Casey', streak: 4 }, gateway: { uptime: 1 } });
+      expect(response.body.meta.sections.gateway).toMatchObject({ service: 'gateway', status: 'ok' });
+    });
+
+    it('should answer 400 for an invalid query without calling upstream', async () => {
+      const response = await request(createApp()).get('/api/dashboard/client/c1?include=nope');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_DASHBOARD_QUERY');
+      expect(response.body.error.fields[0]).toMatchObject({ field: 'include', code: 'UNKNOWN_SECTION' });
+      expect(axios.request).not.toHaveBeenCalled();
+    });
+
+    it('should answer 403 when the caller cannot view the dashboard', async () => {
+      const response = await request(createApp({ id: 'c2', role: 'client' })).get('/api/dashboard/client/c1');
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toMatchObject({ code: 'FORBIDDEN', message: 'Cannot access other client dashboards' });
+      expect(axios.request).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Section Helpers', () => {
+  // Late evening in UTC, already the next day in Berlin and still the same day in Los Angeles
+  const now = new Date('2026-10-19T23:30:00Z');
+
+  describe('Trainer Day', () => {
+    it('should prefer ?tz= over the profile timezone', () => {
+      expect(trainerDay({ timezone: 'America/Los_Angeles' }, 'Europe/Berlin', now))
+        .toEqual({ date: '2026-10-20', timezone: 'Europe/Berlin' });
+    });
+
+    it('should use the profile timezone without ?tz=', () => {
+      expect(trainerDay({ timezone: 'Europe/Berlin' }, undefined, now))
+        .toEqual({ date: '2026-10-20', timezone: 'Europe/Berlin' });
+    });
+
+    it('should fall back to UTC without a usable profile timezone', () => {
+      expect(trainerDay({ timezone: 'Mars/Olympus' }, undefined, now)).toEqual({ date: '2026-10-19', timezone: 'UTC' });
+      expect(trainerDay(undefined, undefined, now)).toEqual({ date: '2026-10-19', timezone: 'UTC' });
+    });
+  });
+
+  describe('Distinct Count', () => {
+    it('should count each value once, whatever its type', () => {
+      const programs = [{ client_id: 1 }, { client_id: '1' }, { client_id: 2 }, { client_id: null }, {}];
+
+      expect(distinctCount(programs, 'client_id')).toBe(2);
+      expect(distinctCount(undefined, 'client_id')).toBe(0);
+    });
+  });
+
+  describe('Bookings By Day', () => {
+    const bookings = [
+      { id: 'b1', booking_date: '2026-10-19' },
+      { id: 'b2', booking_date: '2026-10-19T15:00:00Z' },
+      { id: 'b3', booking_date: '2026-10-21' },
+      { id: 'b4', booking_date: '2026-10-26' },
+      { id: 'b5' }
+    ];
+
+    it('should keep only the bookings on a date', () => {
+      expect(bookingsOn(bookings, '2026-10-19').map(booking => booking.id)).toEqual(['b1', 'b2']);
+      expect(bookingsOn(undefined, '2026-10-19')).toEqual([]);
+    });
+
+    it('should count bookings for each day of the week, leaving out later ones', () => {
+      const week = bookingsByDay(bookings, '2026-10-19', 7);
+
+      expect(week).toHaveLength(7);
+      expect(week[0]).toEqual({ date: '2026-10-19', weekday: 'Mon', bookings: 2 });
+      expect(week[2]).toEqual({ date: '2026-10-21', weekday: 'Wed', bookings: 1 });
+      expect(week[6]).toEqual({ date: '2026-10-25', weekday: 'Sun', bookings: 0 });
+      expect(week.reduce((total, day) => total + day.bookings, 0)).toBe(3);
+    });
+  });
+
+  describe('Admin Blocks', () => {
+    // Totals are the upstream's pagination.total_count; here, the length of the query string
+    const createApi = () => ({
+      get: jest.fn(async (service, path) => ({ data: { data: [], pagination: { total_count: path.length } } }))
+    });
+    const signal = new AbortController().signal;
+
+    it('should count a listing over the last 7 and 30 days up to today in UTC', async () => {
+      const api = createApi();
+
+      const counts = await countByWindow(api, signal, 'progress', '/api/workout-logs', now);
+
+      const paths = api.get.mock.calls.map(([, path]) => path);
+      expect(paths).toEqual([
+        '/api/workout-logs?date_from=2026-10-13&date_to=2026-10-19&limit=1',
+        '/api/workout-logs?date_from=2026-09-20&date_to=2026-10-19&limit=1'
+      ]);
+      expect(counts).toEqual({ last_7_days: paths[0].length, last_30_days: paths[1].length });
+      expect(api.get.mock.calls[0][2]).toEqual({ signal });
+    });
+
+    it('should append the window to a path with a query', async () => {
+      const api = createApi();
+
+      await countByWindow(api, signal, 'schedule', '/api/bookings?status=completed', now);
+
+      expect(api.get.mock.calls[0][1]).toBe('/api/bookings?status=completed&date_from=2026-10-13&date_to=2026-10-19&limit=1');
+    });
+
+    it('should count bookings per status for each window', async () => {
+      const api = {
+        get: jest.fn(async (service, path) => ({ data: { pagination: { total_count: path.includes('2026-09-20') ? 30 : 7 } } }))
+      };
+
+      const block = await loadBookingsByStatus({ api, signal, now });
+
+      const perWindow = count => ({ scheduled: count, completed: count, cancelled: count, no_show: count });
+      expect(block).toEqual({ last_7_days: perWindow(7), last_30_days: perWindow(30), as_of: now.toISOString() });
+      expect(api.get).toHaveBeenCalledTimes(8);
+    });
+
+    it('should stamp each block with when it was loaded', async () => {
+      const api = createApi();
+
+      expect((await loadWorkoutLogCounts({ api, signal, now })).as_of).toBe(now.toISOString());
+      expect(await loadUnreadNotifications({ api, signal, now })).toEqual({
+        count: '/api/notifications?is_read=false&limit=1'.length,
+        as_of: now.toISOString()
+      });
+      expect(await loadGatewayUpstreams({ now })).toMatchObject({ services: expect.any(Object), as_of: now.toISOString() });
+    });
+
+    it('should stamp upstream health with when the probes ran', async () => {
+      const checkedAt = Date.parse('2026-10-19T23:29:55Z');
+      latestDependencies.mockResolvedValue({ status: 'healthy', dependencies: { redis: { status: 'up' } }, checkedAt });
+
+      expect(await loadUpstreamHealth()).toEqual({
+        status: 'healthy',
+        dependencies: { redis: { status: 'up' } },
+        as_of: '2026-10-19T23:29:55.000Z'
+      });
+    });
+  });
+});
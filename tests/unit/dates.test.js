@@ -0,0 +1,59 @@
+/**
+ * Unit tests for the calendar-date helpers used by the dashboards.
+ */
+
+const { isValidTimezone, localDate, addDays, weekday, datePart, isoWeek, isoWeekStart } = require('../../src/utils/dates');
+
+describe('Dates', () => {
+  it('should accept IANA timezones only', () => {
+    expect(isValidTimezone('Europe/Berlin')).toBe(true);
+    expect(isValidTimezone('UTC')).toBe(true);
+    expect(isValidTimezone('Mars/Base')).toBe(false);
+    expect(isValidTimezone('')).toBe(false);
+    expect(isValidTimezone(undefined)).toBe(false);
+  });
+
+  it('should give the calendar date in the timezone rather than UTC', () => {
+    const now = new Date('2026-10-19T22:30:00Z');
+
+    expect(localDate('UTC', now)).toBe('2026-10-19');
+    expect(localDate('Pacific/Auckland', now)).toBe('2026-10-20');
+    expect(localDate('America/Los_Angeles', new Date('2026-10-19T05:00:00Z'))).toBe('2026-10-18');
+  });
+
+  it('should add days across month, year and DST boundaries', () => {
+    expect(addDays('2026-10-30', 3)).toBe('2026-11-02');
+    expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+    expect(addDays('2026-03-29', 1)).toBe('2026-03-30');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+  });
+
+  it('should name the weekday of a date', () => {
+    expect(weekday('2026-10-19')).toBe('Mon');
+    expect(weekday('2026-10-25')).toBe('Sun');
+  });
+
+  it('should take the date part of dates and timestamps', () => {
+    expect(datePart('2026-10-19')).toBe('2026-10-19');
+    expect(datePart('2026-10-19T23:00:00.000Z')).toBe('2026-10-19');
+    expect(datePart('tomorrow')).toBeNull();
+    expect(datePart(null)).toBeNull();
+  });
+
+  it('should give the ISO week of a date, including weeks that straddle a year', () => {
+    expect(isoWeek('2026-10-19')).toBe('2026-W43');
+    expect(isoWeek('2026-10-25')).toBe('2026-W43');
+    expect(isoWeek('2027-01-01')).toBe('2026-W53');
+    expect(isoWeek('2024-12-30')).toBe('2025-W01');
+  });
+
+  it('should find the Monday of an ISO week and reject weeks that do not exist', () => {
+    expect(isoWeekStart('2026-W43')).toBe('2026-10-19');
+    expect(isoWeekStart('2025-W01')).toBe('2024-12-30');
+    expect(isoWeekStart('2026-W53')).toBe('2026-12-28');
+    expect(isoWeekStart('2025-W53')).toBeNull();
+    expect(isoWeekStart('2026-W00')).toBeNull();
+    expect(isoWeekStart('2026-43')).toBeNull();
+    expect(isoWeekStart(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * Unit tests for the declarative gateway config: schema validation, loading and hot reload.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Poll quickly so reload tests stay short; read when the module loads
+process.env.GATEWAY_CONFIG_WATCH_INTERVAL_MS = '50';
+
+const {
+  CONFIG_FILE,
+  GatewayConfigError,
+  validateGatewayConfig,
+  loadGatewayConfig,
+  applyServices,
+  watchGatewayConfig
+} = require('../../src/config/gatewayConfig');
+const services = require('../../src/config/services');
+
+const hooks = ['revokeTokens'];
+
+const validConfig = () => ({
+  services: {
+    user: 'http://user-service:3001',
+    training: 'http://training-service:3002',
+    schedule: 'http://schedule-service:8003',
+    progress: 'http://progress-service:8004',
+    notification: 'http://notification-service:3005'
+  },
+  routes: [
+    { path: '/api/auth', service: 'user', auth: 'public', onResponse: 'revokeTokens' },
+    { path: '/api/goals', service: 'progress', auth: ['client', 'trainer'], pathRewrite: { '^/api/goals': '/goals' } },
+    { path: '/api/programs', service: 'progress', auth: 'authenticated', cache: { ttl: 60, perUser: true } }
+  ]
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls until the assertion passes or the timeout runs out
+const eventually = async (assertion, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return assertion();
+    } catch (error) {
+      if (Date.now() > deadline) {
+        throw error;
+      }
+      await wait(25);
+    }
+  }
+};
+
+describe('Gateway Config', () => {
+  describe('Schema Validation', () => {
+    it('should accept a valid config', () => {
+      expect(validateGatewayConfig(validConfig(), { hooks })).toEqual([]);
+    });
+
+    it('should accept the bundled config file', () => {
+      const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+      expect(validateGatewayConfig(config, { hooks })).toEqual([]);
+    });
+
+    it('should reject routes pointing at unknown services', () => {
+      const config = validConfig();
+      config.routes[1].service = 'goals';
+
+      expect(validateGatewayConfig(config, { hooks })).toEqual([
+        expect.stringContaining('routes[1].service must be one of the configured services')
+      ]);
+    });
+
+    it('should reject missing required fields and unknown options', () => {
+      const config = validConfig();
+      config.routes.push({ path: '/api/extra', service: 'user', timeout: 5 });
+
+      const errors = validateGatewayConfig(config, { hooks });
+
+      expect(errors).toContain('routes[3].timeout is not a known route option');
+      expect(errors).toContain('routes[3].auth is required');
+    });
+
+    it('should reject invalid auth policies, cache options and rewrites', () => {
+      const config = validConfig();
+      config.routes[0].auth = ['superuser'];
+      config.routes[2].cache = { ttl: -1 };
+      config.routes[1].pathRewrite = { '^/api/(goals': '/goals' };
+
+      const errors = validateGatewayConfig(config, { hooks });
+
+      expect(errors).toHaveLength(3);
+      expect(errors[0]).toContain('routes[0].auth');
+      expect(errors[1]).toContain('routes[1].pathRewrite');
+      expect(errors[2]).toContain('routes[2].cache');
+    });
+
+    it('should validate idempotency options', () => {
+      const config = validConfig();
+      config.routes[0].idempotency = { ttl: 86400 };
+      config.routes[1].idempotency = { ttl: 0 };
+      config.routes[2].idempotency = { ttl: 60, methods: ['PUT'] };
+
+      const errors = validateGatewayConfig(config, { hooks });
+
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toContain('routes[1].idempotency');
+      expect(errors[1]).toContain('routes[2].idempotency');
+    });
+
+    it('should reject unknown response hooks', () => {
+      const config = validConfig();
+      config.routes[0].onResponse = 'deleteEverything';
+
+      expect(validateGatewayConfig(config, { hooks })[0]).toContain('routes[0].onResponse');
+    });
+
+    it('should accept services with several instances and a strategy', () => {
+      const config = validConfig();
+      config.services.progress = {
+        instances: ['http://progress-1:8004', 'http://progress-2:8004'],
+        strategy: 'least-outstanding'
+      };
+
+      expect(validateGatewayConfig(config, { hooks })).toEqual([]);
+    });
+
+    it('should reject empty instance lists and unknown strategies', () => {
+      const config = validConfig();
+      config.services.progress = { instances: [], strategy: 'random' };
+
+      expect(validateGatewayConfig(config, { hooks })).toEqual([
+        'services.progress.instances must be a non-empty list of http(s) URLs',
+        'services.progress.strategy must be one of round-robin, least-outstanding, consistent-hash'
+      ]);
+    });
+
+    it('should accept API versions with per-version route overrides', () => {
+      const config = validConfig();
+      config.versions = {
+        default: 'v1',
+        available: { v1: { deprecated: '2026-10-01', sunset: '2027-04-01' }, v2: {} }
+      };
+      config.routes[1].versions = { v2: { pathRewrite: { '^/api/goals': '/v2/goals' } } };
+
+      expect(validateGatewayConfig(config, { hooks })).toEqual([]);
+    });
+
+    it('should reject bad version options and overrides for unknown versions', () => {
+      const config = validConfig();
+      config.versions = { default: 'v3', available: { v1: { sunset: 'someday' }, beta: {} } };
+      config.routes[1].versions = { v2: { service: 'progress' } };
+
+      expect(validateGatewayConfig(config, { hooks })).toEqual([
+        'versions.available.v1.sunset must be a date',
+        'versions.available.beta must be named like v1',
+        'versions.default must be one of the available versions',
+        'routes[1].versions v2 is not a configured API version'
+      ]);
+    });
+
+    it('should require every core service', () => {
+      const config = validConfig();
+      config.services = { user: 'http://user-service:3001' };
+      config.routes = [config.routes[0]];
+
+      expect(validateGatewayConfig(config, { hooks })).toEqual([
+        'services.training is required',
+        'services.schedule is required',
+        'services.progress is required',
+        'services.notification is required'
+      ]);
+    });
+
+    it('should reject duplicate paths and bad service URLs', () => {
+      const config = validConfig();
+      config.services.user = 'not a url';
+      config.routes.push({ path: '/api/auth', service: 'user', auth: 'public' });
+
+      const errors = validateGatewayConfig(config, { hooks });
+
+      expect(errors).toContain('services.user must be an http(s) URL');
+      expect(errors).toContain('routes[3].path /api/auth is defined more than once');
+    });
+  });
+
+  describe('Loading', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-config-'));
+      file = path.join(dir, 'gateway.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should load a valid file', () => {
+      fs.writeFileSync(file, JSON.stringify(validConfig()));
+
+      const config = loadGatewayConfig(file, { hooks });
+
+      expect(config.routes).toHaveLength(3);
+      expect(config.services.progress).toBe(process.env.PROGRESS_SERVICE_URL);
+      expect(config.versions).toEqual({ default: 'v1', available: { v1: {} } });
+    });
+
+    it('should let <SERVICE>_SERVICE_URL override the file', () => {
+      const config = validConfig();
+      config.services.billing = 'http://billing:9000';
+      fs.writeFileSync(file, JSON.stringify(config));
+
+      process.env.BILLING_SERVICE_URL = 'http://localhost:9999';
+      try {
+        expect(loadGatewayConfig(file, { hooks }).services.billing).toBe('http://localhost:9999');
+      } finally {
+        delete process.env.BILLING_SERVICE_URL;
+      }
+    });
+
+    it('should expose each service as instances plus its first URL', () => {
+      const config = validConfig();
+      config.services.billing = { instances: ['http://billing-1:9000', 'http://billing-2:9000'], strategy: 'consistent-hash' };
+      fs.writeFileSync(file, JSON.stringify(config));
+
+      const loaded = loadGatewayConfig(file, { hooks });
+
+      expect(loaded.services.billing).toBe('http://billing-1:9000');
+      expect(loaded.upstreams.billing).toEqual({
+        instances: ['http://billing-1:9000', 'http://billing-2:9000'],
+        strategy: 'consistent-hash'
+      });
+      expect(loaded.upstreams.user.strategy).toBe('round-robin');
+    });
+
+    it('should accept a comma-separated instance list from the environment', () => {
+      fs.writeFileSync(file, JSON.stringify(validConfig()));
+      const original = process.env.PROGRESS_SERVICE_URL;
+
+      process.env.PROGRESS_SERVICE_URL = 'http://p1:8004, http://p2:8004';
+      try {
+        expect(loadGatewayConfig(file, { hooks }).upstreams.progress.instances).toEqual(['http://p1:8004', 'http://p2:8004']);
+      } finally {
+        process.env.PROGRESS_SERVICE_URL = original;
+      }
+    });
+
+    it('should throw GatewayConfigError for unparseable files', () => {
+      fs.writeFileSync(file, '{ "routes": [');
+
+      expect(() => loadGatewayConfig(file, { hooks })).toThrow(GatewayConfigError);
+    });
+
+    it('should list every schema error', () => {
+      const config = validConfig();
+      delete config.routes[0].auth;
+      config.routes[1].service = 'goals';
+      fs.writeFileSync(file, JSON.stringify(config));
+
+      try {
+        loadGatewayConfig(file, { hooks });
+        throw new Error('expected loadGatewayConfig to throw');
+      } catch (error) {
+        expect(error).toBeInstanceOf(GatewayConfigError);
+        expect(error.errors).toHaveLength(2);
+      }
+    });
+
+    it('should update the shared services map in place', () => {
+      const original = { ...services };
+
+      try {
+        applyServices({ services: { user: 'http://a:1', goals: 'http://b:2' } });
+
+        expect(services).toEqual({ user: 'http://a:1', goals: 'http://b:2' });
+      } finally {
+        Object.keys(services).forEach(name => delete services[name]);
+        Object.assign(services, original);
+      }
+    });
+  });
+
+  describe('Hot Reload', () => {
+    let dir;
+    let file;
+    let stop;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-config-'));
+      file = path.join(dir, 'gateway.json');
+      fs.writeFileSync(file, JSON.stringify(validConfig()));
+    });
+
+    afterEach(() => {
+      stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Rewrites the file with a distinct mtime so the poller sees a change
+    const rewrite = (content) => {
+      fs.writeFileSync(file, content);
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(file, later, later);
+    };
+
+    it('should pass each new valid config to the listener', async () => {
+      const onChange = jest.fn();
+      stop = watchGatewayConfig(file, { hooks }, onChange);
+
+      const config = validConfig();
+      config.routes.push({ path: '/api/achievements', service: 'progress', auth: 'authenticated' });
+      rewrite(JSON.stringify(config));
+
+      await eventually(() => expect(onChange).toHaveBeenCalled());
+      expect(onChange.mock.calls.pop()[0].routes).toHaveLength(4);
+    });
+
+    it('should keep the last good config when a change drops a core service', async () => {
+      const onChange = jest.fn();
+      stop = watchGatewayConfig(file, { hooks }, onChange);
+
+      const config = validConfig();
+      delete config.services.schedule;
+      rewrite(JSON.stringify(config));
+      await wait(300);
+
+      expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('should ignore an invalid file and keep the last good config', async () => {
+      const onChange = jest.fn();
+      stop = watchGatewayConfig(file, { hooks }, onChange);
+
+      rewrite('{ "routes": "nope" }');
+      await wait(300);
+
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
+});
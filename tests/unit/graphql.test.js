@@ -0,0 +1,282 @@
+/**
+ * Unit tests for the GraphQL schema: batching through the per-request loader,
+ * field-level access rules, and depth, cost and upstream call limits.
+ */
+
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const { graphql, parse, validate, specifiedRules } = require('graphql');
+const { schema, MAX_LIMIT } = require('../../src/graphql/schema');
+const { createLoaders } = require('../../src/graphql/loaders');
+const { queryLimits } = require('../../src/graphql/limits');
+const { graphqlHandler } = require('../../src/graphql');
+const { CircuitOpenError } = require('../../src/utils/circuitBreaker');
+
+jest.mock('axios');
+
+const users = {
+  'client-1': { id: 'client-1', role: 'client', first_name: 'Casey' },
+  'client-2': { id: 'client-2', role: 'client', first_name: 'Robin' },
+  'trainer-1': { id: 'trainer-1', role: 'trainer', first_name: 'Tess' },
+  'trainer-2': { id: 'trainer-2', role: 'trainer', first_name: 'Alex' }
+};
+
+const notFound = () => Object.assign(new Error('Not found'), { response: { status: 404 } });
+
+// Stand-in for upstream.forRequest(req) answering from fixed records
+function createApi({ failing = {}, listByIds = true } = {}) {
+  return {
+    get: jest.fn((service, path) => {
+      if (failing[service]) {
+        return Promise.reject(failing[service]);
+      }
+      const [pathname, search = ''] = path.split('?');
+      const query = new URLSearchParams(search);
+      const ok = (data, extra = {}) => Promise.resolve({ data: { success: true, data, ...extra } });
+
+      if (pathname.startsWith('/api/users/')) {
+        const user = users[decodeURIComponent(pathname.split('/').pop())];
+        return user ? ok(user) : Promise.reject(notFound());
+      }
+      if (pathname === '/api/users' && query.has('ids')) {
+        const ids = query.get('ids').split(',');
+        return listByIds
+          ? ok(Object.values(users).filter(user => ids.includes(user.id)))
+          : Promise.reject(Object.assign(new Error('Bad request'), { response: { status: 400 } }));
+      }
+      if (pathname === '/api/users') {
+        return ok(Object.values(users).filter(user => !query.get('role') || user.role === query.get('role')),
+          { pagination: { total_count: 4 } });
+      }
+      if (pathname === '/api/bookings') {
+        return ok(['b1', 'b2', 'b3'].map(id => ({
+          id,
+          client_id: query.get('client_id') || 'client-1',
+          trainer_id: query.get('trainer_id') || 'trainer-1'
+        })));
+      }
+      return Promise.reject(notFound());
+    })
+  };
+}
+
+const run = (viewer, source, api = createApi(), options) => graphql({
+  schema,
+  source,
+  contextValue: { user: viewer, loaders: createLoaders(api, options) }
+});
+
+const client = { id: 'client-1', role: 'client' };
+const trainer = { id: 'trainer-1', role: 'trainer' };
+const admin = { id: 'admin-1', role: 'admin' };
+
+const errorCodes = (result) => (result.errors || []).map(error => error.extensions.code);
+
+describe('GraphQL', () => {
+  describe('Batching', () => {
+    it('should fetch each related user once per request', async () => {
+      const api = createApi();
+
+      const result = await run(client, '{ me { bookings { trainer { first_name } client { first_name } } } }', api);
+
+      expect(result.errors).toBeUndefined();
+      expect(result.data.me.bookings).toHaveLength(3);
+      expect(result.data.me.bookings[0].trainer.first_name).toBe('Tess');
+      const paths = api.get.mock.calls.map(call => call[1]);
+      expect(paths.filter(path => path === '/api/users/trainer-1')).toHaveLength(1);
+      expect(paths.filter(path => path === '/api/users/client-1')).toHaveLength(1);
+    });
+
+    it('should reuse records from list responses for lookups by id', async () => {
+      const api = createApi();
+
+      await run(admin, '{ users(role: client) { bookings { client { first_name } } } }', api);
+
+      expect(api.get.mock.calls.map(call => call[1]).filter(path => path.startsWith('/api/users/'))).toEqual([]);
+    });
+
+    it('should not share the cache between requests', async () => {
+      const api = createApi();
+
+      await run(client, '{ me { id } }', api);
+      await run(client, '{ me { id } }', api);
+
+      expect(api.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should look up users asked for together in one call', async () => {
+      const api = createApi();
+
+      const result = await run(admin, '{ a: user(id: "client-1") { id } b: user(id: "trainer-2") { id } c: user(id: "nobody") { id } }', api);
+
+      expect(result.data).toEqual({ a: { id: 'client-1' }, b: { id: 'trainer-2' }, c: null });
+      expect(api.get.mock.calls.map(call => call[1])).toEqual([
+        '/api/users?ids=client-1,trainer-2,nobody&limit=3',
+        '/api/users/nobody'
+      ]);
+    });
+
+    it('should look users up one by one when the list call fails', async () => {
+      const api = createApi({ listByIds: false });
+
+      const result = await run(admin, '{ a: user(id: "client-1") { id } b: user(id: "trainer-2") { id } }', api);
+
+      expect(result.data).toEqual({ a: { id: 'client-1' }, b: { id: 'trainer-2' } });
+      expect(api.get.mock.calls.map(call => call[1])).toEqual([
+        '/api/users?ids=client-1,trainer-2&limit=2',
+        '/api/users/client-1',
+        '/api/users/trainer-2'
+      ]);
+    });
+
+    it('should cap list limits', async () => {
+      const api = createApi();
+
+      await run(admin, '{ bookings(client_id: "client-1", limit: 5000) { id } }', api);
+
+      expect(api.get).toHaveBeenCalledWith('schedule', `/api/bookings?client_id=client-1&limit=${MAX_LIMIT}`);
+    });
+  });
+
+  describe('Field Access', () => {
+    it('should let clients read their own records', async () => {
+      const result = await run(client, '{ me { bookings { id } } }');
+
+      expect(result.errors).toBeUndefined();
+    });
+
+    it('should hide another client\'s records from a client but keep the profile', async () => {
+      const result = await run(client, '{ user(id: "client-2") { first_name bookings { id } } }');
+
+      expect(result.data.user).toEqual({ first_name: 'Robin', bookings: null });
+      expect(errorCodes(result)).toEqual(['FORBIDDEN']);
+      expect(result.errors[0].path).toEqual(['user', 'bookings']);
+    });
+
+    it('should let trainers read client records but not another trainer\'s', async () => {
+      const clientRecords = await run(trainer, '{ user(id: "client-2") { bookings { id } } }');
+      const trainerRecords = await run(trainer, '{ user(id: "trainer-2") { bookings { id } } }');
+
+      expect(clientRecords.errors).toBeUndefined();
+      expect(errorCodes(trainerRecords)).toEqual(['FORBIDDEN']);
+    });
+
+    it('should require list queries to be scoped to someone the caller can see', async () => {
+      const unscoped = await run(client, '{ bookings { id } }');
+      const otherClient = await run(client, '{ bookings(client_id: "client-2") { id } }');
+      const ownTrainer = await run(trainer, '{ bookings(trainer_id: "trainer-1") { id } }');
+      const everything = await run(admin, '{ bookings { id } }');
+
+      expect(errorCodes(unscoped)).toEqual(['FORBIDDEN']);
+      expect(errorCodes(otherClient)).toEqual(['FORBIDDEN']);
+      expect(ownTrainer.errors).toBeUndefined();
+      expect(everything.errors).toBeUndefined();
+    });
+
+    it('should only let trainers list clients', async () => {
+      const clients = await run(trainer, '{ users(role: client) { id } }');
+      const trainers = await run(trainer, '{ users(role: trainer) { id } }');
+
+      expect(clients.data.users).toHaveLength(2);
+      expect(errorCodes(trainers)).toEqual(['FORBIDDEN']);
+    });
+
+    it('should restrict stats to admins', async () => {
+      const forTrainer = await run(trainer, '{ stats { total_users } }');
+      const forAdmin = await run(admin, '{ stats { total_users } }');
+
+      expect(errorCodes(forTrainer)).toEqual(['FORBIDDEN']);
+      expect(forAdmin.data.stats.total_users).toBe(4);
+    });
+
+    it('should keep notifications private to their owner', async () => {
+      const result = await run(trainer, '{ user(id: "client-1") { notifications { id } } }');
+
+      expect(errorCodes(result)).toEqual(['FORBIDDEN']);
+    });
+  });
+
+  describe('Upstream Failures', () => {
+    it('should resolve unknown records to null', async () => {
+      const result = await run(admin, '{ user(id: "nobody") { id } }');
+
+      expect(result.errors).toBeUndefined();
+      expect(result.data.user).toBeNull();
+    });
+
+    it('should report an open circuit on the affected field only', async () => {
+      const api = createApi({ failing: { schedule: new CircuitOpenError('schedule', 30) } });
+
+      const result = await run(client, '{ me { first_name bookings { id } } }', api);
+
+      expect(result.data.me).toEqual({ first_name: 'Casey', bookings: null });
+      expect(result.errors[0].extensions).toMatchObject({ code: 'SERVICE_UNAVAILABLE', service: 'schedule', retryAfterSeconds: 30 });
+    });
+
+    it('should report other failures as upstream errors', async () => {
+      const api = createApi({ failing: { user: Object.assign(new Error('boom'), { response: { status: 500 } }) } });
+
+      const result = await run(client, '{ me { id } }', api);
+
+      expect(result.errors[0].extensions).toMatchObject({ code: 'UPSTREAM_ERROR', service: 'user', status: 500 });
+    });
+  });
+
+  describe('Limits', () => {
+    const limitErrors = (source, limits) => validate(schema, parse(source), [...specifiedRules, queryLimits(limits)])
+      .map(error => error.extensions.code);
+
+    it('should refuse operations nested too deep', () => {
+      expect(limitErrors('{ me { programs { trainer { id } } } }', { maxDepth: 4 })).toEqual([]);
+      expect(limitErrors('{ me { programs { trainer { bookings { id } } } } }', { maxDepth: 4 })).toEqual(['QUERY_TOO_DEEP']);
+    });
+
+    it('should count the depth of fragments', () => {
+      const source = '{ me { ...Deep } } fragment Deep on User { programs { trainer { bookings { id } } } }';
+
+      expect(limitErrors(source, { maxDepth: 4 })).toEqual(['QUERY_TOO_DEEP']);
+    });
+
+    it('should price lists by their limit', () => {
+      // 1 + 10 bookings, each with a client: 21
+      expect(limitErrors('{ me { bookings(limit: 10) { client { id } } } }', { maxCost: 21 })).toEqual([]);
+      expect(limitErrors('{ me { bookings(limit: 11) { client { id } } } }', { maxCost: 21 })).toEqual(['QUERY_TOO_COMPLEX']);
+    });
+
+    it('should price a limit from a variable as the largest allowed', () => {
+      const source = 'query ($n: Int) { me { bookings(limit: $n) { id } } }';
+
+      expect(limitErrors(source, { maxCost: MAX_LIMIT })).toEqual(['QUERY_TOO_COMPLEX']);
+    });
+
+    it('should stop resolving fields past the upstream call cap', async () => {
+      const api = createApi();
+
+      const result = await run(admin, '{ a: user(id: "client-1") { id } b: program(id: "p1") { id } c: booking(id: "b1") { id } }', api, {
+        maxCalls: 2
+      });
+
+      expect(api.get).toHaveBeenCalledTimes(2);
+      expect(errorCodes(result)).toEqual(['UPSTREAM_CALL_LIMIT']);
+      expect(result.data.a).toEqual({ id: 'client-1' });
+    });
+
+    it('should answer 400 before calling any service', async () => {
+      const app = express();
+      app.use(express.json());
+      app.post('/graphql', (req, res, next) => {
+        req.user = admin;
+        next();
+      }, graphqlHandler);
+
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query: '{ users(limit: 100) { bookings(limit: 100) { client { programs { id } } } } }' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map(error => error.extensions.code)).toEqual(['QUERY_TOO_COMPLEX']);
+      expect(axios.request).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for dependency health probes and readiness.
+ */
+
+const axios = require('axios');
+const { getRedisClient } = require('../../src/config/redis');
+const {
+  setReady,
+  checkDependencies,
+  latestDependencies,
+  checkReadiness,
+  overallStatus
+} = require('../../src/utils/healthCheck');
+
+jest.mock('axios');
+jest.mock('../../src/config/redis', () => ({ getRedisClient: jest.fn() }));
+
+function mockServices(downServices = []) {
+  axios.get.mockImplementation((url) => {
+    const down = downServices.some(port => url.includes(`:${port}/`));
+    return down ? Promise.reject(new Error('connect ECONNREFUSED')) : Promise.resolve({ status: 200 });
+  });
+}
+
+describe('Dependency Health', () => {
+  beforeEach(() => {
+    getRedisClient.mockReturnValue({ isReady: true, ping: jest.fn().mockResolvedValue('PONG') });
+  });
+
+  it('should probe every service health endpoint with a timeout', async () => {
+    mockServices();
+
+    await checkDependencies();
+
+    expect(axios.get).toHaveBeenCalledTimes(5);
+    expect(axios.get).toHaveBeenCalledWith('http://localhost:8004/health', { timeout: 2000 });
+  });
+
+  it('should report healthy with status and latency for each dependency', async () => {
+    mockServices();
+
+    const report = await checkDependencies();
+
+    expect(report.status).toBe('healthy');
+    expect(Object.keys(report.dependencies)).toEqual(['user', 'training', 'schedule', 'progress', 'notification', 'redis']);
+    expect(report.dependencies.schedule).toMatchObject({ status: 'up', critical: false, circuit: 'closed' });
+    expect(typeof report.dependencies.schedule.latency_ms).toBe('number');
+  });
+
+  it('should report degraded when a non-critical service is down', async () => {
+    mockServices([8004]);
+
+    const report = await checkDependencies();
+
+    expect(report.status).toBe('degraded');
+    expect(report.dependencies.progress.status).toBe('down');
+    expect(report.dependencies.progress.error).toContain('ECONNREFUSED');
+  });
+
+  it('should report down when a critical service is down', async () => {
+    mockServices([3001]);
+
+    const report = await checkDependencies();
+
+    expect(report.status).toBe('down');
+  });
+
+  it('should report Redis down when it is disconnected', async () => {
+    mockServices();
+    getRedisClient.mockReturnValue({ isReady: false });
+
+    const report = await checkDependencies();
+
+    expect(report.dependencies.redis.status).toBe('down');
+    expect(report.status).toBe('degraded');
+  });
+
+  it('should time out a hanging probe', async () => {
+    mockServices();
+    getRedisClient.mockReturnValue({ isReady: true, ping: () => new Promise(() => {}) });
+
+    const report = await checkDependencies();
+
+    expect(report.dependencies.redis.status).toBe('down');
+    expect(report.dependencies.redis.error).toContain('Timed out');
+  });
+});
+
+describe('Cached Report', () => {
+  beforeEach(() => {
+    getRedisClient.mockReturnValue({ isReady: true, ping: jest.fn().mockResolvedValue('PONG') });
+    mockServices();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should reuse a recent report without probing again', async () => {
+    const report = await checkDependencies();
+    axios.get.mockClear();
+
+    await expect(latestDependencies()).resolves.toBe(report);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  it('should share one probe between concurrent callers once the report is stale', async () => {
+    await checkDependencies();
+    axios.get.mockClear();
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60000);
+
+    const [first, second] = await Promise.all([latestDependencies(), latestDependencies()]);
+
+    expect(first).toBe(second);
+    expect(axios.get).toHaveBeenCalledTimes(5);
+  });
+});
+
+describe('Overall Status', () => {
+  it('should be healthy when everything is up', () => {
+    expect(overallStatus({ a: { status: 'up', critical: true } })).toBe('healthy');
+  });
+
+  it('should ignore critical flags on healthy dependencies', () => {
+    expect(overallStatus({ a: { status: 'up', critical: true }, b: { status: 'down', critical: false } })).toBe('degraded');
+  });
+});
+
+describe('Readiness', () => {
+  beforeEach(() => {
+    getRedisClient.mockReturnValue({ isReady: true, ping: jest.fn().mockResolvedValue('PONG') });
+  });
+
+  it('should not be ready before the server accepts traffic', async () => {
+    setReady(false);
+
+    const readiness = await checkReadiness();
+
+    expect(readiness.ready).toBe(false);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  it('should be ready once accepting traffic with critical services up', async () => {
+    mockServices([8004]);
+    setReady(true);
+
+    await checkDependencies();
+    const readiness = await checkReadiness();
+
+    expect(readiness).toEqual({ ready: true, status: 'degraded' });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for Idempotency-Key handling on POST/PATCH routes.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createIdempotency } = require('../../src/middleware/idempotency');
+const { createFakeRedis } = require('../helpers/fakeRedis');
+
+// Upstream stand-in; `hold` keeps the next request open until released
+function createApp(client) {
+  const app = express();
+  const upstream = { calls: 0, status: 201, hold: null };
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: req.headers['x-test-user'] || 'user-1' };
+    next();
+  });
+  app.use('/api/bookings', createIdempotency('/api/bookings', { ttl: 3600 }, { getClient: () => client }), async (req, res) => {
+    upstream.calls++;
+    const call = upstream.calls;
+    if (upstream.hold) {
+      await upstream.hold;
+    }
+    res.status(upstream.status).location(`/api/bookings/${call}`).json({ success: upstream.status < 400, data: { call } });
+  });
+
+  return { app, upstream };
+}
+
+// Stores happen after the response is sent
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const booking = { trainer_id: 'trainer-1', booking_date: '2026-11-02' };
+
+describe('Idempotency Keys', () => {
+  let client;
+
+  beforeEach(() => {
+    client = createFakeRedis();
+  });
+
+  it('should replay the stored response for a repeated key', async () => {
+    const { app, upstream } = createApp(client);
+
+    const first = await request(app).post('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking);
+    await flush();
+    const second = await request(app).post('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking);
+
+    expect(upstream.calls).toBe(1);
+    expect(second.status).toBe(201);
+    expect(second.body).toEqual(first.body);
+    expect(second.headers.location).toBe('/api/bookings/1');
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  it('should store responses for the configured ttl', async () => {
+    const { app } = createApp(client);
+
+    await request(app).post('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking);
+    await flush();
+
+    expect(client.set).toHaveBeenLastCalledWith(expect.stringMatching(/^idem:\/api\/bookings:/), expect.any(String), { EX: 3600 });
+    expect(JSON.parse([...client.values.values()][0])).toMatchObject({ state: 'completed', status: 201 });
+  });
+
+  it('should answer 409 to a duplicate while the first request is running', async () => {
+    const { app, upstream } = createApp(client);
+    let release;
+    upstream.hold = new Promise((resolve) => {
+      release = resolve;
+    });
+
+    const first = request(app).post('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking).then(res => res);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const duplicate = await request(app).post('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking);
+    release();
+
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error.code).toBe('IDEMPOTENCY_KEY_IN_USE');
+    expect(duplicate.headers['retry-after']).toBe('1');
+    expect((await first).status).toBe(201);
+    expect(upstream.calls).toBe(1);
+  });
+
+  it('should answer 409 when a key is reused with a different body', async () => {
+    const { app, upstream } = createApp(client);
+
+    await request(app).post('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking);
+    await flush();
+    const reused = await request(app).post('/api/bookings').set('Idempotency-Key', 'abc-123').send({ ...booking, booking_date: '2026-11-03' });
+
+    expect(reused.status).toBe(409);
+    expect(reused.body.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(upstream.calls).toBe(1);
+  });
+
+  it('should keep keys separate per caller', async () => {
+    const { app, upstream } = createApp(client);
+
+    await request(app).post('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking);
+    await flush();
+    const other = await request(app).post('/api/bookings').set('Idempotency-Key', 'abc-123').set('X-Test-User', 'user-2').send(booking);
+
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(upstream.calls).toBe(2);
+  });
+
+  it('should release the key after a server error so the client can retry', async () => {
+    const { app, upstream } = createApp(client);
+    upstream.status = 503;
+
+    await request(app).post('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking);
+    await flush();
+    upstream.status = 201;
+    const retry = await request(app).post('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking);
+
+    expect(retry.status).toBe(201);
+    expect(upstream.calls).toBe(2);
+  });
+
+  it('should release the key after a 409 or 429 so the client can retry', async () => {
+    const { app, upstream } = createApp(client);
+
+    for (const status of [409, 429]) {
+      upstream.status = status;
+      await request(app).post('/api/bookings').set('Idempotency-Key', `key-${status}`).send(booking);
+      await flush();
+      upstream.status = 201;
+      const retry = await request(app).post('/api/bookings').set('Idempotency-Key', `key-${status}`).send(booking);
+
+      expect(retry.status).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    }
+    expect(upstream.calls).toBe(4);
+  });
+
+  it('should store client errors like any other response', async () => {
+    const { app, upstream } = createApp(client);
+    upstream.status = 400;
+
+    await request(app).post('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking);
+    await flush();
+    const repeat = await request(app).post('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking);
+
+    expect(repeat.status).toBe(400);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(upstream.calls).toBe(1);
+  });
+
+  it('should reject malformed keys', async () => {
+    const { app, upstream } = createApp(client);
+
+    const response = await request(app).post('/api/bookings').set('Idempotency-Key', 'x'.repeat(256)).send(booking);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    expect(upstream.calls).toBe(0);
+  });
+
+  it('should ignore requests without a key, other methods and an unavailable Redis', async () => {
+    const { app, upstream } = createApp(client);
+    const offline = createApp({ isReady: false });
+
+    await request(app).post('/api/bookings').send(booking);
+    await request(app).post('/api/bookings').send(booking);
+    await request(app).put('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking);
+    await request(app).put('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking);
+    await request(offline.app).post('/api/bookings').set('Idempotency-Key', 'abc-123').send(booking);
+
+    expect(upstream.calls).toBe(4);
+    expect(offline.upstream.calls).toBe(1);
+    expect(client.set).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for the JWKS signing key cache.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { createJwksClient } = require('../../src/utils/jwks');
+
+jest.mock('axios');
+
+function jwkFor(kid, type = 'rsa') {
+  const { publicKey } = type === 'ec'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig' };
+}
+
+const keyOne = jwkFor('key-1');
+const keyTwo = jwkFor('key-2', 'ec');
+
+describe('JWKS Client', () => {
+  const uri = 'http://localhost:3001/.well-known/jwks.json';
+
+  it('should fetch keys on first use and cache them', async () => {
+    axios.get.mockResolvedValue({ data: { keys: [keyOne] } });
+    const client = createJwksClient({ uri });
+
+    const first = await client.getSigningKey('key-1');
+    const second = await client.getSigningKey('key-1');
+
+    expect(first.asymmetricKeyType).toBe('rsa');
+    expect(second).toBe(first);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get).toHaveBeenCalledWith(uri, expect.objectContaining({ timeout: 5000 }));
+  });
+
+  it('should refresh when a token names an unknown kid after rotation', async () => {
+    axios.get
+      .mockResolvedValueOnce({ data: { keys: [keyOne] } })
+      .mockResolvedValueOnce({ data: { keys: [keyOne, keyTwo] } });
+    const client = createJwksClient({ uri, minRefreshIntervalMs: 0 });
+
+    await client.getSigningKey('key-1');
+    const rotated = await client.getSigningKey('key-2');
+
+    expect(rotated.asymmetricKeyType).toBe('ec');
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('should throttle refreshes for unknown kids', async () => {
+    axios.get.mockResolvedValue({ data: { keys: [keyOne] } });
+    const client = createJwksClient({ uri, minRefreshIntervalMs: 60000 });
+
+    await client.getSigningKey('key-1');
+    await expect(client.getSigningKey('forged')).rejects.toThrow('No signing key found');
+    await expect(client.getSigningKey('forged')).rejects.toThrow('No signing key found');
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('should share one fetch between concurrent lookups', async () => {
+    axios.get.mockResolvedValue({ data: { keys: [keyOne] } });
+    const client = createJwksClient({ uri });
+
+    await Promise.all([client.getSigningKey('key-1'), client.getSigningKey('key-1')]);
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('should use the only key for tokens without a kid', async () => {
+    axios.get.mockResolvedValue({ data: { keys: [keyOne] } });
+    const client = createJwksClient({ uri });
+
+    await expect(client.getSigningKey(undefined)).resolves.toBeDefined();
+  });
+
+  it('should skip encryption keys', async () => {
+    axios.get.mockResolvedValue({ data: { keys: [{ ...keyOne, use: 'enc' }] } });
+    const client = createJwksClient({ uri });
+
+    await expect(client.getSigningKey('key-1')).rejects.toThrow('No signing key found');
+  });
+
+  it('should reject a document without keys', async () => {
+    axios.get.mockResolvedValue({ data: {} });
+    const client = createJwksClient({ uri });
+
+    await expect(client.getSigningKey('key-1')).rejects.toThrow('no keys array');
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Unit tests for upstream instance selection and passive ejection.
+ */
+
+const http = require('http');
+
+// Read when the module loads
+process.env.LB_FAILURE_THRESHOLD = '2';
+process.env.LB_EJECT_MS = '1000';
+
+const { LoadBalancer, configureUpstreams, getBalancer } = require('../../src/utils/loadBalancer');
+const upstream = require('../../src/utils/upstream');
+
+const A = 'http://schedule-a:8003';
+const B = 'http://schedule-b:8003';
+const C = 'http://schedule-c:8003';
+
+const pickUrls = (balancer, count, key) => Array.from({ length: count }, () => {
+  const instance = balancer.pick(key);
+  balancer.release(instance, false);
+  return instance.url;
+});
+
+describe('Load Balancer', () => {
+  describe('Round Robin', () => {
+    it('should rotate through instances', () => {
+      const balancer = new LoadBalancer('schedule', { instances: [A, B, C] });
+
+      expect(pickUrls(balancer, 6)).toEqual([A, B, C, A, B, C]);
+    });
+  });
+
+  describe('Least Outstanding', () => {
+    it('should prefer the instance with the fewest requests in flight', () => {
+      const balancer = new LoadBalancer('schedule', { instances: [A, B], strategy: 'least-outstanding' });
+
+      const first = balancer.pick();
+      const second = balancer.pick();
+      expect(first.url).not.toBe(second.url);
+
+      balancer.release(first, false);
+      expect(balancer.pick().url).toBe(first.url);
+
+      balancer.release(second, false);
+      expect(balancer.pick().url).toBe(second.url);
+    });
+  });
+
+  describe('Consistent Hash', () => {
+    it('should send the same user to the same instance', () => {
+      const balancer = new LoadBalancer('schedule', { instances: [A, B, C], strategy: 'consistent-hash' });
+
+      const urls = pickUrls(balancer, 5, 'user-42');
+
+      expect(new Set(urls).size).toBe(1);
+    });
+
+    it('should spread different users across instances', () => {
+      const balancer = new LoadBalancer('schedule', { instances: [A, B, C], strategy: 'consistent-hash' });
+
+      const urls = new Set(Array.from({ length: 50 }, (_, i) => pickUrls(balancer, 1, `user-${i}`)[0]));
+
+      expect(urls.size).toBe(3);
+    });
+
+    it('should only move users of an ejected instance', () => {
+      const balancer = new LoadBalancer('schedule', { instances: [A, B, C], strategy: 'consistent-hash' });
+      const users = Array.from({ length: 30 }, (_, i) => `user-${i}`);
+      const before = Object.fromEntries(users.map(user => [user, pickUrls(balancer, 1, user)[0]]));
+
+      balancer.instances[0].ejectedUntil = Date.now() + 1000;
+      const after = Object.fromEntries(users.map(user => [user, pickUrls(balancer, 1, user)[0]]));
+
+      users.forEach((user) => {
+        if (before[user] !== A) {
+          expect(after[user]).toBe(before[user]);
+        } else {
+          expect(after[user]).not.toBe(A);
+        }
+      });
+    });
+
+    it('should fall back to round robin without a key', () => {
+      const balancer = new LoadBalancer('schedule', { instances: [A, B], strategy: 'consistent-hash' });
+
+      expect(pickUrls(balancer, 2)).toEqual([A, B]);
+    });
+  });
+
+  describe('Passive Ejection', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should eject an instance after consecutive failures', () => {
+      const balancer = new LoadBalancer('schedule', { instances: [A, B] });
+      const a = balancer.instances[0];
+
+      balancer.release(balancer.pick(), true);
+      balancer.pick();
+      balancer.release(balancer.pick(), true);
+
+      expect(balancer.status()).toEqual([
+        { url: A, outstanding: 0, ejected: true },
+        { url: B, outstanding: 1, ejected: false }
+      ]);
+      expect(a.failures).toBe(0);
+      expect(pickUrls(balancer, 3)).toEqual([B, B, B]);
+    });
+
+    it('should reset the failure count on success', () => {
+      const balancer = new LoadBalancer('schedule', { instances: [A, B] });
+      const a = balancer.instances[0];
+
+      balancer.release(balancer.pick(), true);
+      a.outstanding++;
+      balancer.release(a, false);
+      a.outstanding++;
+      balancer.release(a, true);
+
+      expect(balancer.status()[0].ejected).toBe(false);
+    });
+
+    it('should bring an instance back after the cool-down', () => {
+      const balancer = new LoadBalancer('schedule', { instances: [A, B] });
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      balancer.instances[0].ejectedUntil = now + 1000;
+
+      expect(pickUrls(balancer, 2)).toEqual([B, B]);
+
+      Date.now.mockReturnValue(now + 1001);
+      expect(pickUrls(balancer, 2)).toContain(A);
+    });
+
+    it('should keep using instances when all are ejected', () => {
+      const balancer = new LoadBalancer('schedule', { instances: [A, B] });
+      balancer.instances.forEach((instance) => {
+        instance.ejectedUntil = Date.now() + 1000;
+      });
+
+      expect(pickUrls(balancer, 2)).toEqual([A, B]);
+    });
+
+    it('should never eject the only instance', () => {
+      const balancer = new LoadBalancer('user', { instances: [A] });
+
+      for (let i = 0; i < 5; i++) {
+        balancer.release(balancer.pick(), true);
+      }
+
+      expect(balancer.status()[0].ejected).toBe(false);
+    });
+  });
+
+  describe('Configuration', () => {
+    afterEach(() => {
+      configureUpstreams({});
+    });
+
+    it('should default to the single URL in config/services', () => {
+      expect(getBalancer('progress').status()).toEqual([
+        { url: process.env.PROGRESS_SERVICE_URL, outstanding: 0, ejected: false }
+      ]);
+    });
+
+    it('should keep instance state across reconfiguration', () => {
+      configureUpstreams({ schedule: { instances: [A, B], strategy: 'round-robin' } });
+      getBalancer('schedule').pick();
+
+      configureUpstreams({ schedule: { instances: [A, C], strategy: 'least-outstanding' } });
+
+      const balancer = getBalancer('schedule');
+      expect(balancer.strategy).toBe('least-outstanding');
+      expect(balancer.status().map(instance => [instance.url, instance.outstanding])).toEqual([[A, 1], [C, 0]]);
+    });
+  });
+
+  describe('Composite Calls', () => {
+    let servers;
+
+    beforeAll(async () => {
+      servers = await Promise.all(['a', 'b'].map(name => new Promise((resolve) => {
+        const server = http.createServer((req, res) => {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ instance: name }));
+        });
+        server.listen(0, '127.0.0.1', () => resolve(server));
+      })));
+    });
+
+    afterAll(async () => {
+      configureUpstreams({});
+      await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+    });
+
+    it('should spread requests across the service instances', async () => {
+      configureUpstreams({
+        schedule: {
+          instances: servers.map(server => `http://127.0.0.1:${server.address().port}`),
+          strategy: 'round-robin'
+        }
+      });
+
+      const responses = [];
+      for (let i = 0; i < 4; i++) {
+        responses.push((await upstream.get('schedule', '/api/bookings')).data.instance);
+      }
+
+      expect(responses).toEqual(['a', 'b', 'a', 'b']);
+      expect(getBalancer('schedule').status().every(instance => instance.outstanding === 0)).toBe(true);
+    });
+
+    it('should pin a user to one instance with consistent hashing', async () => {
+      configureUpstreams({
+        schedule: {
+          instances: servers.map(server => `http://127.0.0.1:${server.address().port}`),
+          strategy: 'consistent-hash'
+        }
+      });
+      const api = upstream.forRequest({ headers: {}, user: { id: 'user-7' } });
+
+      const responses = new Set();
+      for (let i = 0; i < 4; i++) {
+        responses.add((await api.get('schedule', '/api/bookings')).data.instance);
+      }
+
+      expect(responses.size).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for the Prometheus metrics exposed on /metrics.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+  register,
+  metricsMiddleware,
+  metricsHandler,
+  startUpstreamTimer,
+  recordProxyError,
+  routeLabel,
+  upstreamStats
+} = require('../../src/utils/metrics');
+const { createRateLimiter } = require('../../src/middleware/rateLimiter');
+
+function createApp() {
+  const app = express();
+  app.use(metricsMiddleware);
+  app.get('/metrics', metricsHandler);
+  app.use('/api/', createRateLimiter({
+    windowMs: 60000,
+    roleLimits: { anonymous: 1, client: 1, trainer: 1, admin: 1 },
+    routes: []
+  }, { getClient: () => null }));
+  app.get('/api/dashboard/client/:id', (req, res) => res.json({ success: true }));
+  app.use('/api/bookings', (req, res) => res.status(502).json({ success: false }));
+  app.use((req, res) => res.status(404).json({ success: false }));
+  return app;
+}
+
+// Value of the sample with the given name and labels, regardless of label order
+function sampleValue(text, name, labels) {
+  const line = text.split('\n').find(l => l.startsWith(`${name}{`)
+    && Object.entries(labels).every(([key, value]) => l.includes(`${key}="${value}"`)));
+  return line ? Number(line.split(' ').pop()) : undefined;
+}
+
+async function scrape(app) {
+  const response = await request(app).get('/metrics');
+  return response.text;
+}
+
+describe('Metrics', () => {
+  beforeEach(() => {
+    register.resetMetrics();
+  });
+
+  it('should serve the Prometheus text format', async () => {
+    const response = await request(createApp()).get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/plain');
+    expect(response.text).toContain('# TYPE gateway_http_requests_total counter');
+  });
+
+  it('should label requests by route template, method and status', async () => {
+    const app = createApp();
+
+    await request(app).get('/api/dashboard/client/user-123');
+    const text = await scrape(app);
+
+    const labels = { route: '/api/dashboard/client/:id', method: 'GET', status: '200' };
+    expect(sampleValue(text, 'gateway_http_requests_total', labels)).toBe(1);
+    expect(sampleValue(text, 'gateway_http_request_duration_seconds_count', labels)).toBe(1);
+  });
+
+  it('should label proxied prefixes and unmatched paths without raw URLs', async () => {
+    const app = createApp();
+
+    await request(app).get('/api/bookings/abc-123');
+    await request(app).get('/no/such/path');
+    const text = await scrape(app);
+
+    expect(sampleValue(text, 'gateway_http_requests_total', { route: '/api/bookings', status: '502' })).toBe(1);
+    expect(sampleValue(text, 'gateway_http_requests_total', { route: 'unmatched', status: '404' })).toBe(1);
+    expect(text).not.toContain('abc-123');
+  });
+
+  it('should count rate limit rejections', async () => {
+    const app = createApp();
+
+    await request(app).get('/api/dashboard/client/user-123');
+    await request(app).get('/api/dashboard/client/user-123');
+    const text = await scrape(app);
+
+    expect(sampleValue(text, 'gateway_rate_limit_rejections_total', { bucket: 'default', role: 'anonymous' })).toBe(1);
+  });
+
+  it('should record upstream latency per service and kind', async () => {
+    const end = startUpstreamTimer('schedule', 'composite', 'GET');
+    end(200);
+
+    const text = await register.metrics();
+
+    expect(sampleValue(text, 'gateway_upstream_request_duration_seconds_count', {
+      upstream: 'schedule',
+      kind: 'composite',
+      method: 'GET',
+      status: '200'
+    })).toBe(1);
+  });
+
+  it('should count proxy errors by service and code', async () => {
+    recordProxyError('progress', 'ECONNREFUSED');
+    recordProxyError('progress', undefined);
+
+    const text = await register.metrics();
+
+    expect(sampleValue(text, 'gateway_proxy_errors_total', { upstream: 'progress', code: 'ECONNREFUSED' })).toBe(1);
+    expect(sampleValue(text, 'gateway_proxy_errors_total', { upstream: 'progress', code: 'UNKNOWN' })).toBe(1);
+  });
+
+  it('should summarize upstream error rates and latency per service', async () => {
+    startUpstreamTimer('schedule', 'composite', 'GET')(200);
+    startUpstreamTimer('schedule', 'proxy', 'POST')(201);
+    startUpstreamTimer('schedule', 'proxy', 'GET')(503);
+    startUpstreamTimer('schedule', 'composite', 'GET')('error');
+    startUpstreamTimer('user', 'proxy', 'GET')(404);
+
+    const { since, services } = await upstreamStats();
+
+    expect(Date.parse(since)).not.toBeNaN();
+    expect(services.schedule).toEqual({ requests: 4, errors: 2, error_rate: 0.5, avg_latency_ms: expect.any(Number) });
+    expect(services.user).toMatchObject({ requests: 1, errors: 0, error_rate: 0 });
+  });
+});
+
+describe('Route Label', () => {
+  it('should prefer the matched route template', () => {
+    expect(routeLabel({ baseUrl: '', route: { path: '/api/dashboard/admin' } })).toBe('/api/dashboard/admin');
+  });
+
+  it('should fall back to the mount prefix', () => {
+    expect(routeLabel({ baseUrl: '/api/metrics' })).toBe('/api/metrics');
+  });
+
+  it('should use unmatched when nothing handled the path', () => {
+    expect(routeLabel({ baseUrl: '' })).toBe('unmatched');
+  });
+});
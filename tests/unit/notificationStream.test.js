@@ -0,0 +1,351 @@
+/**
+ * Unit tests for the real-time notification stream: fan-out, Last-Event-ID
+ * replay, connection limits and the SSE/WebSocket transports.
+ */
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+const express = require('express');
+const request = require('supertest');
+const {
+  MAX_CONNECTIONS_PER_USER,
+  CHANNEL,
+  parseEvent,
+  handleMessage,
+  openConnection,
+  closeConnection,
+  startNotificationStream,
+  stopNotificationStream,
+  tokenFromQuery,
+  sseHandler,
+  attachNotificationSocket
+} = require('../../src/utils/notificationStream');
+const { createFakeRedis } = require('../helpers/fakeRedis');
+
+const JWT_SECRET = 'test-jwt-secret-key';
+
+const notification = (id, userId, minute) => JSON.stringify({
+  id,
+  user_id: userId,
+  title: `Notification ${id}`,
+  created_at: `2026-10-19T08:${String(minute).padStart(2, '0')}:00.000Z`
+});
+
+const createTransport = () => ({ send: jest.fn(), close: jest.fn() });
+const sentIds = (transport) => transport.send.mock.calls.map(([event]) => event.data.id);
+
+describe('Notification Stream', () => {
+  let client;
+
+  beforeEach(() => {
+    client = createFakeRedis();
+  });
+
+  afterEach(async () => {
+    await stopNotificationStream();
+  });
+
+  describe('Events', () => {
+    it('should derive the same event id on every replica', () => {
+      const raw = notification(7, 'user-1', 0);
+
+      expect(parseEvent(raw, 1).eventId).toBe(parseEvent(raw, 2).eventId);
+      expect(parseEvent(raw)).toMatchObject({ userId: 'user-1', eventId: `${Date.parse('2026-10-19T08:00:00.000Z')}-7` });
+    });
+
+    it('should reject messages without a user', () => {
+      expect(parseEvent('not json')).toBeNull();
+      expect(parseEvent(JSON.stringify({ id: 1 }))).toBeNull();
+    });
+  });
+
+  describe('Fan-out', () => {
+    it('should deliver events only to the matching user\'s connections', async () => {
+      const mine = [createTransport(), createTransport()];
+      const theirs = createTransport();
+      const connections = [
+        openConnection({ id: 'user-1' }, mine[0]),
+        openConnection({ id: 'user-1' }, mine[1]),
+        openConnection({ id: 'user-2' }, theirs)
+      ];
+      await Promise.all(connections.map(connection => connection.ready));
+
+      await handleMessage(client, notification(1, 'user-1', 0));
+
+      expect(sentIds(mine[0])).toEqual([1]);
+      expect(sentIds(mine[1])).toEqual([1]);
+      expect(theirs.send).not.toHaveBeenCalled();
+    });
+
+    it('should record events for replay', async () => {
+      await handleMessage(client, notification(1, 'user-1', 0));
+
+      expect(client.zAdd).toHaveBeenCalledWith('notify:replay:user-1', {
+        score: Date.parse('2026-10-19T08:00:00.000Z'),
+        value: notification(1, 'user-1', 0)
+      });
+      expect(client.expire).toHaveBeenCalled();
+    });
+
+    it('should stop delivering to closed connections', async () => {
+      const transport = createTransport();
+      const connection = openConnection({ id: 'user-1' }, transport);
+      await connection.ready;
+
+      closeConnection(connection);
+      await handleMessage(client, notification(1, 'user-1', 0));
+
+      expect(transport.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Replay', () => {
+    it('should replay events after Last-Event-ID', async () => {
+      await handleMessage(client, notification(1, 'user-1', 0));
+      await handleMessage(client, notification(2, 'user-1', 1));
+      await handleMessage(client, notification(3, 'user-1', 2));
+      const lastEventId = parseEvent(notification(1, 'user-1', 0)).eventId;
+
+      const transport = createTransport();
+      const connection = openConnection({ id: 'user-1' }, transport, lastEventId, { getClient: () => client });
+      await connection.ready;
+
+      expect(sentIds(transport)).toEqual([2, 3]);
+    });
+
+    it('should send live events after the replay without repeating them', async () => {
+      await handleMessage(client, notification(1, 'user-1', 0));
+      await handleMessage(client, notification(2, 'user-1', 1));
+      const lastEventId = parseEvent(notification(1, 'user-1', 0)).eventId;
+
+      const transport = createTransport();
+      const connection = openConnection({ id: 'user-1' }, transport, lastEventId, { getClient: () => client });
+      // Arrives while the replay is still being read
+      await handleMessage(client, notification(2, 'user-1', 1));
+      await handleMessage(client, notification(3, 'user-1', 2));
+      await connection.ready;
+
+      expect(sentIds(transport)).toEqual([2, 3]);
+    });
+
+    it('should ignore an unparseable Last-Event-ID', async () => {
+      const transport = createTransport();
+      const connection = openConnection({ id: 'user-1' }, transport, 'garbage', { getClient: () => client });
+      await connection.ready;
+
+      expect(client.zRangeByScore).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Connections', () => {
+    it('should limit connections per user', () => {
+      for (let i = 0; i < MAX_CONNECTIONS_PER_USER; i++) {
+        expect(openConnection({ id: 'user-1' }, createTransport())).not.toBeNull();
+      }
+
+      expect(openConnection({ id: 'user-1' }, createTransport())).toBeNull();
+      expect(openConnection({ id: 'user-2' }, createTransport())).not.toBeNull();
+    });
+
+    it('should close a connection when its token expires', () => {
+      jest.useFakeTimers();
+      try {
+        const transport = createTransport();
+        openConnection({ id: 'user-1', exp: Math.floor(Date.now() / 1000) + 60 }, transport);
+
+        jest.advanceTimersByTime(59000);
+        expect(transport.close).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1000);
+        expect(transport.close).toHaveBeenCalledWith('expired');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should wait out token lifetimes longer than a timer can hold', () => {
+      jest.useFakeTimers();
+      try {
+        const transport = createTransport();
+        const days = 30;
+        openConnection({ id: 'user-1', exp: Math.floor(Date.now() / 1000) + days * 24 * 60 * 60 }, transport);
+
+        jest.advanceTimersByTime((days - 1) * 24 * 60 * 60 * 1000);
+        expect(transport.close).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+        expect(transport.close).toHaveBeenCalledWith('expired');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should subscribe to the notification channel on a separate connection', async () => {
+      const subscriber = { isReady: true, on: jest.fn(), connect: jest.fn(async () => {}), subscribe: jest.fn(async () => {}), quit: jest.fn(async () => {}) };
+      client.duplicate = jest.fn(() => subscriber);
+
+      await startNotificationStream({ getClient: () => client });
+      const transport = createTransport();
+      await openConnection({ id: 'user-1' }, transport).ready;
+      await subscriber.subscribe.mock.calls[0][1](notification(1, 'user-1', 0));
+
+      expect(subscriber.subscribe).toHaveBeenCalledWith(CHANNEL, expect.any(Function));
+      expect(sentIds(transport)).toEqual([1]);
+      await stopNotificationStream();
+      expect(subscriber.quit).toHaveBeenCalled();
+    });
+  });
+
+  describe('Server-Sent Events', () => {
+    const createSse = (headers = {}) => {
+      const req = { user: { id: 'user-1' }, headers, query: {} };
+      const res = new EventEmitter();
+      Object.assign(res, {
+        write: jest.fn(),
+        end: jest.fn(),
+        set: jest.fn().mockReturnThis(),
+        flushHeaders: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+      });
+      return { req, res };
+    };
+
+    it('should open an event stream and write events to it', async () => {
+      const { req, res } = createSse();
+
+      sseHandler(req, res);
+      await handleMessage(client, notification(1, 'user-1', 0));
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+      expect(res.write).toHaveBeenCalledWith('retry: 5000\n\n');
+      expect(res.write).toHaveBeenLastCalledWith(
+        `id: ${parseEvent(notification(1, 'user-1', 0)).eventId}\nevent: notification\ndata: ${notification(1, 'user-1', 0)}\n\n`
+      );
+      res.emit('close');
+    });
+
+    it('should answer 429 once the user is at the limit', () => {
+      const streams = Array.from({ length: MAX_CONNECTIONS_PER_USER + 1 }, () => createSse());
+
+      streams.forEach(({ req, res }) => sseHandler(req, res));
+
+      const rejected = streams[MAX_CONNECTIONS_PER_USER].res;
+      expect(rejected.status).toHaveBeenCalledWith(429);
+      expect(rejected.json.mock.calls[0][0].error.code).toBe('TOO_MANY_CONNECTIONS');
+      streams.forEach(({ res }) => res.emit('close'));
+    });
+
+    it('should free the slot when the client disconnects', async () => {
+      const { req, res } = createSse();
+      sseHandler(req, res);
+
+      res.emit('close');
+      await handleMessage(client, notification(1, 'user-1', 0));
+
+      expect(res.write).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Query Token', () => {
+    const createApp = () => {
+      const app = express();
+      app.use('/api/notifications/stream', tokenFromQuery);
+      app.get('/api/notifications/stream', (req, res) => res.json({
+        authorization: req.headers.authorization,
+        url: req.url,
+        originalUrl: req.originalUrl,
+        query: req.query
+      }));
+      return app;
+    };
+
+    it('should move ?access_token= into the Authorization header and off the URL', async () => {
+      const response = await request(createApp()).get('/api/notifications/stream?last_event_id=5&access_token=abc.def');
+
+      expect(response.body).toEqual({
+        authorization: 'Bearer abc.def',
+        url: '/api/notifications/stream?last_event_id=5',
+        originalUrl: '/api/notifications/stream?last_event_id=5',
+        query: { last_event_id: '5' }
+      });
+    });
+
+    it('should drop the token from the URL even when a header is sent too', async () => {
+      const response = await request(createApp())
+        .get('/api/notifications/stream?access_token=abc.def')
+        .set('Authorization', 'Bearer header-token');
+
+      expect(response.body).toMatchObject({ authorization: 'Bearer header-token', originalUrl: '/api/notifications/stream' });
+    });
+  });
+
+  describe('WebSocket', () => {
+    let server;
+    let url;
+
+    beforeAll((done) => {
+      server = http.createServer((req, res) => res.end());
+      attachNotificationSocket(server);
+      server.listen(0, '127.0.0.1', () => {
+        url = `ws://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    const token = (payload) => jwt.sign(payload, JWT_SECRET, {
+      issuer: 'fitsync-user-service',
+      audience: 'fitsync-api',
+      expiresIn: '1h'
+    });
+
+    const rejectionStatus = (socket) => new Promise((resolve) => {
+      socket.on('unexpected-response', (req, res) => resolve(res.statusCode));
+      socket.on('error', () => resolve('error'));
+    });
+
+    it('should authenticate the upgrade and stream the user\'s events', async () => {
+      const socket = new WebSocket(`${url}/api/notifications/stream?access_token=${token({ id: 'user-1', role: 'client' })}`);
+      await new Promise(resolve => socket.on('open', resolve));
+      const message = new Promise(resolve => socket.on('message', data => resolve(JSON.parse(data))));
+
+      await handleMessage(client, notification(1, 'user-1', 0));
+
+      await expect(message).resolves.toEqual({
+        id: parseEvent(notification(1, 'user-1', 0)).eventId,
+        event: 'notification',
+        data: JSON.parse(notification(1, 'user-1', 0))
+      });
+      socket.close();
+    });
+
+    it('should reject upgrades without a valid token', async () => {
+      const anonymous = new WebSocket(`${url}/api/notifications/stream`);
+      const forged = new WebSocket(`${url}/api/notifications/stream`, {
+        headers: { Authorization: `Bearer ${jwt.sign({ id: 'user-1' }, 'wrong-secret')}` }
+      });
+
+      await expect(rejectionStatus(anonymous)).resolves.toBe(401);
+      await expect(rejectionStatus(forged)).resolves.toBe(401);
+    });
+
+    it('should close sockets with 1001 when the gateway shuts down', async () => {
+      const socket = new WebSocket(`${url}/api/notifications/stream?access_token=${token({ id: 'user-1', role: 'client' })}`);
+      await new Promise(resolve => socket.on('open', resolve));
+      const closed = new Promise(resolve => socket.on('close', (code, reason) => resolve([code, String(reason)])));
+
+      await stopNotificationStream();
+
+      await expect(closed).resolves.toEqual([1001, 'Server shutting down']);
+    });
+
+    it('should refuse upgrades on other paths', async () => {
+      await expect(rejectionStatus(new WebSocket(`${url}/api/users`))).resolves.toBe('error');
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for the Redis-backed, role-aware rate limiter.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+  RedisStore,
+  createRateLimiter,
+  rateLimitKey,
+  resolveLimit
+} = require('../../src/middleware/rateLimiter');
+
+const roleLimits = { anonymous: 2, client: 3, trainer: 3, admin: 5 };
+
+// App with a fake auth step standing in for verifyToken
+function createApp(config) {
+  const app = express();
+  app.use((req, res, next) => {
+    const role = req.headers['x-test-role'];
+    if (role) {
+      req.user = { id: req.headers['x-test-user'] || `${role}-1`, role };
+    }
+    next();
+  });
+  app.use('/api/', createRateLimiter(config, { getClient: () => null }));
+  app.get('/api/*', (req, res) => res.json({ success: true }));
+  return app;
+}
+
+async function hit(app, path, times, headers = {}) {
+  let response;
+  for (let i = 0; i < times; i++) {
+    response = await request(app).get(path).set(headers);
+  }
+  return response;
+}
+
+describe('Rate Limit Key', () => {
+  it('should key authenticated requests on user id', () => {
+    expect(rateLimitKey({ user: { id: 'user-1' }, ip: '10.0.0.1' })).toBe('user:user-1');
+  });
+
+  it('should key anonymous requests on IP', () => {
+    expect(rateLimitKey({ ip: '10.0.0.1' })).toBe('ip:10.0.0.1');
+  });
+});
+
+describe('Limit Resolution', () => {
+  it('should use a numeric route limit for every role', () => {
+    expect(resolveLimit(20, 'admin', roleLimits)).toBe(20);
+  });
+
+  it('should use a per-role route limit when one is set', () => {
+    expect(resolveLimit({ anonymous: 1, admin: 50 }, 'admin', roleLimits)).toBe(50);
+  });
+
+  it('should fall back to the role default for roles missing from a route map', () => {
+    expect(resolveLimit({ anonymous: 1 }, 'trainer', roleLimits)).toBe(3);
+  });
+
+  it('should use the role default when the route has no limit', () => {
+    expect(resolveLimit(undefined, 'anonymous', roleLimits)).toBe(2);
+  });
+
+  it('should treat unknown roles as clients', () => {
+    expect(resolveLimit(undefined, 'nutritionist', roleLimits)).toBe(3);
+  });
+});
+
+describe('RedisStore', () => {
+  let client;
+  let store;
+
+  beforeEach(() => {
+    client = {
+      isReady: true,
+      eval: jest.fn().mockResolvedValue([3, 45000]),
+      decr: jest.fn().mockResolvedValue(2),
+      del: jest.fn().mockResolvedValue(1)
+    };
+    store = new RedisStore({ prefix: 'rl:test:', getClient: () => client });
+    store.init({ windowMs: 60000 });
+  });
+
+  it('should increment the prefixed key with the window length', async () => {
+    const result = await store.increment('user:user-1');
+
+    expect(client.eval).toHaveBeenCalledWith(expect.any(String), {
+      keys: ['rl:test:user:user-1'],
+      arguments: ['60000']
+    });
+    expect(result.totalHits).toBe(3);
+    expect(result.resetTime).toBeInstanceOf(Date);
+  });
+
+  it('should fall back to local counters when Redis is not ready', async () => {
+    client.isReady = false;
+
+    await store.increment('ip:10.0.0.1');
+    const result = await store.increment('ip:10.0.0.1');
+
+    expect(client.eval).not.toHaveBeenCalled();
+    expect(result.totalHits).toBe(2);
+  });
+
+  it('should fall back to local counters when a Redis command fails', async () => {
+    client.eval.mockRejectedValue(new Error('READONLY'));
+
+    const result = await store.increment('ip:10.0.0.1');
+
+    expect(result.totalHits).toBe(1);
+  });
+
+  it('should decrement and reset keys in Redis', async () => {
+    await store.decrement('user:user-1');
+    await store.resetKey('user:user-1');
+
+    expect(client.decr).toHaveBeenCalledWith('rl:test:user:user-1');
+    expect(client.del).toHaveBeenCalledWith('rl:test:user:user-1');
+  });
+});
+
+describe('Rate Limiter Middleware', () => {
+  const config = {
+    windowMs: 60000,
+    roleLimits,
+    routes: [{ prefix: '/api/auth', max: 1 }]
+  };
+
+  it('should reject anonymous callers past their budget', async () => {
+    const app = createApp(config);
+
+    const allowed = await hit(app, '/api/programs', 2);
+    const rejected = await request(app).get('/api/programs');
+
+    expect(allowed.status).toBe(200);
+    expect(rejected.status).toBe(429);
+    expect(rejected.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+  });
+
+  it('should give admins a larger budget than anonymous callers', async () => {
+    const app = createApp(config);
+
+    const response = await hit(app, '/api/programs', 5, { 'x-test-role': 'admin' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['ratelimit-limit']).toBe('5');
+  });
+
+  it('should count each user separately', async () => {
+    const app = createApp(config);
+
+    await hit(app, '/api/programs', 3, { 'x-test-role': 'client', 'x-test-user': 'client-1' });
+    const otherUser = await request(app).get('/api/programs')
+      .set({ 'x-test-role': 'client', 'x-test-user': 'client-2' });
+
+    expect(otherUser.status).toBe(200);
+  });
+
+  it('should apply the tighter route bucket on its prefix only', async () => {
+    const app = createApp(config);
+
+    await request(app).get('/api/auth/login');
+    const auth = await request(app).get('/api/auth/login');
+    const other = await request(app).get('/api/programs');
+
+    expect(auth.status).toBe(429);
+    expect(other.status).toBe(200);
+  });
+});
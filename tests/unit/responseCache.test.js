@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the Redis response cache on proxied GET routes.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createResponseCache, cacheKey } = require('../../src/middleware/responseCache');
+const { createFakeRedis } = require('../helpers/fakeRedis');
+
+// Upstream stand-in that writes like the proxy does (write + end)
+function createApp(client, options = { ttl: 60 }) {
+  const app = express();
+  const upstream = { calls: 0, status: 200 };
+
+  app.use((req, res, next) => {
+    if (req.headers['x-test-user']) {
+      req.user = { id: req.headers['x-test-user'] };
+    }
+    next();
+  });
+  app.use('/api/exercises', createResponseCache('/api/exercises', options, { getClient: () => client }), (req, res) => {
+    upstream.calls++;
+    res.statusCode = req.method === 'GET' ? upstream.status : 201;
+    res.setHeader('Content-Type', 'application/json');
+    res.write(JSON.stringify({ success: true, data: { call: upstream.calls } }));
+    res.end();
+  });
+
+  return { app, upstream };
+}
+
+// Stores happen after the response is sent
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Response Cache', () => {
+  it('should miss, store, and then serve a hit without calling upstream', async () => {
+    const { app, upstream } = createApp(createFakeRedis());
+
+    const first = await request(app).get('/api/exercises?muscle=chest');
+    await flush();
+    const second = await request(app).get('/api/exercises?muscle=chest');
+
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.headers['content-type']).toContain('application/json');
+    expect(second.body).toEqual(first.body);
+    expect(upstream.calls).toBe(1);
+  });
+
+  it('should key on the query string', async () => {
+    const { app, upstream } = createApp(createFakeRedis());
+
+    await request(app).get('/api/exercises?muscle=chest');
+    await flush();
+    const other = await request(app).get('/api/exercises?muscle=legs');
+
+    expect(other.headers['x-cache']).toBe('MISS');
+    expect(upstream.calls).toBe(2);
+  });
+
+  it('should not cache non-200 responses', async () => {
+    const { app, upstream } = createApp(createFakeRedis());
+    upstream.status = 503;
+
+    await request(app).get('/api/exercises');
+    await flush();
+    const second = await request(app).get('/api/exercises');
+
+    expect(second.headers['x-cache']).toBe('MISS');
+    expect(upstream.calls).toBe(2);
+  });
+
+  it('should invalidate the prefix after a successful write', async () => {
+    const { app, upstream } = createApp(createFakeRedis());
+
+    await request(app).get('/api/exercises');
+    await flush();
+    await request(app).post('/api/exercises').send({ name: 'Squat' });
+    await flush();
+    const after = await request(app).get('/api/exercises');
+
+    expect(after.headers['x-cache']).toBe('MISS');
+    expect(upstream.calls).toBe(3);
+  });
+
+  it('should separate entries per user when perUser is set', async () => {
+    const { app } = createApp(createFakeRedis(), { ttl: 60, perUser: true });
+
+    await request(app).get('/api/exercises').set('x-test-user', 'user-1');
+    await flush();
+    const otherUser = await request(app).get('/api/exercises').set('x-test-user', 'user-2');
+    const sameUser = await request(app).get('/api/exercises').set('x-test-user', 'user-1');
+
+    expect(otherUser.headers['x-cache']).toBe('MISS');
+    expect(sameUser.headers['x-cache']).toBe('HIT');
+  });
+
+  it('should pass through as a miss when Redis is not ready', async () => {
+    const client = createFakeRedis();
+    client.isReady = false;
+    const { app, upstream } = createApp(client);
+
+    await request(app).get('/api/exercises');
+    await flush();
+    const second = await request(app).get('/api/exercises');
+
+    expect(second.headers['x-cache']).toBe('MISS');
+    expect(client.values.size).toBe(0);
+    expect(upstream.calls).toBe(2);
+  });
+});
+
+describe('Cache Key', () => {
+  const req = (user) => ({ originalUrl: '/api/programs?limit=5', headers: {}, user });
+
+  it('should share keys across users by default', () => {
+    expect(cacheKey('/api/programs', req({ id: 'a' }))).toBe(cacheKey('/api/programs', req({ id: 'b' })));
+  });
+
+  it('should include the user when perUser is set', () => {
+    expect(cacheKey('/api/programs', req({ id: 'a' }), { perUser: true }))
+      .not.toBe(cacheKey('/api/programs', req({ id: 'b' }), { perUser: true }));
+  });
+});
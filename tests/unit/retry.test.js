@@ -0,0 +1,192 @@
+/**
+ * Unit tests for upstream retries with backoff.
+ */
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { createProxyMiddleware } = require('http-proxy-middleware');
+const {
+  isIdempotent,
+  isRetryableError,
+  backoffDelay,
+  withRetry,
+  retryableProxy,
+  retryProxyRequest
+} = require('../../src/utils/retry');
+
+// Keep test backoff short; per-service settings are read on each call
+process.env.RETRY_USER_BASE_DELAY_MS = '1';
+process.env.RETRY_USER_MAX_ATTEMPTS = '3';
+process.env.RETRY_NOTIFICATION_MAX_ATTEMPTS = '1';
+
+const connectionReset = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+describe('Retry Policy', () => {
+  describe('Idempotency', () => {
+    it('should treat GET, HEAD and OPTIONS as idempotent', () => {
+      expect(isIdempotent('GET')).toBe(true);
+      expect(isIdempotent('head')).toBe(true);
+      expect(isIdempotent('OPTIONS')).toBe(true);
+    });
+
+    it('should not treat POST as idempotent without a key', () => {
+      expect(isIdempotent('POST', { 'Content-Type': 'application/json' })).toBe(false);
+    });
+
+    it('should treat requests carrying an Idempotency-Key as idempotent', () => {
+      expect(isIdempotent('POST', { 'Idempotency-Key': 'abc' })).toBe(true);
+      expect(isIdempotent('PATCH', { 'idempotency-key': 'abc' })).toBe(true);
+    });
+  });
+
+  describe('Retryable Errors', () => {
+    it('should retry connection resets and refusals', () => {
+      expect(isRetryableError(connectionReset())).toBe(true);
+      expect(isRetryableError({ code: 'ECONNREFUSED' })).toBe(true);
+    });
+
+    it('should retry gateway-style statuses only', () => {
+      expect(isRetryableError({ response: { status: 503 } })).toBe(true);
+      expect(isRetryableError({ response: { status: 500 } })).toBe(false);
+      expect(isRetryableError({ response: { status: 404 } })).toBe(false);
+    });
+
+    it('should not retry errors without a code', () => {
+      expect(isRetryableError(new Error('Circuit open'))).toBe(false);
+    });
+  });
+
+  describe('Backoff', () => {
+    it('should stay within the exponential ceiling', () => {
+      const config = { baseDelayMs: 100, maxDelayMs: 2000 };
+
+      for (let i = 0; i < 50; i++) {
+        expect(backoffDelay(1, config)).toBeLessThan(100);
+        expect(backoffDelay(3, config)).toBeLessThan(400);
+        expect(backoffDelay(10, config)).toBeLessThan(2000);
+      }
+    });
+  });
+});
+
+describe('withRetry', () => {
+  it('should retry an idempotent call until it succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(connectionReset())
+      .mockResolvedValueOnce({ data: 'ok' });
+
+    const result = await withRetry('user', fn, { method: 'GET' });
+
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(result.attempts).toBe(2);
+  });
+
+  it('should give up after the service attempt budget', async () => {
+    const fn = jest.fn().mockRejectedValue(connectionReset());
+
+    const error = await withRetry('user', fn, { method: 'GET' }).catch(e => e);
+
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(error.attempts).toBe(3);
+  });
+
+  it('should not retry non-idempotent calls', async () => {
+    const fn = jest.fn().mockRejectedValue(connectionReset());
+
+    await withRetry('user', fn, { method: 'POST' }).catch(() => {});
+
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not retry non-retryable errors', async () => {
+    const fn = jest.fn().mockRejectedValue({ response: { status: 400 } });
+
+    await withRetry('user', fn, { method: 'GET' }).catch(() => {});
+
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should respect a per-service limit of one attempt', async () => {
+    const fn = jest.fn().mockRejectedValue(connectionReset());
+
+    await withRetry('notification', fn, { method: 'GET' }).catch(() => {});
+
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Proxy Retries', () => {
+  let upstreamServer;
+  let target;
+  let connections;
+
+  beforeAll((done) => {
+    // Resets the first connection of each request, answers the second
+    upstreamServer = http.createServer((req, res) => {
+      connections++;
+      if (connections === 1) {
+        return req.socket.destroy();
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ success: true, method: req.method }));
+    });
+    upstreamServer.listen(0, '127.0.0.1', () => {
+      target = `http://127.0.0.1:${upstreamServer.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    upstreamServer.close(done);
+  });
+
+  beforeEach(() => {
+    connections = 0;
+  });
+
+  function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/users', retryableProxy(createProxyMiddleware({
+      target,
+      logLevel: 'silent',
+      onProxyRes: (proxyRes, req, res) => {
+        res.setHeader('X-Upstream-Attempts', String(req.proxyAttempts));
+      },
+      onError: (err, req, res) => {
+        if (retryProxyRequest('user', err, req, res)) {
+          return;
+        }
+        res.status(502).json({ success: false, attempts: req.proxyAttempts });
+      }
+    })));
+    return app;
+  }
+
+  it('should retry a GET after a connection reset', async () => {
+    const response = await request(createApp()).get('/api/users/1');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['x-upstream-attempts']).toBe('2');
+    expect(connections).toBe(2);
+  });
+
+  it('should not retry a POST without an idempotency key', async () => {
+    const response = await request(createApp()).post('/api/users').send({ name: 'x' });
+
+    expect(response.status).toBe(502);
+    expect(connections).toBe(1);
+  });
+
+  it('should retry a POST carrying an idempotency key', async () => {
+    const response = await request(createApp())
+      .post('/api/users')
+      .set('Idempotency-Key', 'key-1')
+      .send({ name: 'x' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.method).toBe('POST');
+    expect(connections).toBe(2);
+  });
+});
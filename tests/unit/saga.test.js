@@ -0,0 +1,511 @@
+/**
+ * Unit tests for the saga engine and the booking saga.
+ */
+
+// Keep step timeouts short; read when the module loads
+process.env.SAGA_STEP_TIMEOUT_MS = '100';
+
+const express = require('express');
+const request = require('supertest');
+const { defineSaga, runSaga, recoverSagas, SagaError, SagaInProgressError } = require('../../src/utils/saga');
+const { BOOKING_SAGA, sendBookingError } = require('../../src/utils/bookingSaga');
+const { createFakeRedis } = require('../helpers/fakeRedis');
+
+const savedState = (client, id) => JSON.parse(client.values.get(`saga:state:${id}`));
+
+const rejection = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected the saga to fail');
+};
+
+describe('Saga Engine', () => {
+  let client;
+  let calls;
+  let options;
+
+  beforeEach(() => {
+    client = createFakeRedis();
+    calls = [];
+    options = { api: {}, getClient: () => client };
+  });
+
+  const step = (name, { fail, hang, compensateFails, resolve } = {}) => ({
+    name,
+    run: async (ctx) => {
+      calls.push(`run:${name}`);
+      if (hang) {
+        await new Promise(() => {});
+      }
+      if (fail) {
+        throw new Error(`${name} failed`);
+      }
+      return { name, input: ctx.input.value, previous: Object.keys(ctx.results) };
+    },
+    compensate: async (ctx, result) => {
+      calls.push(`undo:${result.name}`);
+      if (compensateFails) {
+        throw new Error(`undo ${name} failed`);
+      }
+    },
+    ...(resolve && {
+      resolve: async () => {
+        calls.push(`resolve:${name}`);
+        return resolve();
+      }
+    })
+  });
+
+  it('should run steps in order and return their results', async () => {
+    defineSaga('test.success', { steps: [step('a'), step('b')] });
+
+    const results = await runSaga('test.success', { value: 42 }, options);
+
+    expect(calls).toEqual(['run:a', 'run:b']);
+    expect(results).toEqual({
+      a: { name: 'a', input: 42, previous: [] },
+      b: { name: 'b', input: 42, previous: ['a'] }
+    });
+  });
+
+  it('should persist finished sagas with a retention TTL and clear them from the active set', async () => {
+    defineSaga('test.persist', { steps: [step('a')] });
+
+    await runSaga('test.persist', { value: 1 }, options);
+
+    const [id] = client.sAdd.mock.calls[0].slice(1);
+    expect(savedState(client, id)).toMatchObject({ name: 'test.persist', status: 'completed' });
+    expect(client.set).toHaveBeenCalledWith(`saga:state:${id}`, expect.any(String), { EX: expect.any(Number) });
+    expect(await client.sMembers('saga:active')).toEqual([]);
+    expect(client.values.has(`saga:lock:${id}`)).toBe(false);
+  });
+
+  it('should compensate completed steps in reverse order when a step fails', async () => {
+    defineSaga('test.compensate', { steps: [step('a'), step('b'), step('c', { fail: true })] });
+
+    const error = await rejection(runSaga('test.compensate', { value: 1 }, options));
+
+    expect(error).toBeInstanceOf(SagaError);
+    expect(error.step).toBe('c');
+    expect(error.compensated).toBe(true);
+    expect(error.cause.message).toBe('c failed');
+    expect(calls).toEqual(['run:a', 'run:b', 'run:c', 'undo:b', 'undo:a']);
+    expect(savedState(client, error.sagaId).status).toBe('compensated');
+  });
+
+  it('should fail a step that exceeds its timeout', async () => {
+    defineSaga('test.timeout', { steps: [step('a'), step('b', { hang: true })] });
+
+    const error = await rejection(runSaga('test.timeout', { value: 1 }, options));
+
+    expect(error.step).toBe('b');
+    expect(error.cause.name).toBe('StepTimeoutError');
+    expect(calls).toEqual(['run:a', 'run:b', 'undo:a']);
+  });
+
+  it('should abort the signal of a step that times out', async () => {
+    let signal;
+    defineSaga('test.abort', {
+      steps: [{
+        name: 'a',
+        run: (ctx) => {
+          ({ signal } = ctx);
+          return new Promise(() => {});
+        }
+      }]
+    });
+
+    await rejection(runSaga('test.abort', {}, options));
+
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('should resolve and compensate a step that timed out', async () => {
+    defineSaga('test.timeout.resolve', {
+      steps: [step('a'), step('b', { hang: true, resolve: () => ({ name: 'b-late' }) })]
+    });
+
+    const error = await rejection(runSaga('test.timeout.resolve', { value: 1 }, options));
+
+    expect(error.compensated).toBe(true);
+    expect(calls).toEqual(['run:a', 'run:b', 'resolve:b', 'undo:b-late', 'undo:a']);
+    expect(savedState(client, error.sagaId).steps[1]).toMatchObject({ status: 'compensated', result: { name: 'b-late' } });
+  });
+
+  it('should not compensate a timed-out step that never took effect', async () => {
+    defineSaga('test.timeout.absent', { steps: [step('a', { hang: true, resolve: () => null })] });
+
+    const error = await rejection(runSaga('test.timeout.absent', { value: 1 }, options));
+
+    expect(calls).toEqual(['run:a', 'resolve:a']);
+    expect(savedState(client, error.sagaId).steps[0].status).toBe('not_applied');
+  });
+
+  it('should leave a timed-out step alone when it cannot be resolved', async () => {
+    defineSaga('test.timeout.unresolvable', { steps: [step('a'), step('b', { hang: true })] });
+
+    await rejection(runSaga('test.timeout.unresolvable', { value: 1 }, options));
+
+    expect(calls).toEqual(['run:a', 'run:b', 'undo:a']);
+  });
+
+  it('should keep a saga active when compensation fails', async () => {
+    defineSaga('test.stuck', { steps: [step('a', { compensateFails: true }), step('b', { fail: true })] });
+
+    const error = await rejection(runSaga('test.stuck', { value: 1 }, options));
+
+    expect(error.compensated).toBe(false);
+    const state = savedState(client, error.sagaId);
+    expect(state.status).toBe('compensation_failed');
+    expect(state.steps[0]).toMatchObject({ status: 'compensation_failed', error: 'undo a failed' });
+    expect(await client.sMembers('saga:active')).toEqual([error.sagaId]);
+  });
+
+  it('should run without Redis', async () => {
+    defineSaga('test.offline', { steps: [step('a')] });
+
+    const results = await runSaga('test.offline', { value: 1 }, { api: {}, getClient: () => ({ isReady: false }) });
+
+    expect(results.a.name).toBe('a');
+  });
+
+  describe('Caller Keys', () => {
+    const keyPrefix = saga => savedState(client, saga.sagaId).keyPrefix;
+
+    beforeEach(() => {
+      defineSaga('test.keyed', {
+        steps: [{ name: 'a', run: async ctx => ({ sagaId: ctx.sagaId, keyPrefix: ctx.keyPrefix }) }]
+      });
+      defineSaga('test.keyed.failing', { steps: [step('a'), step('b', { fail: true })] });
+    });
+
+    it('should prefix step keys with the saga id without a caller key', async () => {
+      const { a } = await runSaga('test.keyed', {}, options);
+
+      expect(a.keyPrefix).toBe(`saga:${a.sagaId}`);
+    });
+
+    it('should reuse the step keys of a completed run with the same key', async () => {
+      const first = await runSaga('test.keyed', {}, { ...options, key: 'user-1:key-1' });
+      const second = await runSaga('test.keyed', {}, { ...options, key: 'user-1:key-1' });
+
+      expect(first.a.keyPrefix).toBe('user-1:key-1');
+      expect(second.a.keyPrefix).toBe('user-1:key-1');
+      expect(second.a.sagaId).not.toBe(first.a.sagaId);
+    });
+
+    it('should start afresh after a run with the same key was rolled back', async () => {
+      const failed = await rejection(runSaga('test.keyed.failing', { value: 1 }, { ...options, key: 'user-1:key-2' }));
+      const { a } = await runSaga('test.keyed', {}, { ...options, key: 'user-1:key-2' });
+
+      expect(keyPrefix(failed)).toBe('user-1:key-2');
+      expect(a.keyPrefix).toBe(`user-1:key-2:${a.sagaId}`);
+    });
+
+    it('should start afresh when earlier runs cannot be looked up', async () => {
+      const { a } = await runSaga('test.keyed', {}, { api: {}, key: 'user-1:key-4', getClient: () => ({ isReady: false }) });
+
+      expect(a.keyPrefix).toBe(`user-1:key-4:${a.sagaId}`);
+    });
+
+    it('should refuse to run while a run with the same key is unfinished', async () => {
+      defineSaga('test.keyed.stuck', { steps: [step('a', { compensateFails: true }), step('b', { fail: true })] });
+      const stuck = await rejection(runSaga('test.keyed.stuck', { value: 1 }, { ...options, key: 'user-1:key-3' }));
+
+      const error = await rejection(runSaga('test.keyed', {}, { ...options, key: 'user-1:key-3' }));
+
+      expect(error).toBeInstanceOf(SagaInProgressError);
+      expect(error.sagaId).toBe(stuck.sagaId);
+    });
+  });
+
+  describe('Recovery', () => {
+    // Leaves behind the state a crash after `doneSteps` completed steps would
+    async function interruptedSaga(name, doneSteps, status = 'running') {
+      const id = `saga-${name}`;
+      const state = {
+        id,
+        name,
+        status,
+        input: { value: 7 },
+        steps: ['a', 'b', 'c'].map((stepName, i) => ({
+          name: stepName,
+          status: i < doneSteps ? 'done' : 'pending',
+          timeoutMs: 100,
+          ...(i < doneSteps && { result: { name: stepName } })
+        }))
+      };
+      await client.set(`saga:state:${id}`, JSON.stringify(state));
+      await client.sAdd('saga:active', id);
+      return id;
+    }
+
+    it('should compensate interrupted sagas by default', async () => {
+      defineSaga('test.recover.compensate', { steps: [step('a'), step('b'), step('c')] });
+      const id = await interruptedSaga('test.recover.compensate', 2);
+
+      const summary = await recoverSagas(options);
+
+      expect(summary).toEqual({ resumed: 0, compensated: 1, failed: 0, skipped: 0 });
+      expect(calls).toEqual(['undo:b', 'undo:a']);
+      expect(savedState(client, id).status).toBe('compensated');
+      expect(await client.sMembers('saga:active')).toEqual([]);
+    });
+
+    it('should resume sagas that opt into it', async () => {
+      defineSaga('test.recover.resume', { recovery: 'resume', steps: [step('a'), step('b'), step('c')] });
+      const id = await interruptedSaga('test.recover.resume', 1);
+
+      const summary = await recoverSagas(options);
+
+      expect(summary.resumed).toBe(1);
+      expect(calls).toEqual(['run:b', 'run:c']);
+      expect(savedState(client, id).status).toBe('completed');
+    });
+
+    it('should resolve steps interrupted mid-run before compensating', async () => {
+      defineSaga('test.recover.interrupted', { steps: [step('a'), step('b', { resolve: () => ({ name: 'b' }) }), step('c')] });
+      const id = await interruptedSaga('test.recover.interrupted', 1);
+      const state = savedState(client, id);
+      state.steps[1].status = 'running';
+      await client.set(`saga:state:${id}`, JSON.stringify(state));
+
+      await recoverSagas(options);
+
+      expect(calls).toEqual(['resolve:b', 'undo:b', 'undo:a']);
+      expect(savedState(client, id).status).toBe('compensated');
+    });
+
+    it('should retry compensations that failed before', async () => {
+      defineSaga('test.recover.retry', { steps: [step('a'), step('b'), step('c')] });
+      const id = await interruptedSaga('test.recover.retry', 1, 'compensation_failed');
+
+      await recoverSagas(options);
+
+      expect(calls).toEqual(['undo:a']);
+      expect(savedState(client, id).status).toBe('compensated');
+    });
+
+    it('should skip sagas another replica holds the lease for', async () => {
+      defineSaga('test.recover.leased', { steps: [step('a'), step('b'), step('c')] });
+      const id = await interruptedSaga('test.recover.leased', 2);
+      await client.set(`saga:lock:${id}`, '1');
+
+      const summary = await recoverSagas(options);
+
+      expect(summary.skipped).toBe(1);
+      expect(calls).toEqual([]);
+    });
+
+    it('should drop sagas with no known definition', async () => {
+      await interruptedSaga('test.recover.unknown', 1);
+
+      await recoverSagas(options);
+
+      expect(await client.sMembers('saga:active')).toEqual([]);
+    });
+  });
+});
+
+describe('Booking Saga', () => {
+  let client;
+
+  beforeEach(() => {
+    client = createFakeRedis();
+  });
+
+  const booking = {
+    trainer_id: 'trainer-1',
+    client_id: 'client-1',
+    booking_date: '2026-11-02',
+    start_time: '09:00',
+    end_time: '10:00'
+  };
+
+  const createApi = ({
+    notificationFails = false,
+    firstCreateHangs = false,
+    createRefused = false,
+    landed = true,
+    lookupFails = false
+  } = {}) => {
+    let hangs = firstCreateHangs;
+    return {
+      post: jest.fn(async (service, path, data, config) => {
+        if (path === '/api/bookings' && createRefused) {
+          throw Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:8003'), { code: 'ECONNREFUSED' });
+        }
+        if (service === 'notification' && notificationFails) {
+          throw Object.assign(new Error('Request failed with status code 500'), { response: { status: 500 } });
+        }
+        // Answers only once the step's signal aborts it
+        if (path === '/api/bookings' && hangs) {
+          hangs = false;
+          await new Promise((resolve, reject) => config.signal.addEventListener('abort', () => reject(new Error('canceled'))));
+        }
+        if (path === '/api/bookings') {
+          return { data: { success: true, data: { id: 'booking-1', ...booking } } };
+        }
+        return { data: { success: true, data: { id: 'notification-1' } } };
+      }),
+      // The trainer's bookings that day; booking-1 only when the hung create went through
+      get: jest.fn(async () => {
+        if (lookupFails) {
+          throw Object.assign(new Error('Request failed with status code 500'), { response: { status: 500 } });
+        }
+        return {
+          data: {
+            data: [
+              { id: 'booking-0', ...booking, start_time: '09:00:00', status: 'cancelled' },
+              { id: 'booking-2', ...booking, client_id: 'client-2', start_time: '09:00:00' },
+              ...(landed ? [{ id: 'booking-1', ...booking, start_time: '09:00:00', status: 'scheduled' }] : [])
+            ]
+          }
+        };
+      })
+    };
+  };
+
+  it('should create the booking and notify the trainer', async () => {
+    const api = createApi();
+
+    const results = await runSaga(BOOKING_SAGA, { booking }, { api, getClient: () => client });
+
+    expect(results.createBooking.data.id).toBe('booking-1');
+    expect(api.post).toHaveBeenCalledTimes(2);
+    expect(api.post.mock.calls[1][0]).toBe('notification');
+    expect(api.post.mock.calls[1][2]).toMatchObject({
+      user_id: 'trainer-1',
+      type: 'booking_created',
+      data: { booking_id: 'booking-1', client_id: 'client-1' }
+    });
+  });
+
+  it('should send idempotency keys scoped to the saga', async () => {
+    const api = createApi();
+
+    await runSaga(BOOKING_SAGA, { booking }, { api, getClient: () => client });
+
+    const keys = api.post.mock.calls.map(call => call[3].headers['Idempotency-Key']);
+    expect(keys[0]).toMatch(/^saga:.+:createBooking$/);
+    expect(keys[1]).toMatch(/^saga:.+:notifyTrainer$/);
+  });
+
+  it('should derive idempotency keys from the caller key', async () => {
+    const api = createApi();
+
+    await runSaga(BOOKING_SAGA, { booking }, { api, key: 'client-1:abc', getClient: () => client });
+
+    const keys = api.post.mock.calls.map(call => call[3].headers['Idempotency-Key']);
+    expect(keys).toEqual(['client-1:abc:createBooking', 'client-1:abc:notifyTrainer']);
+  });
+
+  it('should look up and cancel a booking whose creation timed out', async () => {
+    const api = createApi({ firstCreateHangs: true });
+
+    const error = await rejection(runSaga(BOOKING_SAGA, { booking }, { api, getClient: () => client }));
+
+    expect(error.step).toBe('createBooking');
+    expect(error.cause.name).toBe('StepTimeoutError');
+    expect(error.compensated).toBe(true);
+    expect(api.post.mock.calls.map(call => call[1])).toEqual(['/api/bookings', '/api/bookings/booking-1/cancel']);
+    expect(api.post.mock.calls[0][3].signal.aborted).toBe(true);
+    expect(api.get).toHaveBeenCalledWith(
+      'schedule',
+      '/api/bookings?trainer_id=trainer-1&date_from=2026-11-02&date_to=2026-11-02',
+      expect.anything()
+    );
+  });
+
+  it('should cancel nothing when the timed-out create never landed', async () => {
+    const api = createApi({ firstCreateHangs: true, landed: false });
+
+    const error = await rejection(runSaga(BOOKING_SAGA, { booking }, { api, getClient: () => client }));
+
+    expect(error.compensated).toBe(true);
+    expect(api.post).toHaveBeenCalledTimes(1);
+    expect(savedState(client, error.sagaId).steps[0].status).toBe('not_applied');
+  });
+
+  it('should leave the saga for recovery when the lookup fails', async () => {
+    const api = createApi({ firstCreateHangs: true, lookupFails: true });
+
+    const error = await rejection(runSaga(BOOKING_SAGA, { booking }, { api, getClient: () => client }));
+
+    expect(error.compensated).toBe(false);
+    expect(api.post).toHaveBeenCalledTimes(1);
+    expect(savedState(client, error.sagaId).status).toBe('compensation_failed');
+  });
+
+  it('should cancel the booking when the notification fails', async () => {
+    const api = createApi({ notificationFails: true });
+
+    const error = await rejection(runSaga(BOOKING_SAGA, { booking }, { api, getClient: () => client }));
+
+    expect(error.step).toBe('notifyTrainer');
+    expect(error.compensated).toBe(true);
+    expect(api.post).toHaveBeenLastCalledWith(
+      'schedule',
+      '/api/bookings/booking-1/cancel',
+      { reason: 'Booking could not be completed' },
+      expect.objectContaining({ headers: { 'Idempotency-Key': expect.stringMatching(/:cancelBooking$/) } })
+    );
+  });
+
+  describe('Error Responses', () => {
+    // Answers POST / the way the validated booking route does when `work` throws
+    const answer = (work) => {
+      const app = express();
+      app.post('/', async (req, res) => {
+        try {
+          await work();
+        } catch (error) {
+          sendBookingError(res, error);
+        }
+      });
+      return request(app).post('/');
+    };
+
+    it('should answer 503 when the schedule service does not answer the create', async () => {
+      const api = createApi({ createRefused: true });
+
+      const response = await answer(() => runSaga(BOOKING_SAGA, { booking }, { api, getClient: () => client }));
+
+      expect(response.status).toBe(503);
+      expect(response.body.error.code).toBe('SERVICE_UNAVAILABLE');
+      expect(api.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should answer 503 when a service times out during validation', async () => {
+      const response = await answer(async () => {
+        throw Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' });
+      });
+
+      expect(response.status).toBe(503);
+      expect(response.body.error.code).toBe('SERVICE_UNAVAILABLE');
+    });
+
+    it('should answer as the schedule service did when it rejects the booking', async () => {
+      const conflict = { success: false, error: { code: 'SLOT_TAKEN', message: 'Slot already booked' } };
+
+      const response = await answer(async () => {
+        throw Object.assign(new Error('Request failed with status code 409'), { response: { status: 409, data: conflict } });
+      });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual(conflict);
+    });
+
+    it('should answer 500 for anything else', async () => {
+      const response = await answer(async () => {
+        throw new TypeError('booking is undefined');
+      });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error.code).toBe('BOOKING_FAILED');
+    });
+  });
+});
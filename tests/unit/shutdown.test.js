@@ -0,0 +1,157 @@
+/**
+ * Unit tests for graceful shutdown: readiness, draining in-flight requests,
+ * the drain deadline and cleanup ordering.
+ */
+
+const http = require('http');
+const express = require('express');
+const { createShutdown } = require('../../src/utils/shutdown');
+const { setReady, checkReadiness } = require('../../src/utils/healthCheck');
+
+// Server whose /slow requests stay open until released
+function startServer(lifecycle) {
+  const app = express();
+  const held = [];
+
+  app.use(lifecycle.trackRequests);
+  app.get('/slow', (req, res) => held.push(() => res.json({ done: true })));
+  app.get('/fast', (req, res) => res.json({ done: true }));
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({ server, held, port: server.address().port }));
+  });
+}
+
+const get = (port, path, agent) => new Promise((resolve, reject) => {
+  http.get({ host: '127.0.0.1', port, path, agent }, (res) => {
+    let body = '';
+    res.on('data', (chunk) => {
+      body += chunk;
+    });
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+  }).on('error', reject);
+});
+
+const waitFor = async (condition) => {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('Graceful Shutdown', () => {
+  afterEach(() => {
+    setReady(true);
+  });
+
+  it('should fail readiness and wait for in-flight requests', async () => {
+    const lifecycle = createShutdown({ timeoutMs: 5000 });
+    const { server, held, port } = await startServer(lifecycle);
+    const agent = new http.Agent();
+    setReady(true);
+
+    const slow = get(port, '/slow', agent);
+    await waitFor(() => held.length === 1);
+    const stopping = lifecycle.shutdown(server, { signal: 'SIGTERM' });
+
+    expect(await checkReadiness()).toEqual({ ready: false, reason: 'not accepting traffic' });
+    expect(lifecycle.inFlight()).toBe(1);
+    await expect(get(port, '/fast')).rejects.toThrow();
+
+    held[0]();
+    expect((await slow).body).toBe('{"done":true}');
+    await expect(stopping).resolves.toBe(true);
+    expect(lifecycle.inFlight()).toBe(0);
+    agent.destroy();
+  });
+
+  it('should ask keep-alive clients to reconnect elsewhere', async () => {
+    const lifecycle = createShutdown({ timeoutMs: 5000 });
+    const { server, held, port } = await startServer(lifecycle);
+    const agent = new http.Agent({ keepAlive: true, maxSockets: 1 });
+
+    const slow = get(port, '/slow', agent);
+    await waitFor(() => held.length === 1);
+    const stopping = lifecycle.shutdown(server);
+    // Queued on the open keep-alive socket, so it still reaches the server
+    const queued = get(port, '/fast', agent);
+    held[0]();
+
+    expect((await slow).status).toBe(200);
+    expect((await queued).headers.connection).toBe('close');
+    await expect(stopping).resolves.toBe(true);
+    agent.destroy();
+  });
+
+  it('should close remaining connections at the deadline', async () => {
+    const lifecycle = createShutdown({ timeoutMs: 50 });
+    const { server, held, port } = await startServer(lifecycle);
+
+    const slow = get(port, '/slow');
+    await waitFor(() => held.length === 1);
+
+    await expect(lifecycle.shutdown(server)).resolves.toBe(false);
+    await expect(slow).rejects.toThrow();
+  });
+
+  it('should close streams first and run cleanup steps in order after draining', async () => {
+    const lifecycle = createShutdown({ timeoutMs: 5000 });
+    const { server } = await startServer(lifecycle);
+    const calls = [];
+
+    await lifecycle.shutdown(server, {
+      closeStreams: async () => calls.push('streams'),
+      cleanup: [
+        ['first', async () => calls.push('first')],
+        ['failing', async () => {
+          throw new Error('boom');
+        }],
+        ['last', () => calls.push('last')]
+      ]
+    });
+
+    expect(calls).toEqual(['streams', 'first', 'last']);
+  });
+
+  it('should destroy only the agents it was given', async () => {
+    const agent = new http.Agent({ keepAlive: true });
+    const untouched = new http.Agent({ keepAlive: true });
+    jest.spyOn(agent, 'destroy');
+    jest.spyOn(untouched, 'destroy');
+    const lifecycle = createShutdown({ timeoutMs: 5000, agents: [agent] });
+    const { server } = await startServer(lifecycle);
+
+    await lifecycle.shutdown(server);
+
+    expect(agent.destroy).toHaveBeenCalled();
+    expect(untouched.destroy).not.toHaveBeenCalled();
+    untouched.destroy.mockRestore();
+    untouched.destroy();
+  });
+
+  it('should run only once when signalled again', async () => {
+    const lifecycle = createShutdown({ timeoutMs: 5000 });
+    const { server } = await startServer(lifecycle);
+    const closeStreams = jest.fn(async () => {});
+
+    const first = lifecycle.shutdown(server, { signal: 'SIGTERM', closeStreams });
+    const second = lifecycle.shutdown(server, { signal: 'SIGINT', closeStreams });
+
+    expect(second).toBe(first);
+    await first;
+    expect(closeStreams).toHaveBeenCalledTimes(1);
+    expect(lifecycle.isShuttingDown()).toBe(true);
+  });
+
+  it('should wait out the readiness delay before closing the listener', async () => {
+    const lifecycle = createShutdown({ timeoutMs: 5000, readinessDelayMs: 100 });
+    const { server, port } = await startServer(lifecycle);
+    setReady(true);
+
+    const stopping = lifecycle.shutdown(server);
+
+    expect((await checkReadiness()).ready).toBe(false);
+    expect((await get(port, '/fast')).status).toBe(200);
+    await stopping;
+    await expect(get(port, '/fast')).rejects.toThrow();
+  });
+});
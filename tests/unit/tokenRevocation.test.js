@@ -0,0 +1,192 @@
+/**
+ * Unit tests for the Redis token revocation list.
+ */
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { createProxyMiddleware } = require('http-proxy-middleware');
+const { getRedisClient } = require('../../src/config/redis');
+const {
+  revokeToken,
+  revokeUserTokens,
+  isTokenRevoked,
+  revokeFromAuthResponse
+} = require('../../src/utils/tokenRevocation');
+const { createFakeRedis } = require('../helpers/fakeRedis');
+
+jest.mock('../../src/config/redis', () => ({ getRedisClient: jest.fn() }));
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Resolves once pending revocation writes have run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Token Revocation', () => {
+  let client;
+  let options;
+
+  beforeEach(() => {
+    client = createFakeRedis();
+    options = { getClient: () => client };
+  });
+
+  describe('Single Token Revocation', () => {
+    it('should denylist the jti until the token expires', async () => {
+      const token = { id: 'user-1', jti: 'jti-1', iat: nowSeconds(), exp: nowSeconds() + 600 };
+
+      await revokeToken(token, options);
+
+      expect(client.set).toHaveBeenCalledWith('revoked:jti:jti-1', '1', { EX: expect.any(Number) });
+      expect(client.set.mock.calls[0][2].EX).toBeLessThanOrEqual(600);
+      await expect(isTokenRevoked(token, options)).resolves.toBe(true);
+    });
+
+    it('should not affect other tokens of the same user', async () => {
+      const iat = nowSeconds();
+      await revokeToken({ id: 'user-1', jti: 'jti-1', iat, exp: iat + 600 }, options);
+
+      await expect(isTokenRevoked({ id: 'user-1', jti: 'jti-2', iat }, options)).resolves.toBe(false);
+    });
+
+    it('should reject tokens without a jti', async () => {
+      await expect(revokeToken({ id: 'user-1' }, options)).rejects.toThrow('no jti');
+    });
+  });
+
+  describe('User Revocation', () => {
+    it('should revoke tokens issued before the cut-off', async () => {
+      await revokeUserTokens('user-1', options);
+
+      await expect(isTokenRevoked({ id: 'user-1', iat: nowSeconds() - 60 }, options)).resolves.toBe(true);
+    });
+
+    it('should keep accepting tokens issued after the cut-off', async () => {
+      client.values.set('revoked:user:user-1', String(nowSeconds() - 60));
+
+      await expect(isTokenRevoked({ id: 'user-1', iat: nowSeconds() }, options)).resolves.toBe(false);
+    });
+
+    it('should fail when Redis is unavailable', async () => {
+      client.isReady = false;
+
+      await expect(revokeUserTokens('user-1', options)).rejects.toThrow('unavailable');
+    });
+  });
+
+  describe('Revocation Check', () => {
+    it('should fail open when Redis is unavailable', async () => {
+      client.isReady = false;
+
+      await expect(isTokenRevoked({ id: 'user-1', jti: 'jti-1' }, options)).resolves.toBe(false);
+    });
+
+    it('should fail open when the lookup errors', async () => {
+      client.mGet.mockRejectedValue(new Error('LOADING'));
+
+      await expect(isTokenRevoked({ id: 'user-1', jti: 'jti-1' }, options)).resolves.toBe(false);
+    });
+  });
+});
+
+describe('Auth Response Hook', () => {
+  let client;
+
+  beforeEach(() => {
+    client = createFakeRedis();
+    getRedisClient.mockReturnValue(client);
+  });
+
+  // What the hook sees after http-proxy-middleware has rewritten req.url
+  const req = (path, user, method = 'POST') => ({
+    path: `/api/auth${path}`,
+    method,
+    user,
+    baseUrl: '/api/auth',
+    originalUrl: `/api/auth${path}`
+  });
+
+  it('should revoke the presented token on logout', async () => {
+    revokeFromAuthResponse({ statusCode: 200 }, req('/logout', { id: 'user-1', jti: 'jti-1', exp: nowSeconds() + 600 }));
+    await flush();
+
+    expect(client.values.has('revoked:jti:jti-1')).toBe(true);
+    expect(client.values.has('revoked:user:user-1')).toBe(false);
+  });
+
+  it('should revoke all user tokens on password change', async () => {
+    revokeFromAuthResponse({ statusCode: 200 }, req('/change-password', { id: 'user-1', jti: 'jti-1' }));
+    await flush();
+
+    expect(client.values.has('revoked:user:user-1')).toBe(true);
+  });
+
+  it('should revoke all user tokens on logout when the token has no jti', async () => {
+    revokeFromAuthResponse({ statusCode: 204 }, req('/logout', { id: 'user-1' }));
+    await flush();
+
+    expect(client.values.has('revoked:user:user-1')).toBe(true);
+  });
+
+  it('should ignore failed logouts', async () => {
+    revokeFromAuthResponse({ statusCode: 401 }, req('/logout', { id: 'user-1', jti: 'jti-1' }));
+    await flush();
+
+    expect(client.set).not.toHaveBeenCalled();
+  });
+
+  it('should ignore anonymous requests and unrelated paths', async () => {
+    revokeFromAuthResponse({ statusCode: 200 }, req('/logout'));
+    revokeFromAuthResponse({ statusCode: 200 }, req('/login', { id: 'user-1' }));
+    revokeFromAuthResponse({ statusCode: 200 }, req('/logout', { id: 'user-1' }, 'GET'));
+    await flush();
+
+    expect(client.set).not.toHaveBeenCalled();
+  });
+
+  describe('Through the proxy', () => {
+    let upstream;
+    let app;
+
+    beforeAll((done) => {
+      upstream = http.createServer((req, res) => res.end('{}')).listen(0, '127.0.0.1', done);
+    });
+
+    afterAll((done) => {
+      upstream.close(done);
+    });
+
+    beforeEach(() => {
+      app = express();
+      app.use('/api/auth', (req, res, next) => {
+        req.user = { id: 'user-1', jti: 'jti-1', exp: nowSeconds() + 600 };
+        next();
+      }, createProxyMiddleware({
+        target: `http://127.0.0.1:${upstream.address().port}`,
+        logLevel: 'silent',
+        onProxyRes: revokeFromAuthResponse
+      }));
+    });
+
+    it('should revoke the token when the logout is proxied', async () => {
+      await request(app).post('/api/auth/logout?all=false').expect(200);
+      await flush();
+
+      expect(client.values.has('revoked:jti:jti-1')).toBe(true);
+    });
+
+    it('should revoke all user tokens when a password change is proxied', async () => {
+      await request(app).post('/api/auth/change-password/').expect(200);
+      await flush();
+
+      expect(client.values.has('revoked:user:user-1')).toBe(true);
+    });
+
+    it('should leave other proxied auth calls alone', async () => {
+      await request(app).post('/api/auth/login').expect(200);
+      await flush();
+
+      expect(client.set).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit tests for correlation IDs, W3C trace context propagation and span export.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+
+// Exporter settings are read when the module loads
+const traceFile = path.join(os.tmpdir(), `gateway-traces-${process.pid}.jsonl`);
+process.env.TRACE_EXPORT_FILE = traceFile;
+
+const { tracingMiddleware, parseTraceparent, flushSpans } = require('../../src/utils/tracing');
+const services = require('../../src/config/services');
+const upstream = require('../../src/utils/upstream');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+async function exportedSpans() {
+  await flushSpans();
+  if (!fs.existsSync(traceFile)) {
+    return [];
+  }
+  return fs.readFileSync(traceFile, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .flatMap(line => JSON.parse(line).resourceSpans[0].scopeSpans[0].spans);
+}
+
+describe('Tracing', () => {
+  let upstreamServer;
+  let received;
+  let originalUserUrl;
+
+  function createApp() {
+    const app = express();
+    app.use(tracingMiddleware);
+    app.get('/api/profile', async (req, res) => {
+      const response = await upstream.forRequest(req).get('user', '/profile');
+      res.json(response.data);
+    });
+    app.get('/api/trace', (req, res) => res.json({ correlationId: req.correlationId, trace: req.trace }));
+    return app;
+  }
+
+  beforeAll((done) => {
+    upstreamServer = http.createServer((req, res) => {
+      received.push(req.headers);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ success: true }));
+    });
+    upstreamServer.listen(0, '127.0.0.1', () => {
+      originalUserUrl = services.user;
+      services.user = `http://127.0.0.1:${upstreamServer.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    services.user = originalUserUrl;
+    upstreamServer.close(done);
+  });
+
+  beforeEach(async () => {
+    received = [];
+    await flushSpans();
+    fs.rmSync(traceFile, { force: true });
+  });
+
+  describe('Correlation ID', () => {
+    it('should keep a valid inbound correlation ID', async () => {
+      const response = await request(createApp())
+        .get('/api/trace')
+        .set('X-Correlation-ID', 'checkout-1234');
+
+      expect(response.headers['x-correlation-id']).toBe('checkout-1234');
+      expect(response.body.correlationId).toBe('checkout-1234');
+    });
+
+    it('should replace a malformed correlation ID', async () => {
+      const response = await request(createApp())
+        .get('/api/trace')
+        .set('X-Correlation-ID', 'bad id <script>');
+
+      expect(response.headers['x-correlation-id']).not.toBe('bad id <script>');
+      expect(response.headers['x-correlation-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should generate a correlation ID when none is sent', async () => {
+      const response = await request(createApp()).get('/api/trace');
+
+      expect(response.headers['x-correlation-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+  });
+
+  describe('Trace Context', () => {
+    it('should parse a valid traceparent', () => {
+      expect(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`)).toEqual({
+        traceId: TRACE_ID,
+        parentSpanId: PARENT_ID,
+        flags: '01'
+      });
+    });
+
+    it('should reject malformed and all-zero traceparents', () => {
+      expect(parseTraceparent(undefined)).toBeNull();
+      expect(parseTraceparent('00-xyz-abc-01')).toBeNull();
+      expect(parseTraceparent(`00-${'0'.repeat(32)}-${PARENT_ID}-01`)).toBeNull();
+      expect(parseTraceparent(`00-${TRACE_ID}-${'0'.repeat(16)}-01`)).toBeNull();
+    });
+
+    it('should continue an inbound trace', async () => {
+      const response = await request(createApp())
+        .get('/api/trace')
+        .set('traceparent', `00-${TRACE_ID}-${PARENT_ID}-01`)
+        .set('tracestate', 'vendor=abc');
+
+      expect(response.body.trace.traceId).toBe(TRACE_ID);
+      expect(response.body.trace.spanId).not.toBe(PARENT_ID);
+      expect(response.body.trace.tracestate).toBe('vendor=abc');
+    });
+
+    it('should start a new trace when traceparent is invalid', async () => {
+      const response = await request(createApp())
+        .get('/api/trace')
+        .set('traceparent', 'garbage')
+        .set('tracestate', 'vendor=abc');
+
+      expect(response.body.trace.traceId).toMatch(/^[0-9a-f]{32}$/);
+      expect(response.body.trace.traceId).not.toBe(TRACE_ID);
+      expect(response.body.trace.tracestate).toBeUndefined();
+    });
+  });
+
+  describe('Upstream Propagation', () => {
+    it('should send a child traceparent, tracestate and correlation ID to the service', async () => {
+      await request(createApp())
+        .get('/api/profile')
+        .set('X-Correlation-ID', 'corr-1')
+        .set('traceparent', `00-${TRACE_ID}-${PARENT_ID}-01`)
+        .set('tracestate', 'vendor=abc');
+
+      expect(received).toHaveLength(1);
+      const sent = parseTraceparent(received[0].traceparent);
+      expect(sent.traceId).toBe(TRACE_ID);
+      expect(sent.parentSpanId).not.toBe(PARENT_ID);
+      expect(received[0].tracestate).toBe('vendor=abc');
+      expect(received[0]['x-correlation-id']).toBe('corr-1');
+    });
+  });
+
+  describe('Span Export', () => {
+    it('should export server and client spans as OTLP JSON', async () => {
+      await request(createApp())
+        .get('/api/profile')
+        .set('traceparent', `00-${TRACE_ID}-${PARENT_ID}-01`);
+
+      const spans = await exportedSpans();
+      const server = spans.find(span => span.kind === 2);
+      const client = spans.find(span => span.kind === 3);
+
+      expect(server.traceId).toBe(TRACE_ID);
+      expect(server.parentSpanId).toBe(PARENT_ID);
+      expect(client.traceId).toBe(TRACE_ID);
+      expect(client.parentSpanId).toBe(server.spanId);
+      expect(parseTraceparent(received[0].traceparent).parentSpanId).toBe(client.spanId);
+      expect(client.attributes).toContainEqual({ key: 'peer.service', value: { stringValue: 'user' } });
+      expect(BigInt(client.endTimeUnixNano)).toBeGreaterThanOrEqual(BigInt(client.startTimeUnixNano));
+    });
+
+    it('should redact an access token in the recorded target', async () => {
+      await request(createApp()).get('/api/trace?access_token=secret.jwt&x=1');
+
+      const [server] = await exportedSpans();
+
+      expect(server.attributes).toContainEqual({ key: 'http.target', value: { stringValue: '/api/trace?access_token=REDACTED&x=1' } });
+    });
+
+    it('should not record spans for unsampled traces', async () => {
+      await request(createApp())
+        .get('/api/profile')
+        .set('traceparent', `00-${TRACE_ID}-${PARENT_ID}-00`);
+
+      expect(received[0].traceparent).toMatch(/-00$/);
+      expect(await exportedSpans()).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the trainer dashboard: the trainer's "today", schedule
+ * sections, limits and access.
+ */
+
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const { createDashboard } = require('../../src/utils/dashboard');
+const { trainerDashboard } = require('../../src/utils/trainerDashboard');
+const { localDate, addDays } = require('../../src/utils/dates');
+
+jest.mock('axios');
+
+// 25 hours apart, so their dates always differ
+const PROFILE_TIMEZONE = 'Pacific/Kiritimati';
+const QUERY_TIMEZONE = 'Pacific/Pago_Pago';
+
+const PROGRAMS = [
+  { id: 'p1', client_id: 'c1' },
+  { id: 'p2', client_id: 'c2' },
+  { id: 'p3', client_id: 'c1' }
+];
+
+// Bookings on the first day asked for, and the day after
+const upstream = (url) => {
+  const { pathname, searchParams } = new URL(url);
+  if (pathname === '/api/users/t1') {
+    return { data: { id: 't1', first_name: 'Taylor', timezone: PROFILE_TIMEZONE } };
+  }
+  if (pathname === '/api/programs') {
+    return { data: PROGRAMS };
+  }
+  const from = searchParams.get('date_from');
+  return {
+    data: [
+      { id: 'b1', booking_date: from },
+      { id: 'b2', booking_date: from },
+      { id: 'b3', booking_date: addDays(from, 1) }
+    ]
+  };
+};
+
+function createApp(user = { id: 't1', role: 'trainer' }) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.get('/api/dashboard/trainer/:id', createDashboard(trainerDashboard));
+  return app;
+}
+
+const calledPaths = () => axios.request.mock.calls.map(([config]) => config.url.replace(/^https?:\/\/[^/]+/, ''));
+
+describe('Trainer Dashboard', () => {
+  beforeEach(() => {
+    axios.request.mockReset();
+    axios.request.mockImplementation(async ({ url }) => ({ status: 200, data: upstream(url) }));
+  });
+
+  it('should use ?tz= for today without fetching the profile', async () => {
+    const today = localDate(QUERY_TIMEZONE);
+
+    const response = await request(createApp())
+      .get(`/api/dashboard/trainer/t1?tz=${QUERY_TIMEZONE}&include=today,today_schedule,upcoming_week`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.today).toEqual({ date: today, timezone: QUERY_TIMEZONE });
+    expect(response.body.data.today_schedule.map(booking => booking.id)).toEqual(['b1', 'b2']);
+    expect(response.body.data.upcoming_week).toHaveLength(7);
+    expect(response.body.data.upcoming_week.slice(0, 2).map(day => day.bookings)).toEqual([2, 1]);
+    expect(calledPaths()).toEqual([
+      `/api/bookings?trainer_id=t1&date_from=${today}&date_to=${today}&limit=50`,
+      `/api/bookings?trainer_id=t1&date_from=${today}&date_to=${addDays(today, 6)}&limit=100`
+    ]);
+  });
+
+  it('should fetch the profile first and use its timezone without ?tz=', async () => {
+    const today = localDate(PROFILE_TIMEZONE);
+
+    const response = await request(createApp()).get('/api/dashboard/trainer/t1?include=today,today_schedule');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.today).toEqual({ date: today, timezone: PROFILE_TIMEZONE });
+    expect(response.body.data.today_schedule.map(booking => booking.id)).toEqual(['b1', 'b2']);
+    expect(calledPaths()).toEqual([
+      '/api/users/t1',
+      `/api/bookings?trainer_id=t1&date_from=${today}&date_to=${today}&limit=50`
+    ]);
+  });
+
+  it('should answer 400 INVALID_TIMEZONE for an unknown ?tz=', async () => {
+    const response = await request(createApp()).get('/api/dashboard/trainer/t1?tz=Mars/Olympus_Mons');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('INVALID_DASHBOARD_QUERY');
+    expect(response.body.error.fields).toEqual([expect.objectContaining({ field: 'tz', code: 'INVALID_TIMEZONE' })]);
+    expect(axios.request).not.toHaveBeenCalled();
+  });
+
+  it('should answer 403 for another trainer\'s dashboard', async () => {
+    const response = await request(createApp({ id: 't2', role: 'trainer' })).get('/api/dashboard/trainer/t1');
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toMatchObject({ code: 'FORBIDDEN', message: 'Cannot access other trainer dashboards' });
+    expect(axios.request).not.toHaveBeenCalled();
+  });
+
+  it('should let admins see any trainer\'s dashboard', async () => {
+    const response = await request(createApp({ id: 'a1', role: 'admin' })).get('/api/dashboard/trainer/t1?include=profile');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.profile.first_name).toBe('Taylor');
+  });
+
+  it('should cap the bookings limit upstream and show programs_limit recent programs', async () => {
+    const response = await request(createApp())
+      .get(`/api/dashboard/trainer/t1?tz=${QUERY_TIMEZONE}&include=active_clients,recent_programs,today_schedule`
+        + '&programs_limit=2&bookings_limit=500');
+    const today = localDate(QUERY_TIMEZONE);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.active_clients).toBe(2);
+    expect(response.body.data.recent_programs).toEqual(PROGRAMS.slice(0, 2));
+    expect(calledPaths()).toEqual([
+      '/api/programs?trainer_id=t1&status=active&limit=100',
+      `/api/bookings?trainer_id=t1&date_from=${today}&date_to=${today}&limit=100`
+    ]);
+  });
+});